@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
+const { StringDecoder } = require('string_decoder');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+
+const ARCHIVE_FILE_EXTENSION = '.ndjson.gz';
+const MANIFEST_FILE_SUFFIX = '-manifest.ndjson';
+
+/**
+ * Gzip-compressed, newline-delimited JSON files that keep logs after they have been deleted
+ * from MySQL. Each call to `append` adds a gzip member to the archive file of the current hour
+ * and process, and records the batch in a manifest, so that the rows are on disk before they
+ * are deleted.
+ */
+class LogArchive {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - The directory that holds the archive files.
+   * @param {string} options.name - The prefix of the archive file names.
+   */
+  constructor ({ directory, name }) {
+    this.directory = directory;
+    this.name = name;
+    this.manifestPath = path.join(directory, `${name}${MANIFEST_FILE_SUFFIX}`);
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Appends log entries to the archive and records them in the manifest. The archive file is
+   * synced to disk before the Promise resolves.
+   *
+   * @async
+   * @function append
+   * @param {Object[]} logEntries - The log entries to archive.
+   * @returns {Promise<string|null>} - A Promise that resolves with the path of the archive file, or null if there was nothing to archive.
+   * @throws {Error} - Throws an error if the archive or the manifest cannot be written.
+   */
+  async append (logEntries) {
+    if (!logEntries.length) return null;
+
+    const now = new Date();
+    const hour = now.toISOString().slice(0, 13).replace(/[-T]/g, '');
+    const fileName = `${this.name}-${hour}-${process.pid}${ARCHIVE_FILE_EXTENSION}`;
+    const filePath = path.join(this.directory, fileName);
+
+    const data = await gzip(logEntries.map(logEntry => JSON.stringify(logEntry) + '\n').join(''));
+    const fileHandle = await fs.promises.open(filePath, 'a');
+    try {
+      await fileHandle.write(data);
+      await fileHandle.sync();
+    } finally {
+      await fileHandle.close();
+    }
+
+    const timestamps = logEntries.map(logEntry => new Date(logEntry.timestamp).getTime()).filter(time => !isNaN(time));
+    const ids = logEntries.map(logEntry => logEntry.id).filter(id => id !== undefined);
+    const manifestEntry = {
+      file: fileName,
+      archivedAt: now.toISOString(),
+      count: logEntries.length,
+      minId: ids.length ? ids.reduce((a, b) => (a < b ? a : b)) : null,
+      maxId: ids.length ? ids.reduce((a, b) => (a > b ? a : b)) : null,
+      minTimestamp: timestamps.length ? new Date(Math.min(...timestamps)).toISOString() : null,
+      maxTimestamp: timestamps.length ? new Date(Math.max(...timestamps)).toISOString() : null
+    };
+    await fs.promises.appendFile(this.manifestPath, JSON.stringify(manifestEntry) + '\n');
+
+    return filePath;
+  }
+
+  /**
+   * Lists the archive files in a directory in the order they were written, or returns the
+   * given path if it is a file.
+   *
+   * @param {string} archivePath - An archive file or a directory of archive files.
+   * @returns {string[]} - The absolute paths of the archive files.
+   */
+  static getFiles (archivePath) {
+    if (!fs.statSync(archivePath).isDirectory()) return [path.resolve(archivePath)];
+    return fs.readdirSync(archivePath)
+      .filter(fileName => fileName.endsWith(ARCHIVE_FILE_EXTENSION))
+      .sort()
+      .map(fileName => path.resolve(archivePath, fileName));
+  }
+
+  /**
+   * Reads the log entries of an archive file.
+   *
+   * @async
+   * @generator
+   * @function read
+   * @param {string} filePath - The archive file.
+   * @yields {Object} - The archived log entries.
+   */
+  static async * read (filePath) {
+    const input = stream.pipeline(fs.createReadStream(filePath), zlib.createGunzip(), () => {});
+    const decoder = new StringDecoder('utf8');
+    let remainder = '';
+    for await (const chunk of input) {
+      const lines = (remainder + decoder.write(chunk)).split('\n');
+      remainder = lines.pop();
+      for (const line of lines) {
+        if (line) yield JSON.parse(line);
+      }
+    }
+    remainder += decoder.end();
+    if (remainder) yield JSON.parse(remainder);
+  }
+}
+
+module.exports = LogArchive;
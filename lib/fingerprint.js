@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+const STACK_FRAME_LINE = /^\s*at\s/;
+const STACK_FRAME_POSITION = /:\d+(?::\d+)?(?=\)?\s*$)/;
+const QUOTED_STRING = /"(?:[^"\\\n]|\\.)*"|`(?:[^`\\]|\\.)*`|(^|[^\w])'(?:[^'\\\n]|\\.)*'/g;
+const UUID = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+const HEX = /\b0x[0-9a-f]+\b|\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi;
+const NUMBER = /\d+(?:\.\d+)*/g;
+
+/**
+ * Replaces the parts of a log message that usually differ between occurrences of the same
+ * error, so that such messages normalize to the same text. In order: the line and column
+ * numbers of stack frames, quoted strings, UUIDs, hexadecimal values and numbers.
+ *
+ * @param {string} message - The log message.
+ * @returns {string} - The normalized message.
+ */
+function normalizeMessage (message) {
+  return String(message)
+    .split('\n')
+    .map(line => (STACK_FRAME_LINE.test(line) ? line.replace(STACK_FRAME_POSITION, '') : line))
+    .join('\n')
+    .replace(QUOTED_STRING, (match, prefix = '') => `${prefix}<str>`)
+    .replace(UUID, '<uuid>')
+    .replace(HEX, '<hex>')
+    .replace(NUMBER, '<num>');
+}
+
+/**
+ * Computes the fingerprint of a log message: the SHA-1 hash of its normalized text, as 40
+ * hexadecimal characters. Messages that differ only by ids, timestamps and the like share a
+ * fingerprint.
+ *
+ * @param {string} message - The log message.
+ * @returns {string|null} - The fingerprint, or null if there is no message.
+ */
+function getFingerprint (message) {
+  if (message === undefined || message === null) return null;
+  return crypto.createHash('sha1').update(normalizeMessage(message)).digest('hex');
+}
+
+module.exports = {
+  normalizeMessage,
+  getFingerprint
+};
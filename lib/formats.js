@@ -0,0 +1,235 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+const LOG_FORMATS = ['ndjson', 'csv', 'json'];
+const CSV_COLUMNS = ['id', 'timestamp', 'hostname', 'pid', 'source', 'level', 'message', 'errsole_id'];
+
+/**
+ * Creates a Transform stream that turns log rows into text in the given format.
+ *
+ * @param {string} format - One of `ndjson`, `csv` or `json`. The `json` format is a single JSON array.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeMeta=false] - Whether to include the `meta` column in CSV output.
+ * @returns {Transform} - A Transform stream with object input and string output.
+ */
+function createLogFormatter (format, { includeMeta = false } = {}) {
+  let rowCount = 0;
+
+  if (format === 'csv') {
+    const columns = includeMeta ? [...CSV_COLUMNS, 'meta'] : CSV_COLUMNS;
+    return new Transform({
+      writableObjectMode: true,
+      transform (row, encoding, callback) {
+        const header = rowCount++ === 0 ? columns.join(',') + '\n' : '';
+        callback(null, header + columns.map(column => toCSVField(row[column])).join(',') + '\n');
+      },
+      flush (callback) {
+        callback(null, rowCount === 0 ? columns.join(',') + '\n' : '');
+      }
+    });
+  }
+
+  if (format === 'json') {
+    return new Transform({
+      writableObjectMode: true,
+      transform (row, encoding, callback) {
+        callback(null, (rowCount++ === 0 ? '[\n' : ',\n') + JSON.stringify(row));
+      },
+      flush (callback) {
+        callback(null, rowCount === 0 ? '[]\n' : '\n]\n');
+      }
+    });
+  }
+
+  return new Transform({
+    writableObjectMode: true,
+    transform (row, encoding, callback) {
+      callback(null, JSON.stringify(row) + '\n');
+    }
+  });
+}
+
+function toCSVField (value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parses log entries from a Readable stream in the given format. Each parsed record is yielded
+ * with its position in the input: the line number for `ndjson`, the array index plus one for
+ * `json`, and the record number after the header for `csv`. Records that cannot be parsed are
+ * yielded with an `error` instead of an `entry`.
+ *
+ * The `json` format reads the whole input into memory; use `ndjson` for large imports.
+ *
+ * @async
+ * @generator
+ * @param {Readable} readable - The input.
+ * @param {string} format - One of `ndjson`, `csv` or `json`.
+ * @yields {{line: number, entry?: Object, error?: Error}}
+ * @throws {Error} - Throws an error if a `json` input is not an array.
+ */
+async function * parseLogs (readable, format) {
+  if (format === 'json') {
+    let text = '';
+    const decoder = new StringDecoder('utf8');
+    for await (const chunk of readable) text += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    text += decoder.end();
+    const entries = JSON.parse(text);
+    if (!Array.isArray(entries)) throw new Error('Invalid JSON input. Expected an array of log entries.');
+    for (let i = 0; i < entries.length; i++) yield { line: i + 1, entry: entries[i] };
+    return;
+  }
+
+  if (format === 'csv') {
+    let header = null;
+    let line = 0;
+    for await (const record of parseCSVRecords(readable)) {
+      if (!header) {
+        header = record;
+        continue;
+      }
+      line++;
+      if (record.length === 1 && record[0] === '') continue;
+      if (record.length !== header.length) {
+        yield { line, error: new Error(`Expected ${header.length} fields but found ${record.length}.`) };
+        continue;
+      }
+      const entry = {};
+      header.forEach((column, i) => {
+        if (record[i] !== '') entry[column] = record[i];
+      });
+      yield { line, entry };
+    }
+    return;
+  }
+
+  let line = 0;
+  for await (const text of readLines(readable)) {
+    line++;
+    if (!text.trim()) continue;
+    try {
+      yield { line, entry: JSON.parse(text) };
+    } catch (err) {
+      yield { line, error: err };
+    }
+  }
+}
+
+/**
+ * Validates a parsed log entry and converts it to the shape of the logs table. Accepts the
+ * exports of this adapter and of the other Errsole storages, including MongoDB extended JSON
+ * such as `{ "$date": ... }` timestamps.
+ *
+ * @param {Object} entry - The parsed log entry.
+ * @returns {Log} - The log entry to insert.
+ * @throws {Error} - Throws an error if the entry is invalid.
+ */
+function normalizeLogEntry (entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error('Expected a log entry object.');
+
+  const timestamp = new Date(unwrapExtendedJSON(entry.timestamp));
+  if (entry.timestamp === undefined || entry.timestamp === null || isNaN(timestamp.getTime())) {
+    throw new Error('Invalid or missing timestamp.');
+  }
+  if (entry.message === undefined || entry.message === null) throw new Error('Missing message.');
+
+  const pid = toOptionalInteger(entry.pid, 'pid');
+  const errsoleId = toOptionalInteger(entry.errsole_id, 'errsole_id');
+  const meta = unwrapExtendedJSON(entry.meta);
+
+  return {
+    timestamp,
+    hostname: entry.hostname === undefined || entry.hostname === null ? null : String(entry.hostname),
+    pid,
+    source: entry.source === undefined || entry.source === null ? null : String(entry.source),
+    level: entry.level === undefined || entry.level === null ? 'info' : String(entry.level),
+    message: typeof entry.message === 'string' ? entry.message : JSON.stringify(entry.message),
+    meta: meta === undefined || meta === null || typeof meta === 'string' ? meta : JSON.stringify(meta),
+    errsole_id: errsoleId
+  };
+}
+
+function unwrapExtendedJSON (value) {
+  if (!value || typeof value !== 'object') return value;
+  if ('$date' in value) return unwrapExtendedJSON(value.$date);
+  if ('$numberLong' in value) return Number(value.$numberLong);
+  if ('$numberInt' in value) return Number(value.$numberInt);
+  return value;
+}
+
+function toOptionalInteger (value, name) {
+  value = unwrapExtendedJSON(value);
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number)) throw new Error(`Invalid ${name}.`);
+  return number;
+}
+
+async function * readLines (readable) {
+  const decoder = new StringDecoder('utf8');
+  let remainder = '';
+  for await (const chunk of readable) {
+    const lines = (remainder + (typeof chunk === 'string' ? chunk : decoder.write(chunk))).split('\n');
+    remainder = lines.pop();
+    for (const line of lines) yield line.replace(/\r$/, '');
+  }
+  remainder += decoder.end();
+  if (remainder) yield remainder.replace(/\r$/, '');
+}
+
+async function * parseCSVRecords (readable) {
+  const decoder = new StringDecoder('utf8');
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false;
+
+  for await (const chunk of readable) {
+    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    for (const char of text) {
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (char === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n') {
+        record.push(field);
+        yield record;
+        record = [];
+        field = '';
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    yield record;
+  }
+}
+
+module.exports = {
+  LOG_FORMATS,
+  createLogFormatter,
+  parseLogs,
+  normalizeLogEntry
+};
@@ -18,10 +18,27 @@
  * @property {Date} [lte_timestamp]
  * @property {Date} [gte_timestamp]
  * @property {string[]} [hostnames]
+ * @property {string} [hostname]
+ * @property {string[]} [sources]
+ * @property {string[]} [levels]
+ * @property {number} [pid]
+ * @property {number[]} [pids]
+ * @property {string} [message_like] - A LIKE pattern the message must match, such as `%timeout%`.
+ * @property {string} [message_regex] - A MySQL regular expression the message must match.
  * @property {{source: string, level: string}[]} [level_json]
+ * @property {MetaFilter|MetaFilter[]} [meta]
+ * @property {string} [cursor] - The `nextCursor` or `prevCursor` of an earlier page.
+ * @property {boolean} [withCount] - Whether to also return the number of matching logs as `count`, and whether it is an estimate as `countIsEstimate`.
  * @property {number} [limit=100]
  */
 
+/**
+ * @typedef {Object} MetaFilter
+ * @property {string} path - A JSON path such as `$.userId`.
+ * @property {string} [op='='] - One of `=`, `!=`, `<`, `<=`, `>`, `>=` and `exists`.
+ * @property {string|number|boolean} [value] - The value to compare with. Not used by `exists`.
+ */
+
 /**
  * @typedef {Object} Config
  * @property {number} id
@@ -29,6 +46,26 @@
  * @property {string} value
  */
 
+/**
+ * @typedef {Object} RetentionRule
+ * @property {string|string[]} [level]
+ * @property {string|string[]} [source]
+ * @property {string|string[]} [hostname]
+ * @property {number} ttl - The TTL in milliseconds.
+ */
+
+/**
+ * @typedef {Object} Issue
+ * @property {string} fingerprint
+ * @property {string} status - One of `open`, `resolved`, `ignored` and `muted`.
+ * @property {Date|null} muted_until
+ * @property {Date|null} resolved_at
+ * @property {number|null} assignee_id
+ * @property {string|null} notes
+ * @property {Date} created_at
+ * @property {Date} updated_at
+ */
+
 /**
  * @typedef {Object} User
  * @property {number} id
@@ -49,44 +86,369 @@
 
 const bcrypt = require('bcryptjs');
 const { EventEmitter } = require('events');
+const stream = require('stream');
 const mysql = require('mysql2');
-const cron = require('node-cron');
+const LogSpool = require('./spool');
+const LogArchive = require('./archive');
+const LogTail = require('./tail');
+const { LOG_FORMATS, createLogFormatter, parseLogs, normalizeLogEntry } = require('./formats');
+const { getFingerprint } = require('./fingerprint');
+const { parseSearchQuery, compileSearchQuery } = require('./search');
+const migrations = require('./migrations');
+
+const LOG_LEVEL_PRIORITIES = { debug: 0, info: 1, warn: 2, error: 3, alert: 4 };
+const HOUR_IN_MS = 60 * 60 * 1000;
+const DAY_IN_MS = 24 * HOUR_IN_MS;
+const LOGS_PARTITIONS_AHEAD_DAYS = 3;
+const DEFAULT_NOTIFICATIONS_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+const POSITIVE_INTEGER_CONFIGS = {
+  notificationsTTL: 'a positive number of milliseconds',
+  logsMaxBytes: 'a positive number of bytes',
+  logsMaxRows: 'a positive number of rows'
+};
+const PENDING_LOGS_OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'drop-by-level'];
+const TEXT_COLUMN_MAX_BYTES = 65535;
+const DATA_ERROR_CODES = [
+  'ER_BAD_NULL_ERROR',
+  'ER_DATA_TOO_LONG',
+  'ER_INVALID_CHARACTER_STRING',
+  'ER_NET_PACKET_TOO_LARGE',
+  'ER_TRUNCATED_WRONG_VALUE',
+  'ER_TRUNCATED_WRONG_VALUE_FOR_FIELD',
+  'ER_WARN_DATA_OUT_OF_RANGE'
+];
 
 class ErrsoleMySQL extends EventEmitter {
   constructor (options = {}) {
     super();
 
-    let { tablePrefix, ...mysqlOptions } = options;
+    let {
+      tablePrefix,
+      spoolDirectory,
+      archiveDirectory,
+      maxPendingLogs = Infinity,
+      maxPendingLogsBytes = Infinity,
+      pendingLogsOverflowPolicy = 'drop-oldest',
+      batchSize = 100,
+      flushInterval = 1000,
+      adaptiveFlush = false,
+      maxBatchSize = 1000,
+      minFlushInterval = 100,
+      closeOnExit = false,
+      flushRetryAttempts = 3,
+      deadLetter = false,
+      partitionLogs = false,
+      metaJSON = false,
+      metaIndexes = [],
+      searchWindow = DAY_IN_MS,
+      ...mysqlOptions
+    } = options;
     tablePrefix = tablePrefix ? `errsole_${tablePrefix.toLowerCase().replace(/[^a-z0-9]/g, '')}` : 'errsole';
 
+    if (!PENDING_LOGS_OVERFLOW_POLICIES.includes(pendingLogsOverflowPolicy)) {
+      throw new Error(`Invalid pendingLogsOverflowPolicy. Expected one of: ${PENDING_LOGS_OVERFLOW_POLICIES.join(', ')}.`);
+    }
+    if (typeof searchWindow !== 'number' || !(searchWindow > 0)) {
+      throw new Error('Invalid searchWindow. Expected a positive number of milliseconds, or Infinity.');
+    }
+
+    this.tablePrefix = tablePrefix;
     this.isConnectionInProgress = true;
+    this.isReady = false;
+    this.initializationError = null;
+    this.initializationAttempts = 0;
+    this.readyWaiters = [];
     this.pool = mysql.createPool(mysqlOptions);
     this.logsTable = `${tablePrefix}_logs_v3`;
     this.usersTable = `${tablePrefix}_users`;
     this.configTable = `${tablePrefix}_config`;
     this.notificationsTable = `${tablePrefix}_notifications`;
+    this.migrationsTable = `${tablePrefix}_migrations`;
+    this.deadLetterTable = `${tablePrefix}_logs_deadletter`;
+    this.rollupsTable = `${tablePrefix}_log_rollups`;
+    this.issuesTable = `${tablePrefix}_issues`;
 
     this.name = require('../package.json').name;
     this.version = require('../package.json').version || '0.0.0';
 
     this.pendingLogs = [];
-    this.batchSize = 100;
-    this.flushInterval = 1000;
+    this.pendingLogsBytes = 0;
+    this.maxPendingLogs = maxPendingLogs;
+    this.maxPendingLogsBytes = maxPendingLogsBytes;
+    this.pendingLogsOverflowPolicy = pendingLogsOverflowPolicy;
+    this.droppedLogsCount = 0;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.adaptiveFlush = adaptiveFlush;
+    this.minBatchSize = batchSize;
+    this.maxBatchSize = Math.max(maxBatchSize, batchSize);
+    this.minFlushInterval = Math.min(minFlushInterval, flushInterval);
+    this.currentFlushInterval = flushInterval;
+    this.maxAllowedPacket = 4 * 1024 * 1024;
+    this.flushRetryAttempts = flushRetryAttempts;
+    this.flushAttempts = new WeakMap();
+    this.deadLetter = deadLetter;
+    this.partitionLogs = partitionLogs;
+    this.isLogsTablePartitioned = false;
+    this.metaJSON = metaJSON;
+    this.metaIndexes = validateMetaIndexes(metaIndexes);
+    this.searchWindow = searchWindow;
+
+    this.spool = spoolDirectory ? new LogSpool({ directory: spoolDirectory, name: tablePrefix }) : null;
+    this.archive = archiveDirectory ? new LogArchive({ directory: archiveDirectory, name: tablePrefix }) : null;
+    this.spoolRetryCount = 0;
+    this.spoolNextRetryAt = 0;
+    this.tails = new Map();
+    this.insertIdStep = null;
+
+    this.isClosing = false;
+    this.runningTasks = new Set();
+    this.sleepTimers = new Set();
+    this.closeOnExit = closeOnExit;
+    if (closeOnExit) this.addExitHooks();
 
     this.initialize();
   }
 
+  /**
+   * Connects to the database and creates the tables. If any step fails, an `error` event is
+   * emitted and initialization is retried with exponential backoff until it succeeds or the
+   * instance is closed.
+   *
+   * @async
+   * @function initialize
+   * @returns {Promise<void>} - A Promise that resolves once this attempt has succeeded or failed.
+   */
   async initialize () {
-    await this.checkConnection();
-    await this.setBufferSize();
-    await this.createTables();
-    await this.ensureLogsTTL();
+    const RECONNECT_BASE_DELAY = 1000;
+    const RECONNECT_MAX_DELAY = 60 * 1000;
+
+    try {
+      await this.checkConnection();
+      await this.setBufferSize();
+      this.maxAllowedPacket = await this.getMaxAllowedPacket();
+      await this.createTables();
+      this.settleReadyWaiters('connected');
+      await this.ensureLogsTTL();
+      await this.ensureNotificationsTTL();
+    } catch (err) {
+      this.initializationError = err;
+      this.settleReadyWaiters('failed', new Error(`Failed to initialize the MySQL storage: ${err.message}`));
+      this.emitError(err);
+      if (!this.isClosing) {
+        const retryDelay = Math.min(RECONNECT_BASE_DELAY * 2 ** this.initializationAttempts, RECONNECT_MAX_DELAY);
+        this.initializationAttempts++;
+        this.reconnectTimeoutId = this.unrefTimer(setTimeout(() => this.initialize(), retryDelay));
+      }
+      return;
+    }
+
+    // The instance was closed while connecting, so the timers would keep the process alive
+    if (this.isClosing) return;
+    this.initializationError = null;
+    this.initializationAttempts = 0;
+    this.isReady = true;
+    this.settleReadyWaiters('ready');
     this.emit('ready');
-    setInterval(() => this.flushLogs(), this.flushInterval);
-    cron.schedule('0 * * * *', () => {
-      this.deleteExpiredLogs();
-      this.deleteExpiredNotificationItems();
+    if (this.adaptiveFlush) {
+      this.scheduleAdaptiveFlush();
+    } else {
+      this.flushIntervalId = this.unrefTimer(setInterval(() => this.flushLogs(), this.flushInterval));
+    }
+    this.scheduleHourlyJobs();
+  }
+
+  /**
+   * Runs the expiry and size limit jobs at the start of every hour.
+   *
+   * @function scheduleHourlyJobs
+   */
+  scheduleHourlyJobs () {
+    this.hourlyJobsTimeoutId = this.unrefTimer(setTimeout(() => {
+      this.trackTask(this.deleteExpiredLogs());
+      this.trackTask(this.deleteExpiredNotificationItems());
+      this.trackTask(this.enforceLogsSizeLimit());
+      this.scheduleHourlyJobs();
+    }, HOUR_IN_MS - Date.now() % HOUR_IN_MS));
+  }
+
+  /**
+   * Waits until the instance is initialized.
+   *
+   * @async
+   * @function ready
+   * @returns {Promise<void>} - A Promise that resolves once the tables are created and the flush timer is running.
+   * @throws {Error} - Throws an error if the current initialization attempt fails.
+   */
+  ready () {
+    if (this.isReady) return Promise.resolve();
+    return new Promise((resolve, reject) => this.readyWaiters.push({ stage: 'ready', resolve, reject }));
+  }
+
+  /**
+   * Waits until the tables are created. Called by every public method before it queries the database.
+   *
+   * @async
+   * @function waitForConnection
+   * @returns {Promise<void>}
+   * @throws {Error} - Throws an error right away if the last initialization attempt failed.
+   */
+  waitForConnection () {
+    if (!this.isConnectionInProgress) return Promise.resolve();
+    if (this.initializationError) {
+      return Promise.reject(new Error(`Failed to initialize the MySQL storage: ${this.initializationError.message}`));
+    }
+    return new Promise((resolve, reject) => this.readyWaiters.push({ stage: 'connected', resolve, reject }));
+  }
+
+  settleReadyWaiters (stage, err) {
+    this.readyWaiters = this.readyWaiters.filter(waiter => {
+      if (err) {
+        waiter.reject(err);
+      } else if (stage === 'ready' || waiter.stage === stage) {
+        waiter.resolve();
+      } else {
+        return true;
+      }
+      return false;
+    });
+  }
+
+  emitError (err) {
+    if (this.listenerCount('error') === 0) return console.error(err);
+    this.emit('error', err);
+  }
+
+  /**
+   * Keeps track of a running task so that `flushAndClose` can wait for it.
+   *
+   * @param {Promise} promise - The promise of the task.
+   * @returns {Promise} - The same promise.
+   */
+  trackTask (promise) {
+    this.runningTasks.add(promise);
+    const untrack = () => this.runningTasks.delete(promise);
+    promise.then(untrack, untrack);
+    return promise;
+  }
+
+  /**
+   * Waits for the given time, or until the instance is closed.
+   *
+   * @param {number} ms - The time to wait in milliseconds.
+   * @returns {Promise<void>}
+   */
+  sleep (ms) {
+    return new Promise(resolve => {
+      const timer = { resolve };
+      this.sleepTimers.add(timer);
+      timer.timeoutId = this.unrefTimer(setTimeout(() => {
+        this.sleepTimers.delete(timer);
+        resolve();
+      }, ms));
+    });
+  }
+
+  /**
+   * With `closeOnExit`, keeps a timer from holding the process open, so that the process can
+   * reach `beforeExit` and flush the pending logs. Otherwise the timer is left as it is.
+   *
+   * @param {Timeout} timer - The timer returned by `setTimeout` or `setInterval`.
+   * @returns {Timeout} - The same timer.
+   */
+  unrefTimer (timer) {
+    if (this.closeOnExit) timer.unref();
+    return timer;
+  }
+
+  addExitHooks () {
+    this.exitHooks = {
+      SIGTERM: () => {
+        this.flushAndClose()
+          .catch(err => console.error(err))
+          .finally(() => {
+            if (process.listenerCount('SIGTERM') === 0) process.kill(process.pid, 'SIGTERM');
+          });
+      },
+      beforeExit: () => {
+        this.flushAndClose().catch(err => console.error(err));
+      }
+    };
+    Object.keys(this.exitHooks).forEach(event => process.once(event, this.exitHooks[event]));
+  }
+
+  removeExitHooks () {
+    if (!this.exitHooks) return;
+    Object.keys(this.exitHooks).forEach(event => process.removeListener(event, this.exitHooks[event]));
+    this.exitHooks = null;
+  }
+
+  /**
+   * Stops the flush timer, the scheduled jobs and the log tails, flushes the pending logs, waits
+   * for running inserts and expiry jobs, and ends the connection pool. Calling it again returns the same Promise.
+   *
+   * @async
+   * @function flushAndClose
+   * @param {number} [timeoutMs=10000] - The maximum time to wait for the pending logs to be flushed.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object once the pool has ended.
+   * @throws {Error} - Throws an error if flushing fails or times out. The pool is ended in either case.
+   */
+  flushAndClose (timeoutMs = 10000) {
+    if (this.closePromise) return this.closePromise;
+
+    this.isClosing = true;
+    this.removeExitHooks();
+    clearInterval(this.flushIntervalId);
+    clearTimeout(this.flushTimeoutId);
+    clearTimeout(this.reconnectTimeoutId);
+    clearTimeout(this.hourlyJobsTimeoutId);
+    this.settleReadyWaiters('closed', new Error('The MySQL storage has been closed.'));
+    this.sleepTimers.forEach(timer => {
+      clearTimeout(timer.timeoutId);
+      timer.resolve();
+    });
+    this.sleepTimers.clear();
+    this.tails.forEach((matchLog, tail) => tail.unsubscribe());
+
+    const flush = (async () => {
+      await Promise.allSettled([...this.runningTasks]);
+      if (!this.isConnectionInProgress) await this.flushPendingLogs();
+      if (this.pendingLogs.length > 0) {
+        throw new Error(`Failed to flush ${this.pendingLogs.length} logs before closing.`);
+      }
+    })();
+
+    let timeoutId;
+    const timeout = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => reject(new Error('Timed out while flushing logs.')), timeoutMs);
+    });
+
+    const endPool = () => new Promise((resolve, reject) => {
+      this.pool.end(err => {
+        if (err) return reject(err);
+        resolve();
+      });
     });
+
+    this.closePromise = Promise.race([flush, timeout])
+      .finally(() => {
+        clearTimeout(timeoutId);
+        return endPool();
+      })
+      .then(() => ({}));
+    return this.closePromise;
+  }
+
+  /**
+   * Flushes the pending logs and ends the connection pool.
+   *
+   * @async
+   * @function close
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object once the pool has ended.
+   * @throws {Error} - Throws an error if flushing fails or times out.
+   */
+  close () {
+    return this.flushAndClose();
   }
 
   async checkConnection () {
@@ -133,81 +495,254 @@ class ErrsoleMySQL extends EventEmitter {
     });
   }
 
+  async getMaxAllowedPacket () {
+    const query = "SHOW VARIABLES LIKE 'max_allowed_packet'";
+    return new Promise((resolve, reject) => {
+      this.pool.query(query, (err, results) => {
+        if (err) {
+          err = new Error(err.message || err.toString());
+          return reject(err);
+        }
+        resolve(parseInt(results[0].Value, 10));
+      });
+    });
+  }
+
+  scheduleAdaptiveFlush () {
+    this.flushTimeoutId = this.unrefTimer(setTimeout(() => {
+      this.flushLogs()
+        .catch(err => console.error(err))
+        .finally(() => {
+          // flushAndClose cannot clear a timer that has already fired
+          if (!this.isClosing) this.scheduleAdaptiveFlush();
+        });
+    }, this.currentFlushInterval));
+  }
+
   async createTables () {
-    const tableQueries = [
-      `CREATE TABLE IF NOT EXISTS \`${this.logsTable}\` (
-        \`id\` BIGINT PRIMARY KEY AUTO_INCREMENT,
-        \`hostname\` VARCHAR(63),
-        \`pid\` INT,
-        \`source\` VARCHAR(31),
-        \`timestamp\` TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
-        \`level\` VARCHAR(31) DEFAULT 'info',
-        \`message\` TEXT,
-        \`meta\` TEXT,
-        \`errsole_id\` BIGINT,
-        INDEX (\`hostname\`, \`source\`, \`level\`, \`id\`),
-        INDEX (\`hostname\`, \`id\`),
-        INDEX (\`source\`, \`level\`, \`id\`),
-        INDEX (\`hostname\`, \`source\`, \`level\`, \`timestamp\`, \`id\`),
-        INDEX (\`hostname\`, \`timestamp\`, \`id\`),
-        INDEX (\`source\`, \`level\`, \`timestamp\`, \`id\`),
-        INDEX (\`timestamp\`, \`id\`),
-        INDEX (\`errsole_id\`),
-        FULLTEXT INDEX (\`message\`)
-      )`,
-      `CREATE TABLE IF NOT EXISTS \`${this.usersTable}\` (
-        \`id\` BIGINT PRIMARY KEY AUTO_INCREMENT,
-        \`name\` VARCHAR(255),
-        \`email\` VARCHAR(255) UNIQUE NOT NULL,
-        \`hashed_password\` VARCHAR(255) NOT NULL,
-        \`role\` VARCHAR(255) NOT NULL
-      )`,
-      `CREATE TABLE IF NOT EXISTS \`${this.configTable}\` (
-        \`id\` BIGINT PRIMARY KEY AUTO_INCREMENT,
-        \`key\` VARCHAR(255) UNIQUE NOT NULL,
-        \`value\` TEXT NOT NULL
-      )`,
-      `CREATE TABLE IF NOT EXISTS \`${this.notificationsTable}\` (
-        \`id\` BIGINT PRIMARY KEY AUTO_INCREMENT,
-        \`errsole_id\` BIGINT,
-        \`hostname\` VARCHAR(255),
-        \`hashed_message\` VARCHAR(255),
-        \`created_at\` TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
-        \`updated_at\` TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
-        INDEX (\`hostname\`, \`hashed_message\`, \`created_at\`),
-        INDEX (\`created_at\`)
-      )`
+    await this.runMigrations();
+    await this.withSchemaLock(async query => {
+      await this.prepareLogsPartitions(query);
+      await this.prepareMetaColumns(query);
+    });
+
+    this.isConnectionInProgress = false;
+  }
+
+  /**
+   * Applies the schema migrations that have not been applied yet, in version order, and records
+   * them in the migrations table.
+   *
+   * @async
+   * @function runMigrations
+   * @returns {Promise<number[]>} - A Promise that resolves with the versions applied by this call.
+   * @throws {Error} - Throws an error if the lock cannot be acquired or a migration fails.
+   */
+  async runMigrations () {
+    return this.withSchemaLock(async query => {
+      await query(`CREATE TABLE IF NOT EXISTS \`${this.migrationsTable}\` (
+        \`version\` INT PRIMARY KEY,
+        \`name\` VARCHAR(255) NOT NULL,
+        \`applied_at\` TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3)
+      )`);
+      const appliedVersions = (await query(`SELECT version FROM ${this.migrationsTable}`)).map(row => row.version);
+
+      const context = {
+        query,
+        tablePrefix: this.tablePrefix,
+        tables: {
+          logs: this.logsTable,
+          users: this.usersTable,
+          config: this.configTable,
+          notifications: this.notificationsTable,
+          rollups: this.rollupsTable,
+          issues: this.issuesTable,
+          deadLetter: this.deadLetterTable
+        }
+      };
+      const pendingMigrations = migrations
+        .filter(migration => !appliedVersions.includes(migration.version))
+        .sort((a, b) => a.version - b.version);
+      for (const migration of pendingMigrations) {
+        await migration.up(context);
+        await query(`INSERT INTO ${this.migrationsTable} (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+      }
+      return pendingMigrations.map(migration => migration.version);
+    });
+  }
+
+  /**
+   * Runs schema changes under a MySQL advisory lock so that instances starting at the same time
+   * do not apply them concurrently. The callback receives a query function bound to the
+   * connection that holds the lock.
+   *
+   * @async
+   * @function withSchemaLock
+   * @param {function(function(string, Array=): Promise<*>): Promise<*>} callback - The schema changes to run.
+   * @returns {Promise<*>} - A Promise that resolves with the result of the callback.
+   * @throws {Error} - Throws an error if the lock cannot be acquired or the callback fails.
+   */
+  async withSchemaLock (callback) {
+    const SCHEMA_LOCK_TIMEOUT = 60; // seconds
+
+    const connection = await new Promise((resolve, reject) => {
+      this.pool.getConnection((err, connection) => {
+        if (err) return reject(err);
+        resolve(connection);
+      });
+    });
+    const query = (sql, values = []) => new Promise((resolve, reject) => {
+      connection.query(sql, values, (err, results) => {
+        if (err) {
+          err = new Error(err.message || err.toString());
+          return reject(err);
+        }
+        resolve(results);
+      });
+    });
+
+    try {
+      const [{ acquired }] = await query('SELECT GET_LOCK(?, ?) AS acquired', [this.migrationsTable, SCHEMA_LOCK_TIMEOUT]);
+      if (acquired !== 1) throw new Error('Timed out waiting for the schema migration lock.');
+
+      try {
+        return await callback(query);
+      } finally {
+        await query('SELECT RELEASE_LOCK(?)', [this.migrationsTable]);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Detects whether the logs table is partitioned. If it is not and `partitionLogs` is enabled,
+   * the table is converted to daily RANGE partitions on `timestamp_seconds`, a stored copy of the
+   * timestamp in whole seconds. Partitioning on the plain column rather than an expression lets
+   * MySQL prune partitions for conditions on it. Partitioned tables cannot have a FULLTEXT index,
+   * so the conversion drops it and `searchLogs` falls back to LIKE matching. The conversion
+   * rebuilds the table, which takes a while on large tables.
+   *
+   * @async
+   * @function prepareLogsPartitions
+   * @param {function(string, Array=): Promise<*>} query - A query function bound to the connection that holds the schema lock.
+   */
+  async prepareLogsPartitions (query) {
+    const partitions = await this.getLogsPartitions(query);
+    this.isLogsTablePartitioned = partitions.length > 0;
+
+    if (this.isLogsTablePartitioned) {
+      await this.addLogsPartitions(query, partitions);
+      return;
+    }
+    if (!this.partitionLogs) return;
+
+    const fulltextIndexes = await query(`SELECT DISTINCT INDEX_NAME AS name FROM information_schema.STATISTICS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_TYPE = 'FULLTEXT'`, [this.logsTable]);
+    const alterations = [
+      'MODIFY COLUMN `timestamp` TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)',
+      // UNIX_TIMESTAMP() of a TIMESTAMP(3) column is a DECIMAL, and partition keys must be integers
+      'ADD COLUMN `timestamp_seconds` INT UNSIGNED GENERATED ALWAYS AS (FLOOR(UNIX_TIMESTAMP(`timestamp`))) STORED NOT NULL',
+      'DROP PRIMARY KEY',
+      'ADD PRIMARY KEY (`id`, `timestamp_seconds`)',
+      ...fulltextIndexes.map(index => `DROP INDEX \`${index.name}\``)
     ];
+    await query(`ALTER TABLE \`${this.logsTable}\` ${alterations.join(', ')}`);
+
+    const [{ oldestTimestamp }] = await query(`SELECT MIN(timestamp) AS oldestTimestamp FROM ${this.logsTable}`);
+    const firstDay = getStartOfUTCDay(oldestTimestamp ? new Date(oldestTimestamp) : new Date());
+    const lastDay = getStartOfUTCDay(new Date()) + LOGS_PARTITIONS_AHEAD_DAYS * DAY_IN_MS;
+    await query(`ALTER TABLE \`${this.logsTable}\` PARTITION BY RANGE (\`timestamp_seconds\`) (
+      ${[...getDailyPartitionDefinitions(firstDay, lastDay), 'PARTITION pfuture VALUES LESS THAN MAXVALUE'].join(',\n      ')}
+    )`);
+    this.isLogsTablePartitioned = true;
+  }
 
-    const alterQueries = [
-      `ALTER TABLE \`${this.configTable}\` MODIFY COLUMN \`value\` TEXT NOT NULL;`
+  /**
+   * Adds the generated columns for `metaJSON` and `metaIndexes` to the logs table and drops the
+   * ones that are no longer configured. `meta_json` holds the meta as JSON, or NULL if it is not
+   * valid JSON, and each path in `metaIndexes` gets an indexed `meta_*` column with its value as
+   * text. The columns are VIRTUAL, so they take no space in the rows, but indexing a new path
+   * reads the whole table.
+   *
+   * @async
+   * @function prepareMetaColumns
+   * @param {function(string, Array=): Promise<*>} query - A query function bound to the connection that holds the schema lock.
+   */
+  async prepareMetaColumns (query) {
+    const metaColumns = new Map();
+    if (this.metaJSON) {
+      metaColumns.set('meta_json', 'JSON GENERATED ALWAYS AS (IF(JSON_VALID(`meta`), `meta`, NULL)) VIRTUAL');
+    }
+    this.metaIndexes.forEach(path => {
+      metaColumns.set(getMetaColumnName(path), `VARCHAR(255) GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(IF(JSON_VALID(\`meta\`), \`meta\`, NULL), '${path}')), 255)) VIRTUAL`);
+    });
+
+    const existingColumns = (await query(`SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME LIKE 'meta\\_%' AND GENERATION_EXPRESSION <> ''`, [this.logsTable]))
+      .map(column => column.name);
+    const alterations = [
+      ...existingColumns.filter(name => !metaColumns.has(name)).map(name => `DROP COLUMN \`${name}\``),
+      ...[...metaColumns].filter(([name]) => !existingColumns.includes(name)).flatMap(([name, definition]) => [
+        `ADD COLUMN \`${name}\` ${definition}`,
+        ...(name === 'meta_json' ? [] : [`ADD INDEX (\`${name}\`)`])
+      ])
     ];
+    if (alterations.length === 0) return;
+    await query(`ALTER TABLE \`${this.logsTable}\` ${alterations.join(', ')}`);
+  }
 
-    await Promise.all(tableQueries.map(query => {
-      return new Promise((resolve, reject) => {
-        this.pool.query(query, (err, results) => {
-          if (err) {
-            err = new Error(err.message || err.toString());
-            return reject(err);
-          }
-          resolve(results);
-        });
-      });
-    }));
+  async getLogsPartitions (query) {
+    return query(`SELECT PARTITION_NAME AS name, PARTITION_DESCRIPTION AS lessThan FROM information_schema.PARTITIONS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND PARTITION_NAME IS NOT NULL
+      ORDER BY PARTITION_ORDINAL_POSITION`, [this.logsTable]);
+  }
 
-    await Promise.all(alterQueries.map(query => {
-      return new Promise((resolve, reject) => {
-        this.pool.query(query, (err, results) => {
-          if (err) {
-            err = new Error(err.message || err.toString());
-            return reject(err);
-          }
-          resolve(results);
-        });
-      });
-    }));
+  /**
+   * Pre-creates the daily partitions of the logs table up to `LOGS_PARTITIONS_AHEAD_DAYS` days ahead
+   * by splitting them off the empty `pfuture` partition.
+   *
+   * @async
+   * @function addLogsPartitions
+   * @param {function(string, Array=): Promise<*>} query - A query function bound to the connection that holds the schema lock.
+   * @param {{name: string, lessThan: string}[]} [partitions] - The current partitions, if already known.
+   * @returns {Promise<number>} - A Promise that resolves with the number of partitions created.
+   */
+  async addLogsPartitions (query, partitions) {
+    partitions = partitions || await this.getLogsPartitions(query);
+    const dailyPartitions = partitions.filter(partition => partition.lessThan !== 'MAXVALUE');
+    if (dailyPartitions.length === 0) return 0;
+
+    const firstDay = parseInt(dailyPartitions[dailyPartitions.length - 1].lessThan, 10) * 1000;
+    const lastDay = getStartOfUTCDay(new Date()) + LOGS_PARTITIONS_AHEAD_DAYS * DAY_IN_MS;
+    const definitions = getDailyPartitionDefinitions(firstDay, lastDay);
+    if (definitions.length === 0) return 0;
+
+    await query(`ALTER TABLE \`${this.logsTable}\` REORGANIZE PARTITION pfuture INTO (
+      ${[...definitions, 'PARTITION pfuture VALUES LESS THAN MAXVALUE'].join(',\n      ')}
+    )`);
+    return definitions.length;
+  }
 
-    this.isConnectionInProgress = false;
+  /**
+   * Drops the partitions of the logs table whose whole range is older than the expiration time.
+   *
+   * @async
+   * @function dropExpiredLogsPartitions
+   * @param {function(string, Array=): Promise<*>} query - A query function bound to the connection that holds the schema lock.
+   * @param {Date} expirationTime - Logs older than this time are expired.
+   * @returns {Promise<string[]>} - A Promise that resolves with the names of the dropped partitions.
+   */
+  async dropExpiredLogsPartitions (query, expirationTime) {
+    const partitions = await this.getLogsPartitions(query);
+    const expiredPartitions = partitions
+      .filter(partition => partition.lessThan !== 'MAXVALUE' && parseInt(partition.lessThan, 10) * 1000 <= expirationTime.getTime())
+      .map(partition => partition.name);
+    if (expiredPartitions.length === 0) return [];
+
+    await this.archiveLogsPartitions(query, expiredPartitions);
+    await query(`ALTER TABLE \`${this.logsTable}\` DROP PARTITION ${expiredPartitions.join(', ')}`);
+    return expiredPartitions;
   }
 
   async ensureLogsTTL () {
@@ -218,6 +753,13 @@ class ErrsoleMySQL extends EventEmitter {
     }
   }
 
+  async ensureNotificationsTTL () {
+    const configResult = await this.getConfig('notificationsTTL');
+    if (!configResult.item) {
+      await this.setConfig('notificationsTTL', DEFAULT_NOTIFICATIONS_TTL.toString());
+    }
+  }
+
   /**
    * Retrieves a configuration entry from the database.
    *
@@ -228,6 +770,7 @@ class ErrsoleMySQL extends EventEmitter {
    * @throws {Error} - Throws an error if the operation fails.
    */
   async getConfig (key) {
+    await this.waitForConnection();
     const query = `SELECT * FROM ${this.configTable} WHERE \`key\` = ?`;
     return new Promise((resolve, reject) => {
       this.pool.query(query, [key], (err, results) => {
@@ -248,6 +791,11 @@ class ErrsoleMySQL extends EventEmitter {
    * @throws {Error} - Throws an error if the operation fails.
    */
   async setConfig (key, value) {
+    if (POSITIVE_INTEGER_CONFIGS[key] && !isPositiveInteger(value)) {
+      throw new Error(`Invalid ${key}. Expected ${POSITIVE_INTEGER_CONFIGS[key]}.`);
+    }
+
+    await this.waitForConnection();
     const query = `INSERT INTO ${this.configTable} (\`key\`, \`value\`) VALUES (?, ?) ON DUPLICATE KEY UPDATE \`value\` = VALUES(\`value\`)`;
 
     return new Promise((resolve, reject) => {
@@ -268,6 +816,7 @@ class ErrsoleMySQL extends EventEmitter {
    * @throws {Error} - Throws an error if the operation fails.
    */
   async deleteConfig (key) {
+    await this.waitForConnection();
     const query = `DELETE FROM ${this.configTable} WHERE \`key\` = ?`;
     return new Promise((resolve, reject) => {
       this.pool.query(query, [key], (err, results) => {
@@ -278,22 +827,132 @@ class ErrsoleMySQL extends EventEmitter {
     });
   }
 
+  /**
+   * Validates and stores the retention policy used by `deleteExpiredLogs`. Each rule matches logs by
+   * level, source and/or hostname and gives them their own TTL. The first matching rule applies, and
+   * logs that match no rule fall back to `logsTTL`.
+   *
+   * @async
+   * @function setLogsRetentionPolicy
+   * @param {RetentionRule[]} rules - The retention rules, in order of precedence. An empty array removes all rules.
+   * @returns {Promise<{item: Config}>} - A Promise that resolves with the stored configuration item.
+   * @throws {Error} - Throws an error if a rule is invalid or the operation fails.
+   */
+  async setLogsRetentionPolicy (rules) {
+    validateRetentionRules(rules);
+    return this.setConfig('logsRetentionPolicy', JSON.stringify(rules));
+  }
+
+  /**
+   * Retrieves the retention rules stored by `setLogsRetentionPolicy`. An invalid stored policy is
+   * reported and ignored, so that expiry falls back to `logsTTL`.
+   *
+   * @async
+   * @function getLogsRetentionPolicy
+   * @returns {Promise<RetentionRule[]>} - A Promise that resolves with the retention rules.
+   */
+  async getLogsRetentionPolicy () {
+    const configResult = await this.getConfig('logsRetentionPolicy');
+    if (!configResult.item) return [];
+    try {
+      const rules = JSON.parse(configResult.item.value);
+      validateRetentionRules(rules);
+      return rules;
+    } catch (err) {
+      console.error(new Error(`Ignoring invalid logsRetentionPolicy: ${err.message}`));
+      return [];
+    }
+  }
+
   /**
    * Adds log entries to the pending logs and flushes them if the batch size is reached.
+   * When a spool directory is configured, the entries are appended to the spool file instead,
+   * in the background; they are added to the pending logs if the spool cannot be written.
+   * Logs posted after `flushAndClose` has been called are discarded, since the pool is ending.
    *
    * @param {Log[]} logEntries - An array of log entries to be added to the pending logs.
    * @returns {Object} - An empty object.
    */
   postLogs (logEntries) {
+    if (this.isClosing) return {};
+    if (this.spool) {
+      this.spool.append(logEntries).catch(err => {
+        console.error(err);
+        this.addPendingLogs(logEntries);
+      });
+      return {};
+    }
+    this.addPendingLogs(logEntries);
+    return {};
+  }
+
+  /**
+   * Adds log entries to the in-memory buffer and flushes it if the batch size is reached.
+   *
+   * @function addPendingLogs
+   * @param {Log[]} logEntries - The log entries to add.
+   */
+  addPendingLogs (logEntries) {
     this.pendingLogs.push(...logEntries);
+    this.pendingLogsBytes += logEntries.reduce((size, logEntry) => size + getLogEntrySize(logEntry), 0);
+    this.dropOverflowingLogs();
     if (this.pendingLogs.length >= this.batchSize) {
       this.flushLogs();
     }
-    return {};
   }
 
   /**
-   * Flushes pending logs to the database.
+   * Sheds pending logs according to the overflow policy until the buffer is back within
+   * `maxPendingLogs` and `maxPendingLogsBytes`, and emits a `logsDropped` event with the counts.
+   *
+   * @function dropOverflowingLogs
+   * @returns {Log[]} - The dropped log entries.
+   */
+  dropOverflowingLogs () {
+    const isOverflowing = () => this.pendingLogs.length > this.maxPendingLogs || this.pendingLogsBytes > this.maxPendingLogsBytes;
+    if (!isOverflowing()) return [];
+
+    const droppedLogs = [];
+    const dropAt = index => {
+      const [logEntry] = this.pendingLogs.splice(index, 1);
+      this.pendingLogsBytes -= getLogEntrySize(logEntry);
+      droppedLogs.push(logEntry);
+    };
+
+    if (this.pendingLogsOverflowPolicy === 'drop-newest') {
+      while (isOverflowing()) dropAt(this.pendingLogs.length - 1);
+    } else if (this.pendingLogsOverflowPolicy === 'drop-by-level') {
+      const priorities = [...new Set(this.pendingLogs.map(getLogLevelPriority))].sort((a, b) => a - b);
+      for (const priority of priorities) {
+        for (let index = 0; index < this.pendingLogs.length && isOverflowing();) {
+          if (getLogLevelPriority(this.pendingLogs[index]) === priority) {
+            dropAt(index);
+          } else {
+            index++;
+          }
+        }
+      }
+    } else {
+      while (isOverflowing()) dropAt(0);
+    }
+
+    const levels = {};
+    droppedLogs.forEach(logEntry => {
+      levels[logEntry.level] = (levels[logEntry.level] || 0) + 1;
+    });
+    this.droppedLogsCount += droppedLogs.length;
+    this.emit('logsDropped', {
+      count: droppedLogs.length,
+      totalCount: this.droppedLogsCount,
+      policy: this.pendingLogsOverflowPolicy,
+      levels
+    });
+    return droppedLogs;
+  }
+
+  /**
+   * Flushes pending logs to the database. Does nothing once `flushAndClose` has been called,
+   * since it makes the last flush itself before ending the pool.
    *
    * @async
    * @function flushLogs
@@ -301,36 +960,434 @@ class ErrsoleMySQL extends EventEmitter {
    * @throws {Error} - Throws an error if the operation fails.
    */
   async flushLogs () {
-    while (this.isConnectionInProgress) {
-      await new Promise(resolve => setTimeout(resolve, 100));
+    if (this.isClosing) return {};
+    return this.flushPendingLogs();
+  }
+
+  /**
+   * Drains the spool and inserts the pending logs, requeueing the ones that fail.
+   *
+   * @async
+   * @function flushPendingLogs
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object.
+   */
+  async flushPendingLogs () {
+    try {
+      await this.waitForConnection();
+    } catch (err) {
+      return {}; // Logs stay pending until initialization succeeds
     }
 
+    if (this.spool) await this.flushSpool();
+
     const logsToPost = this.pendingLogs.splice(0, this.pendingLogs.length);
+    this.pendingLogsBytes = 0;
+    if (this.adaptiveFlush) this.adaptFlushSettings(logsToPost.length);
     if (logsToPost.length === 0) {
       return {}; // No logs to post
     }
 
-    const values = logsToPost.map(logEntry => [
-      new Date(logEntry.timestamp),
-      logEntry.hostname,
-      logEntry.pid,
-      logEntry.source,
-      logEntry.level,
-      logEntry.message,
-      logEntry.meta,
-      logEntry.errsole_id
-    ]);
+    try {
+      const { rejectedLogs } = await this.trackTask(this.insertLogs(logsToPost));
+      if (rejectedLogs.length > 0) await this.handleRejectedLogs(rejectedLogs);
+    } catch (err) {
+      const unsavedLogs = err.logEntries || logsToPost;
+      this.emitFlushError({ error: err, logEntries: unsavedLogs, action: 'requeued' });
+      this.requeueLogs(unsavedLogs);
+    }
+    return {};
+  }
 
-    return await new Promise((resolve, reject) => {
-      this.pool.getConnection((err, connection) => {
-        if (err) return reject(err);
-        connection.query(`INSERT IGNORE INTO ${this.logsTable} (timestamp, hostname, pid, source, level, message, meta, errsole_id) VALUES ?`, [values], () => {
-          connection.release();
+  /**
+   * Puts log entries back at the front of the pending logs so that the next flush retries them.
+   *
+   * @function requeueLogs
+   * @param {Log[]} logEntries - The log entries to requeue.
+   */
+  requeueLogs (logEntries) {
+    this.pendingLogs.unshift(...logEntries);
+    this.pendingLogsBytes += logEntries.reduce((size, logEntry) => size + getLogEntrySize(logEntry), 0);
+    this.dropOverflowingLogs();
+  }
+
+  /**
+   * Applies the retry policy to log entries that the database rejected: they are requeued until
+   * they have failed `flushRetryAttempts` times, then stored in the dead-letter table if it is
+   * enabled, or dropped otherwise. A `flushError` event is emitted for each outcome.
+   *
+   * @async
+   * @function handleRejectedLogs
+   * @param {{logEntry: Log, error: Error}[]} rejectedLogs - The rejected log entries with their errors.
+   * @param {function(Log[]): (void|Promise<void>)} [requeue] - Puts the entries to retry back, into the pending logs by default.
+   */
+  async handleRejectedLogs (rejectedLogs, requeue = logEntries => this.requeueLogs(logEntries)) {
+    const logsToRequeue = [];
+    const logsToGiveUp = [];
+    rejectedLogs.forEach(rejectedLog => {
+      const attempts = (this.flushAttempts.get(rejectedLog.logEntry) || 0) + 1;
+      this.flushAttempts.set(rejectedLog.logEntry, attempts);
+      if (attempts < this.flushRetryAttempts) {
+        logsToRequeue.push(rejectedLog);
+      } else {
+        logsToGiveUp.push(rejectedLog);
+      }
+    });
+
+    if (logsToRequeue.length > 0) {
+      this.emitFlushError({ error: logsToRequeue[0].error, logEntries: logsToRequeue.map(rejectedLog => rejectedLog.logEntry), action: 'requeued' });
+      await requeue(logsToRequeue.map(rejectedLog => rejectedLog.logEntry));
+    }
+
+    if (logsToGiveUp.length > 0) {
+      let action = 'dropped';
+      if (this.deadLetter) {
+        try {
+          await this.insertDeadLetterLogs(logsToGiveUp);
+          action = 'quarantined';
+        } catch (err) {
+          console.error(err);
+        }
+      }
+      this.emitFlushError({ error: logsToGiveUp[0].error, logEntries: logsToGiveUp.map(rejectedLog => rejectedLog.logEntry), action });
+    }
+  }
+
+  /**
+   * Stores log entries that could not be inserted in the dead-letter table, along with the error.
+   *
+   * @async
+   * @function insertDeadLetterLogs
+   * @param {{logEntry: Log, error: Error}[]} rejectedLogs - The rejected log entries with their errors.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async insertDeadLetterLogs (rejectedLogs) {
+    const values = rejectedLogs.map(({ logEntry, error }) => [
+      logEntry.timestamp ? String(logEntry.timestamp instanceof Date ? logEntry.timestamp.toISOString() : logEntry.timestamp) : null,
+      logEntry.hostname,
+      logEntry.pid,
+      logEntry.source,
+      logEntry.level,
+      logEntry.message,
+      logEntry.meta,
+      logEntry.errsole_id,
+      error.message,
+      this.flushAttempts.get(logEntry) || 1
+    ]);
+    const query = `INSERT INTO ${this.deadLetterTable} (timestamp, hostname, pid, source, level, message, meta, errsole_id, error, attempts) VALUES ?`;
+
+    return new Promise((resolve, reject) => {
+      this.pool.query(query, [values], err => {
+        if (err) return reject(err);
+        resolve({});
+      });
+    });
+  }
+
+  emitFlushError (event) {
+    if (this.listenerCount('flushError') === 0) console.error(event.error);
+    this.emit('flushError', event);
+  }
+
+  /**
+   * Adjusts the batch size and flush interval to the number of logs in the last flush:
+   * full batches double the batch size up to `maxBatchSize`, while nearly empty flushes
+   * halve the flush interval down to `minFlushInterval` so that sparse logs show up quickly.
+   *
+   * @function adaptFlushSettings
+   * @param {number} flushedCount - The number of logs in the last flush.
+   */
+  adaptFlushSettings (flushedCount) {
+    if (flushedCount >= this.batchSize) {
+      this.batchSize = Math.min(this.batchSize * 2, this.maxBatchSize);
+    } else if (flushedCount < this.batchSize / 4) {
+      this.batchSize = Math.max(Math.floor(this.batchSize / 2), this.minBatchSize);
+    }
+
+    if (flushedCount < this.minBatchSize / 10) {
+      this.currentFlushInterval = Math.max(Math.floor(this.currentFlushInterval / 2), this.minFlushInterval);
+    } else {
+      this.currentFlushInterval = Math.min(this.currentFlushInterval * 2, this.flushInterval);
+    }
+  }
+
+  /**
+   * Drains the spool into the database batch by batch. A failed insert leaves the batch
+   * in the spool and postpones the next attempt with exponential backoff. Entries that the
+   * database rejected are appended to the spool again, with their attempts, so that they
+   * stay on disk until they are inserted or given up; the next flush retries them.
+   *
+   * @async
+   * @function flushSpool
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object.
+   */
+  async flushSpool () {
+    const SPOOL_RETRY_BASE_DELAY = 1000;
+    const SPOOL_RETRY_MAX_DELAY = 60 * 1000;
+
+    if (this.flushSpoolRunning || Date.now() < this.spoolNextRetryAt) return {};
+
+    this.flushSpoolRunning = true;
+
+    try {
+      await this.spool.flush();
+      let batch;
+      while ((batch = await this.spool.read(this.batchSize, this.flushAttempts))) {
+        const { rejectedLogs } = batch.entries.length > 0
+          ? await this.trackTask(this.insertLogs(batch.entries))
+          : { rejectedLogs: [] };
+        if (rejectedLogs.length > 0) {
+          await this.handleRejectedLogs(rejectedLogs, logEntries => this.spool.append(logEntries, this.flushAttempts).catch(err => {
+            console.error(err);
+            this.requeueLogs(logEntries);
+          }));
+        }
+        await this.spool.commit(batch);
+        this.spoolRetryCount = 0;
+        this.spoolNextRetryAt = 0;
+        if (rejectedLogs.length > 0) break; // Retry the rejected entries on the next flush
+      }
+    } catch (err) {
+      const retryDelay = Math.min(SPOOL_RETRY_BASE_DELAY * 2 ** this.spoolRetryCount, SPOOL_RETRY_MAX_DELAY);
+      this.spoolRetryCount++;
+      this.spoolNextRetryAt = Date.now() + retryDelay;
+      this.emitFlushError({ error: err, logEntries: err.logEntries || [], action: 'retrying' });
+    } finally {
+      this.flushSpoolRunning = false;
+    }
+    return {};
+  }
+
+  /**
+   * Inserts log entries into the logs table. Entries are split into several INSERT statements
+   * when a single statement would exceed the server's `max_allowed_packet`. When a statement fails
+   * because of invalid data, it is bisected to isolate the offending entries, which are returned
+   * as rejected logs while the other entries are still inserted. Messages and meta longer than
+   * their 64KB columns are truncated rather than rejected.
+   *
+   * @async
+   * @function insertLogs
+   * @param {Log[]} logEntries - The log entries to insert.
+   * @param {Object} [options]
+   * @param {boolean} [options.isImport=false] - Whether the entries are historical logs, which are neither published to tails nor reopen issues.
+   * @returns {Promise<{rejectedLogs: {logEntry: Log, error: Error}[]}>} - A Promise that resolves with the log entries the database rejected.
+   * @throws {Error} - Throws an error if the operation fails for any other reason. Its `logEntries` property holds the entries that were not inserted.
+   */
+  async insertLogs (logEntries, { isImport = false } = {}) {
+    let connection;
+    try {
+      connection = await new Promise((resolve, reject) => {
+        this.pool.getConnection((err, connection) => {
           if (err) return reject(err);
-          resolve({});
+          resolve(connection);
         });
       });
+    } catch (err) {
+      err.logEntries = logEntries;
+      throw err;
+    }
+
+    const chunks = this.splitByPacketSize(logEntries);
+    const rejectedLogs = [];
+    try {
+      for (let i = 0; i < chunks.length; i++) {
+        let rejectedChunkLogs;
+        try {
+          rejectedChunkLogs = await this.insertLogsChunk(connection, chunks[i], { isImport });
+        } catch (err) {
+          err.logEntries = [].concat(...chunks.slice(i));
+          throw err;
+        }
+        rejectedLogs.push(...rejectedChunkLogs);
+
+        const rejectedEntries = new Set(rejectedChunkLogs.map(rejectedLog => rejectedLog.logEntry));
+        const insertedEntries = chunks[i].filter(logEntry => !rejectedEntries.has(logEntry));
+        await this.updateRollups(connection, insertedEntries);
+        if (!isImport) await this.reopenIssues(connection, insertedEntries);
+      }
+      return { rejectedLogs };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Adds inserted log entries to the per-minute counts in the rollups table. The rollups only feed
+   * `getLogStats`, so a failure is reported and does not fail the insert.
+   *
+   * @async
+   * @function updateRollups
+   * @param {Object} connection - The connection the logs were inserted with.
+   * @param {Log[]} logEntries - The inserted log entries.
+   */
+  async updateRollups (connection, logEntries) {
+    const counts = new Map();
+    logEntries.forEach(logEntry => {
+      const minuteStart = Math.floor(new Date(logEntry.timestamp).getTime() / 60000) * 60000;
+      const row = [minuteStart, logEntry.hostname || '', logEntry.source || '', logEntry.level || ''];
+      const key = JSON.stringify(row);
+      const rollup = counts.get(key) || [new Date(minuteStart), ...row.slice(1), 0];
+      rollup[4]++;
+      counts.set(key, rollup);
     });
+    if (counts.size === 0) return;
+
+    try {
+      await new Promise((resolve, reject) => {
+        const query = `INSERT INTO ${this.rollupsTable} (minute_start, hostname, source, level, \`count\`) VALUES ?
+          ON DUPLICATE KEY UPDATE \`count\` = \`count\` + VALUES(\`count\`)`;
+        connection.query(query, [[...counts.values()]], err => {
+          if (err) return reject(err);
+          resolve();
+        });
+      });
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  /**
+   * Reopens the resolved and muted issues that inserted log entries belong to. A resolved issue
+   * is reopened by a log newer than its resolution and emits a `regression` event; a muted issue
+   * is reopened by a log newer than `muted_until`. Like the rollups, a failure is reported and
+   * does not fail the insert.
+   *
+   * @async
+   * @function reopenIssues
+   * @param {Object} connection - The connection the logs were inserted with.
+   * @param {Log[]} logEntries - The inserted log entries.
+   */
+  async reopenIssues (connection, logEntries) {
+    const latestLogEntries = new Map();
+    logEntries.forEach(logEntry => {
+      const fingerprint = getFingerprint(logEntry.message);
+      const latestLogEntry = latestLogEntries.get(fingerprint);
+      if (fingerprint && (!latestLogEntry || new Date(logEntry.timestamp) > new Date(latestLogEntry.timestamp))) {
+        latestLogEntries.set(fingerprint, logEntry);
+      }
+    });
+    if (latestLogEntries.size === 0) return;
+
+    const query = (sql, values) => new Promise((resolve, reject) => {
+      connection.query(sql, values, (err, results) => {
+        if (err) return reject(err);
+        resolve(results);
+      });
+    });
+
+    try {
+      const issues = await query(`SELECT fingerprint, status, resolved_at AS resolvedAt, muted_until AS mutedUntil FROM ${this.issuesTable}
+        WHERE fingerprint IN (?) AND status IN ('resolved', 'muted')`, [[...latestLogEntries.keys()]]);
+      for (const issue of issues) {
+        const logEntry = latestLogEntries.get(issue.fingerprint);
+        const since = issue.status === 'resolved' ? issue.resolvedAt : issue.mutedUntil;
+        if (since && new Date(logEntry.timestamp) <= new Date(since)) continue;
+
+        // The status condition makes sure only one process reopens the issue and reports the regression
+        const results = await query(`UPDATE ${this.issuesTable} SET status = 'open', resolved_at = NULL, muted_until = NULL WHERE fingerprint = ? AND status = ?`, [issue.fingerprint, issue.status]);
+        if (results.affectedRows === 1 && issue.status === 'resolved') {
+          this.emit('regression', { fingerprint: issue.fingerprint, resolvedAt: issue.resolvedAt, logEntry });
+        }
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  async insertLogsChunk (connection, logEntries, { isImport = false } = {}) {
+    const values = logEntries.map(logEntry => [
+      new Date(logEntry.timestamp),
+      logEntry.hostname,
+      logEntry.pid,
+      logEntry.source,
+      logEntry.level,
+      // In strict mode, a value too long for its TEXT column fails the insert instead of being truncated
+      truncateToBytes(logEntry.message, TEXT_COLUMN_MAX_BYTES),
+      truncateToBytes(logEntry.meta, TEXT_COLUMN_MAX_BYTES),
+      logEntry.errsole_id,
+      getFingerprint(logEntry.message)
+    ]);
+
+    try {
+      const results = await new Promise((resolve, reject) => {
+        connection.query(`INSERT INTO ${this.logsTable} (timestamp, hostname, pid, source, level, message, meta, errsole_id, fingerprint) VALUES ?`, [values], (err, results) => {
+          if (err) return reject(err);
+          resolve(results);
+        });
+      });
+      if (!isImport) this.publishInsertedLogs(logEntries, results && results.insertId);
+      return [];
+    } catch (err) {
+      if (!isDataError(err)) throw err;
+      if (logEntries.length === 1) return [{ logEntry: logEntries[0], error: err }];
+      const middle = Math.ceil(logEntries.length / 2);
+      return [
+        ...await this.insertLogsChunk(connection, logEntries.slice(0, middle), { isImport }),
+        ...await this.insertLogsChunk(connection, logEntries.slice(middle), { isImport })
+      ];
+    }
+  }
+
+  /**
+   * Delivers inserted log entries to the tails. With `innodb_autoinc_lock_mode` 0 or 1, a multi-row
+   * INSERT gets consecutive ids starting with `insertId`, spaced by `auto_increment_increment`, so
+   * the entries are pushed with their ids to the tails whose filters can be checked without the
+   * database. The other tails, and all tails with other lock modes, poll right away instead, which
+   * reads the committed logs back by id.
+   *
+   * @function publishInsertedLogs
+   * @param {Log[]} logEntries - The log entries inserted by one statement.
+   * @param {number} [firstId] - The id of the first entry.
+   */
+  publishInsertedLogs (logEntries, firstId) {
+    if (this.tails.size === 0) return;
+    const logs = this.insertIdStep && firstId
+      ? logEntries.map((logEntry, index) => {
+        const log = { id: firstId + index * this.insertIdStep };
+        TAIL_LOG_COLUMNS.forEach(column => {
+          log[column] = logEntry[column] === undefined ? null : logEntry[column];
+        });
+        log.timestamp = new Date(logEntry.timestamp);
+        return log;
+      })
+      : null;
+    this.tails.forEach((matchLog, tail) => {
+      if (logs && matchLog) {
+        tail.push(logs.filter(matchLog));
+      } else {
+        tail.pollNow();
+      }
+    });
+  }
+
+  /**
+   * Splits log entries into chunks whose INSERT statement, with the values escaped, stays below
+   * `max_allowed_packet`.
+   * An entry that is too large on its own ends up in a chunk by itself.
+   *
+   * @function splitByPacketSize
+   * @param {Log[]} logEntries - The log entries to split.
+   * @returns {Log[][]} - The chunks of log entries.
+   */
+  splitByPacketSize (logEntries) {
+    const INSERT_STATEMENT_OVERHEAD_BYTES = 1024;
+    const maxChunkSize = Math.floor(this.maxAllowedPacket * 0.75) - INSERT_STATEMENT_OVERHEAD_BYTES;
+
+    const chunks = [];
+    let chunk = [];
+    let chunkSize = 0;
+    logEntries.forEach(logEntry => {
+      const logEntrySize = getLogEntryStatementSize(logEntry);
+      if (chunk.length > 0 && chunkSize + logEntrySize > maxChunkSize) {
+        chunks.push(chunk);
+        chunk = [];
+        chunkSize = 0;
+      }
+      chunk.push(logEntry);
+      chunkSize += logEntrySize;
+    });
+    if (chunk.length > 0) chunks.push(chunk);
+    return chunks;
   }
 
   /**
@@ -342,6 +1399,7 @@ class ErrsoleMySQL extends EventEmitter {
    * @throws {Error} - Throws an error if the operation fails.
    */
   async getHostnames () {
+    await this.waitForConnection();
     const query = `
     SELECT DISTINCT hostname 
     FROM ${this.logsTable} 
@@ -362,179 +1420,805 @@ class ErrsoleMySQL extends EventEmitter {
    *
    * @async
    * @function getLogs
-   * @param {LogFilter} [filters] - Filters to apply for log retrieval.
-   * @returns {Promise<{items: Log[]}>} - A Promise that resolves with an object containing log items.
-   * @throws {Error} - Throws an error if the operation fails.
+   * @param {LogFilter} [filters] - Filters to apply for log retrieval. See `compileLogFilters` for how they combine.
+   * @returns {Promise<{items: Log[], nextCursor: string|null, prevCursor: string|null, count?: number, countIsEstimate?: boolean}>} - A Promise that resolves with an object containing log items, oldest first, the cursors of the newer and older pages and, with `withCount`, the number of matching logs.
+   * @throws {Error} - Throws an error if the cursor is invalid or the operation fails.
    */
   async getLogs (filters = {}) {
+    await this.waitForConnection();
     const DEFAULT_LOGS_LIMIT = 100;
-    filters.limit = filters.limit || DEFAULT_LOGS_LIMIT;
+    const limit = filters.limit || DEFAULT_LOGS_LIMIT;
+    const { conditions, values, orderBy, shouldReverse, cursor } = this.compileLogFilters(filters);
 
-    const whereClauses = [];
-    const values = [];
-    let orderBy = 'id DESC';
-    let shouldReverse = true;
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const query = `SELECT id, hostname, pid, source, timestamp, level, message, errsole_id  FROM ${this.logsTable}  ${whereClause} ORDER BY ${orderBy} LIMIT ?`;
+    values.push(limit);
+
+    const items = await new Promise((resolve, reject) => {
+      this.pool.query(query, values, (err, results) => {
+        if (err) return reject(err);
+        if (shouldReverse) results.reverse();
+        resolve(results);
+      });
+    });
+    const result = { items, ...getLogsCursors(items, { orderBy, shouldReverse, limit, cursor }) };
+    if (filters.withCount) Object.assign(result, await this.countLogs(filters));
+    return result;
+  }
+
+  /**
+   * Retrieves log entries from the database based on specified search terms and filters. If only
+   * one of `lte_timestamp` and `gte_timestamp` is given, the other is set `searchWindow` away
+   * from it, unless `searchWindow` is `Infinity`.
+   *
+   * @async
+   * @function searchLogs
+   * @param {string[]|string} searchTerms - An array of search terms that must all match, or a search query such as `level:error host:api-* -timeout "connection refused" OR ECONNRESET`.
+   * @param {LogFilter} [filters] - Filters to refine the search. See `compileLogFilters` for how they combine.
+   * @returns {Promise<{items: Log[], filters: LogFilter, nextCursor: string|null, prevCursor: string|null, count?: number, countIsEstimate?: boolean}>} - A promise that resolves with an object containing an array of log items, oldest first, the applied filters including the limit and time window, the cursors of the newer and older pages and, with `withCount`, the number of matching logs.
+   * @throws {Error} - Throws an error if the search query or the cursor is invalid, or the operation fails.
+   */
+  async searchLogs (searchTerms, filters = {}) {
+    await this.waitForConnection();
+    const DEFAULT_LOGS_LIMIT = 100;
+    const limit = filters.limit || DEFAULT_LOGS_LIMIT;
+    const { conditions, values, orderBy, shouldReverse, cursor, filters: appliedFilters } = this.compileLogFilters(filters, { searchTerms, searchWindow: this.searchWindow });
+
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const query = `SELECT id, hostname, pid, source, timestamp, level, message, errsole_id FROM ${this.logsTable} ${whereClause} ORDER BY ${orderBy} LIMIT ?`;
+    values.push(limit);
+
+    const items = await new Promise((resolve, reject) => {
+      this.pool.query(query, values, (err, results) => {
+        if (err) return reject(err);
+        if (shouldReverse) results.reverse();
+        resolve(results);
+      });
+    });
+    const result = { items, filters: { ...appliedFilters, limit }, ...getLogsCursors(items, { orderBy, shouldReverse, limit, cursor }) };
+    if (filters.withCount) Object.assign(result, await this.countLogs(appliedFilters, searchTerms));
+    return result;
+  }
+
+  /**
+   * Compiles the filters of `getLogs`, `searchLogs`, `countLogs` and `exportLogs` to SQL
+   * conditions and a sort order, without modifying them. All given filters narrow the results:
+   * the search terms, `hostnames`, `hostname`, `sources`, `levels`, `pid`, `pids`,
+   * `message_like`, `message_regex`, `meta`, `level_json` or `errsole_id` (either matches),
+   * `lt_id`, `gt_id`, `lte_timestamp` and `gte_timestamp`. A `cursor` replaces `lt_id` and
+   * `gt_id`. The page is read from the first rule that applies:
+   *
+   * 1. With a `cursor`, in the order and direction of the page it came from.
+   * 2. With `lt_id`, the newest logs before it.
+   * 3. With `gt_id`, the oldest logs after it.
+   * 4. With `gte_timestamp`, the oldest logs from it.
+   * 5. With `lte_timestamp`, the newest logs up to it.
+   * 6. Otherwise, the newest logs.
+   *
+   * @param {LogFilter} [filters] - The filters.
+   * @param {Object} [options]
+   * @param {string[]|string} [options.searchTerms] - The search terms or query.
+   * @param {number} [options.searchWindow=Infinity] - If only one timestamp filter is given, the other is set this many milliseconds away from it.
+   * @param {boolean} [options.position=true] - Whether to apply `cursor`, `lt_id` and `gt_id`.
+   * @returns {{conditions: string[], values: Array, orderBy: string, shouldReverse: boolean, cursor: Object|null, filters: LogFilter}} - The SQL conditions and their values, the sort order, whether to reverse the rows to sort them oldest first, the decoded cursor, and a copy of the filters with the time window applied.
+   * @throws {Error} - Throws an error if the search query, a pid, a message pattern, the meta filter or the cursor is invalid.
+   */
+  compileLogFilters (filters = {}, { searchTerms, searchWindow = Infinity, position = true } = {}) {
+    const appliedFilters = { ...filters };
+    const cursor = position && filters.cursor ? decodeLogsCursor(filters.cursor) : null;
+
+    if (appliedFilters.lte_timestamp && !appliedFilters.gte_timestamp && isFinite(searchWindow)) {
+      appliedFilters.lte_timestamp = new Date(appliedFilters.lte_timestamp);
+      appliedFilters.gte_timestamp = new Date(appliedFilters.lte_timestamp.getTime() - searchWindow);
+    } else if (appliedFilters.gte_timestamp && !appliedFilters.lte_timestamp && isFinite(searchWindow)) {
+      appliedFilters.gte_timestamp = new Date(appliedFilters.gte_timestamp);
+      appliedFilters.lte_timestamp = new Date(appliedFilters.gte_timestamp.getTime() + searchWindow);
+    }
+
+    const searchCondition = this.compileSearchTerms(searchTerms);
+    const conditions = [...searchCondition.conditions];
+    const values = [...searchCondition.values];
 
-    // Apply filters
     if (filters.hostnames && filters.hostnames.length > 0) {
-      whereClauses.push('hostname IN (?)');
+      conditions.push('hostname IN (?)');
       values.push(filters.hostnames);
     }
-    if (filters.level_json || filters.errsole_id) {
+    if (filters.hostname) {
+      conditions.push('hostname = ?');
+      values.push(filters.hostname);
+    }
+    if (filters.sources && filters.sources.length > 0) {
+      conditions.push('source IN (?)');
+      values.push(filters.sources);
+    }
+    if (filters.levels && filters.levels.length > 0) {
+      conditions.push('level IN (?)');
+      values.push(filters.levels);
+    }
+    if (filters.pid !== undefined && filters.pid !== null) {
+      conditions.push('pid = ?');
+      values.push(toPid(filters.pid));
+    }
+    if (filters.pids && filters.pids.length > 0) {
+      conditions.push('pid IN (?)');
+      values.push(filters.pids.map(toPid));
+    }
+    if (filters.message_like !== undefined && filters.message_like !== null) {
+      if (typeof filters.message_like !== 'string') throw new Error('Invalid message_like. Expected a LIKE pattern string.');
+      conditions.push('message LIKE ?');
+      values.push(filters.message_like);
+    }
+    if (filters.message_regex !== undefined && filters.message_regex !== null) {
+      if (typeof filters.message_regex !== 'string' || filters.message_regex === '') {
+        throw new Error('Invalid message_regex. Expected a non-empty regular expression string.');
+      }
+      conditions.push('message REGEXP ?');
+      values.push(filters.message_regex);
+    }
+    if (filters.meta) {
+      const metaCondition = this.compileMetaFilter(filters.meta);
+      conditions.push(...metaCondition.conditions);
+      values.push(...metaCondition.values);
+    }
+    if ((filters.level_json && filters.level_json.length > 0) || filters.errsole_id) {
       const orConditions = [];
-
       if (filters.level_json && filters.level_json.length > 0) {
-        const levelConditions = filters.level_json.map(levelObj => '(source = ? AND level = ?)');
-        orConditions.push(`(${levelConditions.join(' OR ')})`);
-        filters.level_json.forEach(levelObj => {
-          values.push(levelObj.source, levelObj.level);
-        });
+        orConditions.push(`(${filters.level_json.map(() => '(source = ? AND level = ?)').join(' OR ')})`);
+        filters.level_json.forEach(levelObj => values.push(levelObj.source, levelObj.level));
       }
-
       if (filters.errsole_id) {
         orConditions.push('errsole_id = ?');
         values.push(filters.errsole_id);
       }
-
-      whereClauses.push(`(${orConditions.join(' OR ')})`);
+      conditions.push(`(${orConditions.join(' OR ')})`);
     }
-    if (filters.lt_id) {
-      whereClauses.push('id < ?');
-      values.push(filters.lt_id);
+    if (cursor) {
+      const keyset = compileLogsCursor(cursor);
+      conditions.push(keyset.condition);
+      values.push(...keyset.values);
+    } else if (position) {
+      if (filters.lt_id) {
+        conditions.push('id < ?');
+        values.push(filters.lt_id);
+      }
+      if (filters.gt_id) {
+        conditions.push('id > ?');
+        values.push(filters.gt_id);
+      }
+    }
+    if (appliedFilters.lte_timestamp) {
+      conditions.push('timestamp <= ?');
+      values.push(new Date(appliedFilters.lte_timestamp));
+    }
+    if (appliedFilters.gte_timestamp) {
+      conditions.push('timestamp >= ?');
+      values.push(new Date(appliedFilters.gte_timestamp));
+    }
+
+    let orderBy = 'id DESC';
+    let shouldReverse = true;
+    if (cursor) {
+      ({ orderBy, shouldReverse } = compileLogsCursor(cursor));
+    } else if (position && filters.lt_id) {
       orderBy = 'id DESC';
       shouldReverse = true;
-    } else if (filters.gt_id) {
-      whereClauses.push('id > ?');
-      values.push(filters.gt_id);
+    } else if (position && filters.gt_id) {
       orderBy = 'id ASC';
       shouldReverse = false;
-    } else if (filters.lte_timestamp || filters.gte_timestamp) {
-      if (filters.lte_timestamp) {
-        whereClauses.push('timestamp <= ?');
-        values.push(new Date(filters.lte_timestamp));
-        orderBy = 'timestamp DESC, id DESC';
-        shouldReverse = true;
+    } else if (filters.gte_timestamp) {
+      orderBy = 'timestamp ASC, id ASC';
+      shouldReverse = false;
+    } else if (filters.lte_timestamp) {
+      orderBy = 'timestamp DESC, id DESC';
+      shouldReverse = true;
+    }
+
+    return { conditions, values, orderBy, shouldReverse, cursor, filters: appliedFilters };
+  }
+
+  /**
+   * Counts the logs matching the filters and search terms of `getLogs` or `searchLogs`, ignoring
+   * the position of the page (`cursor`, `lt_id` and `gt_id`). Up to `EXACT_COUNT_LIMIT` matches
+   * are counted exactly. Beyond that, the count is estimated from the per-minute rollups if the
+   * filters only use hostnames, sources, levels and timestamps, or else from the row estimate of
+   * EXPLAIN.
+   *
+   * @async
+   * @function countLogs
+   * @param {LogFilter} filters - The filters of the page.
+   * @param {string[]|string} [searchTerms] - The search terms or query of the page.
+   * @returns {Promise<{count: number, countIsEstimate: boolean}>} - A Promise that resolves with the count, and whether it is an estimate.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async countLogs (filters, searchTerms) {
+    const EXACT_COUNT_LIMIT = 10000;
+
+    const query = (sql, values) => new Promise((resolve, reject) => {
+      this.pool.query(sql, values, (err, results) => {
+        if (err) return reject(err);
+        resolve(results);
+      });
+    });
+
+    const { conditions, values } = this.compileLogFilters(filters, { searchTerms, position: false });
+    const rollupsWhereClauses = [];
+    const rollupsValues = [];
+    if (filters.hostnames && filters.hostnames.length > 0) {
+      rollupsWhereClauses.push('hostname IN (?)');
+      rollupsValues.push(filters.hostnames);
+    }
+    if (filters.hostname) {
+      rollupsWhereClauses.push('hostname = ?');
+      rollupsValues.push(filters.hostname);
+    }
+    if (filters.sources && filters.sources.length > 0) {
+      rollupsWhereClauses.push('source IN (?)');
+      rollupsValues.push(filters.sources);
+    }
+    if (filters.levels && filters.levels.length > 0) {
+      rollupsWhereClauses.push('level IN (?)');
+      rollupsValues.push(filters.levels);
+    }
+    if (filters.level_json && filters.level_json.length > 0) {
+      rollupsWhereClauses.push(`(${filters.level_json.map(() => '(source = ? AND level = ?)').join(' OR ')})`);
+      filters.level_json.forEach(levelObj => rollupsValues.push(levelObj.source, levelObj.level));
+    }
+    if (filters.lte_timestamp) {
+      rollupsWhereClauses.push('minute_start <= ?');
+      rollupsValues.push(new Date(filters.lte_timestamp));
+    }
+    if (filters.gte_timestamp) {
+      rollupsWhereClauses.push('minute_start >= ?');
+      rollupsValues.push(new Date(Math.floor(new Date(filters.gte_timestamp).getTime() / 60000) * 60000));
+    }
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [{ count }] = await query(`SELECT COUNT(*) AS count FROM (SELECT 1 FROM ${this.logsTable} ${whereClause} LIMIT ?) AS matches`, [...values, EXACT_COUNT_LIMIT + 1]);
+    if (Number(count) <= EXACT_COUNT_LIMIT) return { count: Number(count), countIsEstimate: false };
+
+    let estimate;
+    const hasPidFilter = (filters.pid !== undefined && filters.pid !== null) || (filters.pids && filters.pids.length > 0);
+    const hasMessageFilter = this.compileSearchTerms(searchTerms).conditions.length > 0 ||
+      (filters.message_like !== undefined && filters.message_like !== null) || (filters.message_regex !== undefined && filters.message_regex !== null);
+    if (!hasMessageFilter && !hasPidFilter && !filters.meta && !filters.errsole_id) {
+      const rollupsWhereClause = rollupsWhereClauses.length ? `WHERE ${rollupsWhereClauses.join(' AND ')}` : '';
+      const [{ count: rollupsCount }] = await query(`SELECT SUM(\`count\`) AS count FROM ${this.rollupsTable} ${rollupsWhereClause}`, rollupsValues);
+      estimate = Number(rollupsCount);
+    } else {
+      const [plan] = await query(`EXPLAIN SELECT id FROM ${this.logsTable} ${whereClause}`, values);
+      estimate = Number(plan.rows) * (plan.filtered === undefined || plan.filtered === null ? 1 : Number(plan.filtered) / 100);
+    }
+    // The exact count already showed there are more matches than the limit
+    return { count: Math.max(Math.round(estimate) || 0, EXACT_COUNT_LIMIT + 1), countIsEstimate: true };
+  }
+
+  /**
+   * Builds the conditions that match logs containing all of the search terms, or matching a
+   * search query string (see `parseSearchQuery` for the syntax). Partitioned tables cannot have a
+   * FULLTEXT index, so they are matched with LIKE instead.
+   *
+   * @param {string[]|string} searchTerms - The search terms, or a search query.
+   * @returns {{conditions: string[], values: Array}} - The SQL conditions and their values.
+   * @throws {Error} - Throws an error if the search query is invalid.
+   */
+  compileSearchTerms (searchTerms) {
+    if (typeof searchTerms === 'string') {
+      const ast = parseSearchQuery(searchTerms);
+      if (!ast) return { conditions: [], values: [] };
+      const { condition, values } = compileSearchQuery(ast, { fullText: !this.isLogsTablePartitioned });
+      return { conditions: [condition], values };
+    }
+    if (!searchTerms || searchTerms.length === 0) return { conditions: [], values: [] };
+    if (this.isLogsTablePartitioned) {
+      return {
+        conditions: searchTerms.map(() => 'message LIKE ?'),
+        values: searchTerms.map(term => `%${term.replace(/[\\%_]/g, '\\$&')}%`)
+      };
+    }
+    return {
+      conditions: ['MATCH(message) AGAINST (? IN BOOLEAN MODE)'],
+      values: [searchTerms.map(term => `+"${term}"`).join(' ')]
+    };
+  }
+
+  /**
+   * Builds the conditions that match logs whose meta, parsed as JSON, satisfies all of the given
+   * filters. Logs whose meta is not valid JSON never match. Comparisons with `=` and `!=` use the
+   * indexed column of a path in `metaIndexes`, which compares values as text, so `42` and `"42"`
+   * are equal there. Other comparisons use the JSON value and are typed.
+   *
+   * @param {MetaFilter|MetaFilter[]} meta - The meta filters.
+   * @returns {{conditions: string[], values: Array}} - The SQL conditions and their values.
+   * @throws {Error} - Throws an error if a filter is invalid.
+   */
+  compileMetaFilter (meta) {
+    const metaDocument = this.metaJSON ? 'meta_json' : 'IF(JSON_VALID(meta), meta, NULL)';
+    const conditions = [];
+    const values = [];
+    [].concat(meta).forEach(({ path, op = '=', value } = {}) => {
+      if (!isValidMetaPath(path)) throw new Error('Invalid meta filter path. Expected a JSON path such as $.userId or $.items[0].id.');
+      if (!META_FILTER_OPERATORS.includes(op)) throw new Error(`Invalid meta filter operator. Expected one of: ${META_FILTER_OPERATORS.join(', ')}.`);
+      if (op === 'exists') {
+        conditions.push(`JSON_CONTAINS_PATH(${metaDocument}, 'one', ?)`);
+        values.push(path);
+        return;
+      }
+      if (!['string', 'number', 'boolean'].includes(typeof value) || (typeof value === 'number' && !isFinite(value))) {
+        throw new Error('Invalid meta filter value. Expected a string, number or boolean.');
       }
-      if (filters.gte_timestamp) {
-        whereClauses.push('timestamp >= ?');
-        values.push(new Date(filters.gte_timestamp));
-        orderBy = 'timestamp ASC, id ASC';
-        shouldReverse = false;
+      if ((op === '=' || op === '!=') && this.metaIndexes.includes(path)) {
+        conditions.push(`${getMetaColumnName(path)} ${op} ?`);
+        values.push(String(value));
+        return;
       }
+      conditions.push(`JSON_EXTRACT(${metaDocument}, ?) ${op} CAST(? AS JSON)`);
+      values.push(path, JSON.stringify(value));
+    });
+    return { conditions, values };
+  }
+
+  /**
+   * Streams all logs matching the filters, oldest first, without paginating. Unlike `getLogs` and
+   * `searchLogs`, there is no default limit and no default time window.
+   *
+   * @async
+   * @function exportLogs
+   * @param {LogFilter & {searchTerms?: string[]|string}} [filters] - The filters to match, as in `getLogs`, and the search terms or query. The `limit` is optional.
+   * @param {Object} [options]
+   * @param {string} [options.format='ndjson'] - One of `ndjson`, `csv` or `json` (a single JSON array).
+   * @param {boolean} [options.includeMeta=false] - Whether to include the `meta` column.
+   * @returns {Promise<Readable>} - A Promise that resolves with a Readable stream of the formatted logs.
+   * @throws {Error} - Throws an error if the format or the search query is invalid.
+   */
+  async exportLogs (filters = {}, { format = 'ndjson', includeMeta = false } = {}) {
+    if (!LOG_FORMATS.includes(format)) {
+      throw new Error(`Invalid format. Expected one of: ${LOG_FORMATS.join(', ')}.`);
     }
 
-    const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
-    const query = `SELECT id, hostname, pid, source, timestamp, level, message, errsole_id  FROM ${this.logsTable}  ${whereClause} ORDER BY ${orderBy} LIMIT ?`;
-    values.push(filters.limit);
+    await this.waitForConnection();
+
+    const { conditions, values } = this.compileLogFilters(filters, { searchTerms: filters.searchTerms });
+
+    const columns = ['id', 'hostname', 'pid', 'source', 'timestamp', 'level', 'message', 'errsole_id'];
+    if (includeMeta) columns.push('meta');
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    let query = `SELECT ${columns.join(', ')} FROM ${this.logsTable} ${whereClause} ORDER BY id ASC`;
+    if (filters.limit) {
+      query += ' LIMIT ?';
+      values.push(filters.limit);
+    }
+
+    const rows = this.pool.query(query, values).stream();
+    return stream.pipeline(rows, createLogFormatter(format, { includeMeta }), () => {});
+  }
+
+  /**
+   * Subscribes to new logs matching the filters. Logs inserted by this instance are delivered as
+   * soon as their batch is inserted, and logs written by other processes are read by id every
+   * `pollInterval`. Filters on the message or meta, including search terms, can only be checked
+   * by the database, and the ids of inserted logs are only known without reading them back if
+   * the server's `innodb_autoinc_lock_mode` is 0 or 1, see `loadInsertIdStep`. Otherwise, the tail
+   * polls as soon as a batch is inserted, which costs a query per tail and batch.
+   *
+   * Each log is delivered once, but not always in id order. Without `onLog`, iterate over the
+   * returned tail with `for await`; breaking out of the loop ends the subscription.
+   *
+   * @function tailLogs
+   * @param {LogFilter & {searchTerms?: string[]|string}} [filters] - The filters to match, as in `getLogs`, and the search terms or query. With `gt_id`, the tail starts with the logs after it, and else with the logs written from now on. `lt_id`, `cursor`, `limit` and `withCount` are ignored.
+   * @param {function(Log): void} [onLog] - Receives each matching log.
+   * @param {Object} [options]
+   * @param {number} [options.pollInterval=1000] - The time between polls in milliseconds.
+   * @returns {LogTail} - The subscription, with an `unsubscribe()` method.
+   * @throws {Error} - Throws an error if the filters or `onLog` are invalid.
+   */
+  tailLogs (filters = {}, onLog, { pollInterval = 1000 } = {}) {
+    if (onLog !== undefined && typeof onLog !== 'function') throw new Error('Invalid onLog. Expected a function.');
+    if (filters.gt_id !== undefined && filters.gt_id !== null && !Number.isSafeInteger(Number(filters.gt_id))) {
+      throw new Error('Invalid gt_id. Expected a log id.');
+    }
+    const { searchTerms, gt_id: gtId, lt_id: ltId, cursor, limit, withCount, ...tailFilters } = filters;
+    // Validates the filters before the tail starts
+    this.compileLogFilters(tailFilters, { searchTerms });
+    if (this.insertIdStep === null) this.loadInsertIdStep();
+
+    const query = (sql, values) => new Promise((resolve, reject) => {
+      this.pool.query(sql, values, (err, results) => {
+        if (err) return reject(err);
+        resolve(results);
+      });
+    });
+
+    const tail = new LogTail({
+      lastId: gtId === undefined || gtId === null ? null : Number(gtId),
+      pollInterval,
+      onLog,
+      getMaxId: async () => {
+        await this.waitForConnection();
+        const [{ maxId }] = await query(`SELECT MAX(id) AS maxId FROM ${this.logsTable}`, []);
+        return maxId;
+      },
+      fetch: async (afterId, maxId, batchSize) => {
+        const { conditions, values } = this.compileLogFilters({ ...tailFilters, gt_id: afterId }, { searchTerms });
+        conditions.push('id <= ?');
+        values.push(maxId, batchSize);
+        return query(`SELECT id, hostname, pid, source, timestamp, level, message, errsole_id FROM ${this.logsTable} WHERE ${conditions.join(' AND ')} ORDER BY id ASC LIMIT ?`, values);
+      },
+      onClose: () => this.tails.delete(tail)
+    });
+    this.tails.set(tail, getTailMatcher(tailFilters, searchTerms));
+    return tail;
+  }
+
+  /**
+   * Reads the step between the ids of the rows of a multi-row INSERT, which `publishInsertedLogs`
+   * needs to know the ids of inserted logs. The interleaved lock mode (2), the default of MySQL 8,
+   * does not keep the ids of a statement consecutive when other clients insert at the same time,
+   * so the step is set to 0 and tails poll for the inserted logs instead. Until the step is known,
+   * they do too.
+   *
+   * @async
+   * @function loadInsertIdStep
+   */
+  async loadInsertIdStep () {
+    try {
+      await this.waitForConnection();
+      const [{ increment, lockMode }] = await new Promise((resolve, reject) => {
+        this.pool.query('SELECT @@auto_increment_increment AS increment, @@innodb_autoinc_lock_mode AS lockMode', (err, results) => {
+          if (err) return reject(err);
+          resolve(results);
+        });
+      });
+      this.insertIdStep = [0, 1].includes(Number(lockMode)) ? Number(increment) || 1 : 0;
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  /**
+   * Bulk-loads logs, such as an export of this or another Errsole storage, through the same
+   * batched insert path as `flushLogs`. The original timestamps are kept, and the logs get new ids.
+   * Imported logs are counted in the rollups, but they are not delivered to tails and do not
+   * reopen resolved or muted issues, since they are history rather than new occurrences. Entries that cannot be parsed or fail validation are counted as invalid, and entries the
+   * database rejects are counted as skipped. Up to 100 of these are listed in `errors` with their
+   * line numbers.
+   *
+   * @async
+   * @function importLogs
+   * @param {Readable} readable - The input stream.
+   * @param {Object} [options]
+   * @param {string} [options.format='ndjson'] - One of `ndjson`, `csv` or `json` (a single JSON array).
+   * @returns {Promise<{inserted: number, skipped: number, invalid: number, errors: {line: number, message: string}[]}>} - A Promise that resolves with the import counts.
+   * @throws {Error} - Throws an error if the format is invalid or the insert fails for a reason other than invalid data. Its `importResult` property holds the counts so far.
+   */
+  async importLogs (readable, { format = 'ndjson' } = {}) {
+    const MAX_REPORTED_ERRORS = 100;
+
+    if (!LOG_FORMATS.includes(format)) {
+      throw new Error(`Invalid format. Expected one of: ${LOG_FORMATS.join(', ')}.`);
+    }
+
+    await this.waitForConnection();
+
+    const result = { inserted: 0, skipped: 0, invalid: 0, errors: [] };
+    const reportError = (line, message) => {
+      if (result.errors.length < MAX_REPORTED_ERRORS) result.errors.push({ line, message });
+    };
+    const lineNumbers = new Map();
+    const insertBatch = async () => {
+      const logEntries = [...lineNumbers.keys()];
+      const { rejectedLogs } = await this.insertLogs(logEntries, { isImport: true });
+      result.inserted += logEntries.length - rejectedLogs.length;
+      result.skipped += rejectedLogs.length;
+      rejectedLogs.forEach(({ logEntry, error }) => reportError(lineNumbers.get(logEntry), error.message));
+      lineNumbers.clear();
+    };
+
+    try {
+      for await (const { line, entry, error } of parseLogs(readable, format)) {
+        let logEntry;
+        try {
+          if (error) throw error;
+          logEntry = normalizeLogEntry(entry);
+        } catch (err) {
+          result.invalid++;
+          reportError(line, err.message);
+          continue;
+        }
+        lineNumbers.set(logEntry, line);
+        if (lineNumbers.size >= this.maxBatchSize) await insertBatch();
+      }
+      if (lineNumbers.size > 0) await insertBatch();
+    } catch (err) {
+      err.importResult = result;
+      throw err;
+    }
+    return result;
+  }
+
+  /**
+   * Counts logs per time bucket, grouped by any of level, source and hostname. Intervals of whole
+   * minutes are summed from the per-minute rollups table, so the range is widened to whole minutes
+   * and the counts include logs that have since been deleted by a shorter retention rule or the
+   * size limit. Other intervals count the logs table itself through the
+   * `(hostname, source, level, timestamp, id)` indexes, which cover every column the query reads.
+   * Only buckets that contain logs are returned.
+   *
+   * @async
+   * @function getLogStats
+   * @param {Object} [options]
+   * @param {Date|string} [options.gte_timestamp] - The start of the range. Defaults to 24 hours before the end.
+   * @param {Date|string} [options.lte_timestamp] - The end of the range. Defaults to now.
+   * @param {string|number} [options.interval='1h'] - The bucket size, either in milliseconds or as a number followed by s, m, h or d.
+   * @param {string|string[]} [options.groupBy=[]] - Any of `level`, `source` and `hostname`.
+   * @param {string[]} [options.hostnames] - Only count logs from these hostnames.
+   * @param {string[]} [options.sources] - Only count logs from these sources.
+   * @param {string[]} [options.levels] - Only count logs with these levels.
+   * @returns {Promise<{items: {bucket: Date, count: number, level?: string, source?: string, hostname?: string}[], interval: number}>} - A Promise that resolves with the counts, ordered by bucket, and the bucket size in milliseconds.
+   * @throws {Error} - Throws an error if an option is invalid or the operation fails.
+   */
+  async getLogStats ({ gte_timestamp: gteTimestamp, lte_timestamp: lteTimestamp, interval = '1h', groupBy = [], hostnames, sources, levels } = {}) {
+    const MAX_BUCKETS = 10000;
+
+    const intervalMs = parseInterval(interval);
+    if (!intervalMs || intervalMs % 1000 !== 0) {
+      throw new Error('Invalid interval. Expected a whole number of seconds, such as 60000 or one of 30s, 5m, 1h and 1d.');
+    }
+    groupBy = [].concat(groupBy);
+    const invalidGroup = groupBy.find(column => !LOG_STATS_GROUP_COLUMNS.includes(column));
+    if (invalidGroup !== undefined) {
+      throw new Error(`Invalid groupBy. Expected any of: ${LOG_STATS_GROUP_COLUMNS.join(', ')}.`);
+    }
+    const lte = lteTimestamp ? new Date(lteTimestamp) : new Date();
+    const gte = gteTimestamp ? new Date(gteTimestamp) : new Date(lte.getTime() - DAY_IN_MS);
+    if (isNaN(gte.getTime()) || isNaN(lte.getTime()) || gte > lte) {
+      throw new Error('Invalid time range. Expected gte_timestamp to be before lte_timestamp.');
+    }
+    if ((lte - gte) / intervalMs > MAX_BUCKETS) {
+      throw new Error(`Too many buckets. Use a larger interval or a shorter range to stay within ${MAX_BUCKETS} buckets.`);
+    }
+
+    await this.waitForConnection();
+
+    const useRollups = intervalMs % 60000 === 0;
+    const table = useRollups ? this.rollupsTable : this.logsTable;
+    const timeColumn = useRollups ? 'minute_start' : 'timestamp';
+    const countExpression = useRollups ? 'SUM(`count`)' : 'COUNT(*)';
+
+    const intervalSeconds = intervalMs / 1000;
+    const whereClauses = [`${timeColumn} >= ?`, `${timeColumn} <= ?`];
+    const values = [intervalSeconds, useRollups ? new Date(Math.floor(gte.getTime() / 60000) * 60000) : gte, lte];
+    if (hostnames && hostnames.length > 0) {
+      whereClauses.push('hostname IN (?)');
+      values.push(hostnames);
+    }
+    if (sources && sources.length > 0) {
+      whereClauses.push('source IN (?)');
+      values.push(sources);
+    }
+    if (levels && levels.length > 0) {
+      whereClauses.push('level IN (?)');
+      values.push(levels);
+    }
+
+    const groupColumns = ['bucket', ...groupBy];
+    const query = `SELECT FLOOR(UNIX_TIMESTAMP(${timeColumn}) / ?) AS bucket, ${groupBy.map(column => `${column}, `).join('')}${countExpression} AS count
+      FROM ${table} WHERE ${whereClauses.join(' AND ')}
+      GROUP BY ${groupColumns.join(', ')} ORDER BY ${groupColumns.join(', ')}`;
+
+    return new Promise((resolve, reject) => {
+      this.pool.query(query, values, (err, results) => {
+        if (err) return reject(err);
+        const items = results.map(row => {
+          const item = { ...row, bucket: new Date(Number(row.bucket) * intervalMs), count: Number(row.count) };
+          // The rollups store missing values as empty strings
+          if (useRollups) groupBy.forEach(column => { if (item[column] === '') item[column] = null; });
+          return item;
+        });
+        resolve({ items, interval: intervalMs });
+      });
+    });
+  }
+
+  /**
+   * Groups the logs of a time range by fingerprint, so that messages differing only by ids,
+   * numbers, quoted values and the like are counted together. Logs stored before fingerprints
+   * were introduced are not grouped.
+   *
+   * @async
+   * @function getLogGroups
+   * @param {Object} [filters]
+   * @param {Date|string} [filters.gte_timestamp] - The start of the range. Defaults to 24 hours before `lte_timestamp`.
+   * @param {Date|string} [filters.lte_timestamp] - The end of the range. Defaults to now.
+   * @param {string[]} [filters.hostnames] - Only group logs from these hostnames.
+   * @param {string[]} [filters.sources] - Only group logs from these sources.
+   * @param {string[]} [filters.levels] - Only group logs with these levels.
+   * @param {number} [filters.limit=100] - The maximum number of groups.
+   * @returns {Promise<{items: {fingerprint: string, count: number, firstSeen: Date, lastSeen: Date, hostnames: string[], sampleLogId: number, status: string}[]}>} - A Promise that resolves with the groups, most frequent first. The sample is the latest log of each group, and the status is that of its issue.
+   * @throws {Error} - Throws an error if the time range is invalid or the operation fails.
+   */
+  async getLogGroups ({ gte_timestamp: gteTimestamp, lte_timestamp: lteTimestamp, hostnames, sources, levels, limit = 100 } = {}) {
+    const lte = lteTimestamp ? new Date(lteTimestamp) : new Date();
+    const gte = gteTimestamp ? new Date(gteTimestamp) : new Date(lte.getTime() - DAY_IN_MS);
+    if (isNaN(gte.getTime()) || isNaN(lte.getTime()) || gte > lte) {
+      throw new Error('Invalid time range. Expected gte_timestamp to be before lte_timestamp.');
+    }
+
+    await this.waitForConnection();
+
+    const whereClauses = ['fingerprint IS NOT NULL', 'timestamp >= ?', 'timestamp <= ?'];
+    const values = [gte, lte];
+    if (hostnames && hostnames.length > 0) {
+      whereClauses.push('hostname IN (?)');
+      values.push(hostnames);
+    }
+    if (sources && sources.length > 0) {
+      whereClauses.push('source IN (?)');
+      values.push(sources);
+    }
+    if (levels && levels.length > 0) {
+      whereClauses.push('level IN (?)');
+      values.push(levels);
+    }
+    const whereClause = whereClauses.join(' AND ');
+
+    const groupsQuery = `SELECT fingerprint, COUNT(*) AS count, MIN(timestamp) AS firstSeen, MAX(timestamp) AS lastSeen, MAX(id) AS sampleLogId
+      FROM ${this.logsTable} WHERE ${whereClause}
+      GROUP BY fingerprint ORDER BY count DESC, lastSeen DESC LIMIT ?`;
+    const groups = await new Promise((resolve, reject) => {
+      this.pool.query(groupsQuery, [...values, limit], (err, results) => {
+        if (err) return reject(err);
+        resolve(results);
+      });
+    });
+    if (groups.length === 0) return { items: [] };
+
+    const hostnamesQuery = `SELECT DISTINCT fingerprint, hostname FROM ${this.logsTable}
+      WHERE ${whereClause} AND fingerprint IN (?) AND hostname IS NOT NULL`;
+    const groupHostnames = await new Promise((resolve, reject) => {
+      this.pool.query(hostnamesQuery, [...values, groups.map(group => group.fingerprint)], (err, results) => {
+        if (err) return reject(err);
+        resolve(results);
+      });
+    });
+
+    const issues = await new Promise((resolve, reject) => {
+      this.pool.query(`SELECT fingerprint, status FROM ${this.issuesTable} WHERE fingerprint IN (?)`, [groups.map(group => group.fingerprint)], (err, results) => {
+        if (err) return reject(err);
+        resolve(results);
+      });
+    });
+
+    const hostnamesByFingerprint = new Map(groups.map(group => [group.fingerprint, []]));
+    groupHostnames.forEach(row => hostnamesByFingerprint.get(row.fingerprint).push(row.hostname));
+    const statusesByFingerprint = new Map(issues.map(issue => [issue.fingerprint, issue.status]));
+    const items = groups.map(group => ({
+      fingerprint: group.fingerprint,
+      count: Number(group.count),
+      firstSeen: group.firstSeen,
+      lastSeen: group.lastSeen,
+      hostnames: hostnamesByFingerprint.get(group.fingerprint).sort(),
+      sampleLogId: Number(group.sampleLogId),
+      status: statusesByFingerprint.get(group.fingerprint) || 'open'
+    }));
+    return { items };
+  }
 
+  /**
+   * Retrieves the triage state of a log group.
+   *
+   * @async
+   * @function getIssue
+   * @param {string} fingerprint - The fingerprint of the log group.
+   * @returns {Promise<{item: Issue}>} - A Promise that resolves with an object containing the issue.
+   * @throws {Error} - Throws an error if the log group has never been triaged, in which case it is open, or the operation fails.
+   */
+  async getIssue (fingerprint) {
+    await this.waitForConnection();
+    const query = `SELECT fingerprint, status, muted_until, resolved_at, assignee_id, notes, created_at, updated_at FROM ${this.issuesTable} WHERE fingerprint = ?`;
     return new Promise((resolve, reject) => {
-      this.pool.query(query, values, (err, results) => {
+      this.pool.query(query, [fingerprint], (err, results) => {
         if (err) return reject(err);
-        if (shouldReverse) results.reverse();
-        resolve({ items: results });
+        if (!results.length) return reject(new Error('Issue not found.'));
+        resolve({ item: results[0] });
       });
     });
   }
 
   /**
-   * Retrieves log entries from the database based on specified search terms and filters.
+   * Retrieves the triaged log groups, most recently updated first.
    *
    * @async
-   * @function searchLogs
-   * @param {string[]} searchTerms - An array of search terms.
-   * @param {LogFilter} [filters] - Filters to refine the search.
-   * @returns {Promise<{items: Log[], filters: LogFilter[]}>} - A promise that resolves with an object containing an array of log items and the applied filters.
+   * @function getIssues
+   * @param {Object} [filters]
+   * @param {string|string[]} [filters.status] - Only return issues with these statuses.
+   * @param {number} [filters.assignee_id] - Only return issues assigned to this user.
+   * @param {number} [filters.limit=100] - The maximum number of issues.
+   * @returns {Promise<{items: Issue[]}>} - A Promise that resolves with an object containing the issues.
    * @throws {Error} - Throws an error if the operation fails.
    */
-  async searchLogs (searchTerms, filters = {}) {
-    const DEFAULT_LOGS_LIMIT = 100;
-    filters.limit = filters.limit || DEFAULT_LOGS_LIMIT;
+  async getIssues ({ status, assignee_id: assigneeId, limit = 100 } = {}) {
+    await this.waitForConnection();
 
     const whereClauses = [];
     const values = [];
-    let orderBy = 'id DESC';
-    let shouldReverse = true;
-
-    if (searchTerms.length > 0) {
-      whereClauses.push('MATCH(message) AGAINST (? IN BOOLEAN MODE)');
-      values.push(searchTerms.map(term => `+"${term}"`).join(' '));
+    if (status && status.length > 0) {
+      whereClauses.push('status IN (?)');
+      values.push([].concat(status));
     }
-
-    // Apply filters
-    if (filters.hostnames && filters.hostnames.length > 0) {
-      whereClauses.push('hostname IN (?)');
-      values.push(filters.hostnames);
+    if (assigneeId) {
+      whereClauses.push('assignee_id = ?');
+      values.push(assigneeId);
     }
-    if (filters.level_json || filters.errsole_id) {
-      const orConditions = [];
-
-      if (filters.level_json && filters.level_json.length > 0) {
-        const levelConditions = filters.level_json.map(levelObj => '(source = ? AND level = ?)');
-        orConditions.push(`(${levelConditions.join(' OR ')})`);
-        filters.level_json.forEach(levelObj => {
-          values.push(levelObj.source, levelObj.level);
-        });
-      }
+    const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    const query = `SELECT fingerprint, status, muted_until, resolved_at, assignee_id, notes, created_at, updated_at FROM ${this.issuesTable}
+      ${whereClause} ORDER BY updated_at DESC, fingerprint LIMIT ?`;
+    values.push(limit);
 
-      if (filters.errsole_id) {
-        orConditions.push('errsole_id = ?');
-        values.push(filters.errsole_id);
-      }
+    return new Promise((resolve, reject) => {
+      this.pool.query(query, values, (err, results) => {
+        if (err) return reject(err);
+        resolve({ items: results });
+      });
+    });
+  }
 
-      whereClauses.push(`(${orConditions.join(' OR ')})`);
+  /**
+   * Updates the triage state of a log group, creating its issue if needed. Resolving an issue
+   * records when it was resolved, so that a later log of the group reopens it and emits a
+   * `regression` event. A muted issue is reopened by the first log after `muted_until`.
+   *
+   * @async
+   * @function updateIssue
+   * @param {string} fingerprint - The fingerprint of the log group.
+   * @param {Object} updates
+   * @param {string} [updates.status] - One of `open`, `resolved`, `ignored` and `muted`.
+   * @param {Date|string} [updates.muted_until] - Required with the `muted` status, and only allowed with it.
+   * @param {number|null} [updates.assignee_id] - The id of the assigned user, or null to unassign.
+   * @param {string|null} [updates.notes] - Free-form notes.
+   * @returns {Promise<{item: Issue}>} - A Promise that resolves with an object containing the updated issue.
+   * @throws {Error} - Throws an error if the fingerprint or an update is invalid, or the operation fails.
+   */
+  async updateIssue (fingerprint, updates) {
+    if (typeof fingerprint !== 'string' || !/^[0-9a-f]{40}$/.test(fingerprint)) throw new Error('Invalid fingerprint.');
+    if (!updates || Object.keys(updates).length === 0) throw new Error('No updates provided.');
+    const invalidField = Object.keys(updates).find(field => !ISSUE_UPDATE_FIELDS.includes(field));
+    if (invalidField !== undefined) throw new Error(`Invalid update. Expected any of: ${ISSUE_UPDATE_FIELDS.join(', ')}.`);
+
+    const columns = {};
+    if ('status' in updates) {
+      if (!ISSUE_STATUSES.includes(updates.status)) throw new Error(`Invalid status. Expected one of: ${ISSUE_STATUSES.join(', ')}.`);
+      columns.status = updates.status;
+      columns.resolved_at = updates.status === 'resolved' ? new Date() : null;
+      columns.muted_until = null;
     }
-    if (filters.lt_id) {
-      whereClauses.push('id < ?');
-      values.push(filters.lt_id);
-      orderBy = 'id DESC';
-      shouldReverse = true;
+    if (columns.status === 'muted' || 'muted_until' in updates) {
+      const mutedUntil = new Date(updates.muted_until);
+      if (columns.status !== 'muted' || !updates.muted_until || isNaN(mutedUntil.getTime())) {
+        throw new Error('Invalid muted_until. Expected a date together with the muted status.');
+      }
+      columns.muted_until = mutedUntil;
     }
-    if (filters.gt_id) {
-      whereClauses.push('id > ?');
-      values.push(filters.gt_id);
-      orderBy = 'id ASC';
-      shouldReverse = false;
+    if ('assignee_id' in updates) {
+      if (updates.assignee_id !== null && !isPositiveInteger(updates.assignee_id)) throw new Error('Invalid assignee_id. Expected a user id or null.');
+      columns.assignee_id = updates.assignee_id;
     }
-    if (filters.lte_timestamp || filters.gte_timestamp) {
-      if (filters.lte_timestamp) {
-        whereClauses.push('timestamp <= ?');
-        values.push(new Date(filters.lte_timestamp));
-        orderBy = 'timestamp DESC, id DESC';
-        shouldReverse = true;
-      }
-      if (filters.gte_timestamp) {
-        whereClauses.push('timestamp >= ?');
-        values.push(new Date(filters.gte_timestamp));
-        orderBy = 'timestamp ASC, id ASC';
-        shouldReverse = false;
-      }
-      if (filters.lte_timestamp && !filters.gte_timestamp) {
-        filters.lte_timestamp = new Date(filters.lte_timestamp);
-        const gteTimestamp = new Date(filters.lte_timestamp.getTime() - 24 * 60 * 60 * 1000);
-        whereClauses.push('timestamp >= ?');
-        values.push(gteTimestamp);
-        filters.gte_timestamp = gteTimestamp;
-      }
-      if (filters.gte_timestamp && !filters.lte_timestamp) {
-        filters.gte_timestamp = new Date(filters.gte_timestamp);
-        const lteTimestamp = new Date(filters.gte_timestamp.getTime() + 24 * 60 * 60 * 1000);
-        whereClauses.push('timestamp <= ?');
-        values.push(lteTimestamp);
-        filters.lte_timestamp = lteTimestamp;
-      }
+    if ('notes' in updates) {
+      if (updates.notes !== null && typeof updates.notes !== 'string') throw new Error('Invalid notes. Expected a string or null.');
+      columns.notes = updates.notes;
     }
 
-    const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
-    const query = `SELECT id, hostname, pid, source, timestamp, level, message, errsole_id FROM ${this.logsTable} ${whereClause} ORDER BY ${orderBy} LIMIT ?`;
-    values.push(filters.limit);
+    await this.waitForConnection();
 
-    return new Promise((resolve, reject) => {
-      this.pool.query(query, values, (err, results) => {
+    const names = Object.keys(columns);
+    const query = `INSERT INTO ${this.issuesTable} (fingerprint, ${names.join(', ')}) VALUES (?)
+      ON DUPLICATE KEY UPDATE ${names.map(name => `${name} = VALUES(${name})`).join(', ')}`;
+    await new Promise((resolve, reject) => {
+      this.pool.query(query, [[fingerprint, ...Object.values(columns)]], err => {
         if (err) return reject(err);
-        if (shouldReverse) results.reverse();
-        resolve({ items: results, filters });
+        resolve();
       });
     });
+    return this.getIssue(fingerprint);
   }
 
   /**
@@ -547,6 +2231,7 @@ class ErrsoleMySQL extends EventEmitter {
    * @throws {Error} - Throws an error if the log entry is not found or the operation fails.
    */
   async getMeta (id) {
+    await this.waitForConnection();
     const query = `SELECT id, meta FROM ${this.logsTable} WHERE id = ?`;
     return new Promise((resolve, reject) => {
       this.pool.query(query, [id], (err, results) => {
@@ -558,7 +2243,9 @@ class ErrsoleMySQL extends EventEmitter {
   }
 
   /**
-   * Deletes expired logs based on TTL configuration.
+   * Deletes expired logs based on the retention policy and the TTL configuration.
+   * If the logs table is partitioned, the partitions older than the longest TTL are dropped
+   * and only logs with a shorter TTL are deleted row by row.
    *
    * @async
    * @function deleteExpiredLogs
@@ -577,22 +2264,54 @@ class ErrsoleMySQL extends EventEmitter {
         const parsedTTL = parseInt(configResult.item.value, 10);
         logsTTL = isNaN(parsedTTL) ? DEFAULT_LOGS_TTL : parsedTTL;
       }
-      let expirationTime = new Date(Date.now() - logsTTL);
-      expirationTime = new Date(expirationTime).toISOString().slice(0, 19).replace('T', ' ');
-      let deletedRowCount;
-      do {
-        deletedRowCount = await new Promise((resolve, reject) => {
-          this.pool.query(
-            `DELETE FROM ${this.logsTable} WHERE timestamp < ? LIMIT 1000`,
-            [expirationTime],
-            (err, results) => {
-              if (err) return reject(err);
-              resolve(results.affectedRows);
-            }
-          );
+      const retentionRules = [...await this.getLogsRetentionPolicy(), { ttl: logsTTL }];
+      const maxTTL = Math.max(...retentionRules.map(rule => rule.ttl));
+
+      if (this.isLogsTablePartitioned) {
+        await this.withSchemaLock(async query => {
+          await this.addLogsPartitions(query);
+          await this.dropExpiredLogsPartitions(query, new Date(Date.now() - maxTTL));
+        });
+      }
+
+      for (let i = 0; i < retentionRules.length && !this.isClosing; i++) {
+        const { ttl } = retentionRules[i];
+        if (this.isLogsTablePartitioned && ttl === maxTTL) continue;
+
+        // Logs matched by an earlier rule are governed by that rule
+        const { conditions, values } = compileRetentionRule(retentionRules[i]);
+        retentionRules.slice(0, i).forEach(earlierRule => {
+          const earlierMatch = compileRetentionRule(earlierRule);
+          conditions.push(`NOT IFNULL(${earlierMatch.conditions.join(' AND ')}, FALSE)`);
+          values.push(...earlierMatch.values);
+        });
+
+        // On a partitioned table, comparing the partition key itself lets MySQL skip the newer partitions
+        const expirationCondition = this.isLogsTablePartitioned ? 'timestamp_seconds < ?' : 'timestamp < ?';
+        const expirationTime = this.isLogsTablePartitioned
+          ? Math.floor((Date.now() - ttl) / 1000)
+          : new Date(Date.now() - ttl).toISOString().slice(0, 19).replace('T', ' ');
+        const whereClause = [expirationCondition, ...conditions].join(' AND ');
+        let deletedRowCount;
+        do {
+          deletedRowCount = await this.deleteLogsBatch(whereClause, [expirationTime, ...values]);
+          await this.sleep(10000);
+        } while (deletedRowCount > 0 && !this.isClosing);
+      }
+
+      // The rollups count logs of every level and source, so they are kept as long as the longest TTL
+      const rollupsExpirationTime = new Date(Date.now() - maxTTL);
+      let deletedRollupCount = 0;
+      while (!this.isClosing) {
+        deletedRollupCount = await new Promise((resolve, reject) => {
+          this.pool.query(`DELETE FROM ${this.rollupsTable} WHERE minute_start < ? LIMIT 1000`, [rollupsExpirationTime], (err, results) => {
+            if (err) return reject(err);
+            resolve(results.affectedRows);
+          });
         });
-        await new Promise(resolve => setTimeout(resolve, 10000));
-      } while (deletedRowCount > 0);
+        if (!deletedRollupCount) break;
+        await this.sleep(10000);
+      }
     } catch (err) {
       console.error(err);
     } finally {
@@ -601,7 +2320,263 @@ class ErrsoleMySQL extends EventEmitter {
   }
 
   /**
-   * Deletes all logs from the logs table.
+   * Keeps the logs table within the `logsMaxBytes` and `logsMaxRows` configuration by removing the
+   * oldest logs. The table size and row count come from `information_schema.TABLES`, which are
+   * estimates, so the limits are approximate. InnoDB does not shrink a table when rows are deleted,
+   * but reports the freed space as `DATA_FREE`, so the size of the live logs is the table size minus
+   * the free space, and the number of logs to remove is derived from their average size. Whole
+   * partitions are dropped where possible. Unlike the expiry job, the logs are deleted in large
+   * batches with only a short pause between them, so that all of the overshoot is removed in one
+   * run even when a service floods the table. Emits a `logsPruned` event describing what was removed.
+   *
+   * @async
+   * @function enforceLogsSizeLimit
+   */
+  async enforceLogsSizeLimit () {
+    const DELETE_BATCH_SIZE = 10000;
+    const DELETE_BATCH_PAUSE = 100;
+
+    if (this.enforceLogsSizeLimitRunning) return;
+
+    this.enforceLogsSizeLimitRunning = true;
+
+    try {
+      const limits = {};
+      for (const key of ['logsMaxBytes', 'logsMaxRows']) {
+        const configResult = await this.getConfig(key);
+        if (configResult.item && isPositiveInteger(configResult.item.value)) {
+          limits[key] = parseInt(configResult.item.value, 10);
+        }
+      }
+      if (!limits.logsMaxBytes && !limits.logsMaxRows) return;
+
+      const { tableSize, tableRows } = await this.getLogsTableSize();
+      let rowsToDelete = 0;
+      if (limits.logsMaxBytes && tableSize > limits.logsMaxBytes && tableRows > 0) {
+        rowsToDelete = Math.ceil(tableRows * (tableSize - limits.logsMaxBytes) / tableSize);
+      }
+      if (limits.logsMaxRows && tableRows > limits.logsMaxRows) {
+        rowsToDelete = Math.max(rowsToDelete, tableRows - limits.logsMaxRows);
+      }
+      if (rowsToDelete === 0) return;
+
+      let droppedPartitions = [];
+      let droppedRows = 0;
+      if (this.isLogsTablePartitioned) {
+        ({ droppedPartitions, droppedRows } = await this.withSchemaLock(query => this.dropOldestLogsPartitions(query, rowsToDelete)));
+      }
+
+      let deletedRows = 0;
+      if (rowsToDelete > droppedRows) {
+        const cutoffId = await new Promise((resolve, reject) => {
+          this.pool.query(`SELECT id FROM ${this.logsTable} ORDER BY id LIMIT 1 OFFSET ?`, [rowsToDelete - droppedRows - 1], (err, results) => {
+            if (err) return reject(err);
+            resolve(results.length ? results[0].id : null);
+          });
+        });
+
+        let deletedRowCount = cutoffId === null ? 0 : Infinity;
+        while (deletedRowCount > 0 && !this.isClosing) {
+          deletedRowCount = await this.deleteLogsBatch('id <= ?', [cutoffId], DELETE_BATCH_SIZE);
+          deletedRows += deletedRowCount;
+          if (deletedRowCount > 0) await this.sleep(DELETE_BATCH_PAUSE);
+        }
+      }
+
+      this.emit('logsPruned', {
+        tableSize,
+        tableRows,
+        maxBytes: limits.logsMaxBytes || null,
+        maxRows: limits.logsMaxRows || null,
+        droppedPartitions,
+        deletedRows: droppedRows + deletedRows
+      });
+    } catch (err) {
+      console.error(err);
+    } finally {
+      this.enforceLogsSizeLimitRunning = false;
+    }
+  }
+
+  async getLogsTableSize () {
+    // The statistics in information_schema are cached; ANALYZE TABLE refreshes them
+    await new Promise((resolve, reject) => {
+      this.pool.query(`ANALYZE TABLE ${this.logsTable}`, err => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+    return new Promise((resolve, reject) => {
+      const query = `SELECT DATA_LENGTH + INDEX_LENGTH AS tableSize, DATA_FREE AS dataFree, TABLE_ROWS AS tableRows FROM information_schema.TABLES
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`;
+      this.pool.query(query, [this.logsTable], (err, results) => {
+        if (err) return reject(err);
+        if (!results.length) return resolve({ tableSize: 0, tableRows: 0 });
+        // Deleted rows stay in the table size until the table is rebuilt, and are counted as free space
+        const tableSize = Math.max(Number(results[0].tableSize) - (Number(results[0].dataFree) || 0), 0);
+        resolve({ tableSize, tableRows: Number(results[0].tableRows) });
+      });
+    });
+  }
+
+  /**
+   * Drops the oldest daily partitions of the logs table as long as they hold no more than the given
+   * number of rows in total. The partition of the current day and later ones are never dropped.
+   *
+   * @async
+   * @function dropOldestLogsPartitions
+   * @param {function(string, Array=): Promise<*>} query - A query function bound to the connection that holds the schema lock.
+   * @param {number} maxRows - The maximum number of rows to drop.
+   * @returns {Promise<{droppedPartitions: string[], droppedRows: number}>} - A Promise that resolves with the dropped partitions and their row count.
+   */
+  async dropOldestLogsPartitions (query, maxRows) {
+    const partitions = await query(`SELECT PARTITION_NAME AS name, PARTITION_DESCRIPTION AS lessThan, TABLE_ROWS AS tableRows
+      FROM information_schema.PARTITIONS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND PARTITION_NAME IS NOT NULL
+      ORDER BY PARTITION_ORDINAL_POSITION`, [this.logsTable]);
+    const today = getStartOfUTCDay(new Date());
+
+    const droppedPartitions = [];
+    let droppedRows = 0;
+    for (const partition of partitions) {
+      if (partition.lessThan === 'MAXVALUE' || parseInt(partition.lessThan, 10) * 1000 > today) break;
+      if (droppedRows + Number(partition.tableRows) > maxRows) break;
+      droppedPartitions.push(partition.name);
+      droppedRows += Number(partition.tableRows);
+    }
+    if (droppedPartitions.length > 0) {
+      await this.archiveLogsPartitions(query, droppedPartitions);
+      await query(`ALTER TABLE \`${this.logsTable}\` DROP PARTITION ${droppedPartitions.join(', ')}`);
+    }
+    return { droppedPartitions, droppedRows };
+  }
+
+  /**
+   * Deletes up to `batchSize` logs matching a WHERE clause. If an archive directory is configured,
+   * the logs are archived first and only the archived rows are deleted.
+   *
+   * @async
+   * @function deleteLogsBatch
+   * @param {string} whereClause - The conditions of the logs to delete.
+   * @param {Array} values - The values of the placeholders in the conditions.
+   * @param {number} [batchSize=1000] - The maximum number of logs to delete.
+   * @returns {Promise<number>} - A Promise that resolves with the number of deleted logs.
+   */
+  async deleteLogsBatch (whereClause, values, batchSize = 1000) {
+    if (!this.archive) {
+      return new Promise((resolve, reject) => {
+        this.pool.query(`DELETE FROM ${this.logsTable} WHERE ${whereClause} LIMIT ${batchSize}`, values, (err, results) => {
+          if (err) return reject(err);
+          resolve(results.affectedRows);
+        });
+      });
+    }
+
+    const logEntries = await new Promise((resolve, reject) => {
+      this.pool.query(`SELECT * FROM ${this.logsTable} WHERE ${whereClause} ORDER BY id LIMIT ${batchSize}`, values, (err, results) => {
+        if (err) return reject(err);
+        resolve(results);
+      });
+    });
+    if (logEntries.length === 0) return 0;
+
+    await this.archive.append(logEntries);
+    return new Promise((resolve, reject) => {
+      this.pool.query(`DELETE FROM ${this.logsTable} WHERE id IN (?)`, [logEntries.map(logEntry => logEntry.id)], (err, results) => {
+        if (err) return reject(err);
+        resolve(results.affectedRows);
+      });
+    });
+  }
+
+  /**
+   * Archives the logs in the given partitions before they are dropped. Does nothing if no
+   * archive directory is configured.
+   *
+   * @async
+   * @function archiveLogsPartitions
+   * @param {function(string, Array=): Promise<*>} query - A query function bound to the connection that holds the schema lock.
+   * @param {string[]} partitionNames - The partitions to archive.
+   */
+  async archiveLogsPartitions (query, partitionNames) {
+    if (!this.archive) return;
+
+    for (const partitionName of partitionNames) {
+      let lastId = 0;
+      while (true) {
+        const logEntries = await query(`SELECT * FROM ${this.logsTable} PARTITION (${partitionName}) WHERE id > ? ORDER BY id LIMIT 1000`, [lastId]);
+        if (logEntries.length === 0) break;
+        await this.archive.append(logEntries);
+        lastId = logEntries[logEntries.length - 1].id;
+      }
+    }
+  }
+
+  /**
+   * Re-imports archived logs into the logs table with their original ids. Logs that are already
+   * in the table are skipped, so an archive can be restored more than once. Restored logs are
+   * subject to the retention policy again, so extend the TTL first to keep them. They are not
+   * added to the rollups, which still count them from when they were first inserted.
+   *
+   * @async
+   * @function restoreArchive
+   * @param {string} archivePath - An archive file, or a directory whose archive files are all restored.
+   * @returns {Promise<{files: number, inserted: number, skipped: number}>} - A Promise that resolves with the number of restored files and logs.
+   * @throws {Error} - Throws an error if an archive cannot be read or the logs cannot be inserted.
+   */
+  async restoreArchive (archivePath) {
+    const RESTORE_BATCH_SIZE = 1000;
+
+    await this.waitForConnection();
+    const files = LogArchive.getFiles(archivePath);
+    let inserted = 0;
+    let total = 0;
+    for (const filePath of files) {
+      let logEntries = [];
+      for await (const logEntry of LogArchive.read(filePath)) {
+        logEntries.push(logEntry);
+        if (logEntries.length >= RESTORE_BATCH_SIZE) {
+          inserted += await this.insertArchivedLogs(logEntries);
+          total += logEntries.length;
+          logEntries = [];
+        }
+      }
+      if (logEntries.length > 0) {
+        inserted += await this.insertArchivedLogs(logEntries);
+        total += logEntries.length;
+      }
+    }
+    return { files: files.length, inserted, skipped: total - inserted };
+  }
+
+  async insertArchivedLogs (logEntries) {
+    let inserted = 0;
+    for (const chunk of this.splitByPacketSize(logEntries)) {
+      const values = chunk.map(logEntry => [
+        logEntry.id,
+        new Date(logEntry.timestamp),
+        logEntry.hostname,
+        logEntry.pid,
+        logEntry.source,
+        logEntry.level,
+        logEntry.message,
+        logEntry.meta,
+        logEntry.errsole_id,
+        getFingerprint(logEntry.message)
+      ]);
+      inserted += await new Promise((resolve, reject) => {
+        const query = `INSERT INTO ${this.logsTable} (id, timestamp, hostname, pid, source, level, message, meta, errsole_id, fingerprint) VALUES ? ON DUPLICATE KEY UPDATE id = id`;
+        this.pool.query(query, [values], (err, results) => {
+          if (err) return reject(err);
+          resolve(results.affectedRows);
+        });
+      });
+    }
+    return inserted;
+  }
+
+  /**
+   * Deletes all logs from the logs table, and their counts from the rollups table.
    *
    * @async
    * @function deleteAllLogs
@@ -609,13 +2584,16 @@ class ErrsoleMySQL extends EventEmitter {
    * @throws {Error} - Throws an error if the operation fails.
    */
   async deleteAllLogs () {
-    const query = `TRUNCATE TABLE ${this.logsTable}`;
-    return new Promise((resolve, reject) => {
-      this.pool.query(query, (err, results) => {
-        if (err) return reject(err);
-        resolve({});
+    await this.waitForConnection();
+    for (const table of [this.logsTable, this.rollupsTable]) {
+      await new Promise((resolve, reject) => {
+        this.pool.query(`TRUNCATE TABLE ${table}`, (err, results) => {
+          if (err) return reject(err);
+          resolve();
+        });
       });
-    });
+    }
+    return {};
   }
 
   /**
@@ -624,6 +2602,7 @@ class ErrsoleMySQL extends EventEmitter {
    * @returns {Promise<Object>} - Returns today's notification count and the previous notification.
    */
   async insertNotificationItem (notification = {}) {
+    await this.waitForConnection();
     const errsoleId = notification.errsole_id;
     const hostname = notification.hostname;
     const hashedMessage = notification.hashed_message;
@@ -715,14 +2694,11 @@ class ErrsoleMySQL extends EventEmitter {
 
     this.deleteExpiredNotificationItemsRunning = true;
 
-    const DEFAULT_NOTIFICATIONS_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
-
     try {
       let notificationsTTL = DEFAULT_NOTIFICATIONS_TTL;
-      const configResult = await this.getConfig('logsTTL');
-      if (configResult.item) {
-        const parsedTTL = parseInt(configResult.item.value, 10);
-        notificationsTTL = isNaN(parsedTTL) ? DEFAULT_NOTIFICATIONS_TTL : parsedTTL;
+      const configResult = await this.getConfig('notificationsTTL');
+      if (configResult.item && isPositiveInteger(configResult.item.value)) {
+        notificationsTTL = parseInt(configResult.item.value, 10);
       }
       let expirationTime = new Date(Date.now() - notificationsTTL);
       expirationTime = new Date(expirationTime).toISOString().slice(0, 19).replace('T', ' ');
@@ -738,8 +2714,8 @@ class ErrsoleMySQL extends EventEmitter {
             }
           );
         });
-        await new Promise(resolve => setTimeout(resolve, 10000));
-      } while (deletedRowCount > 0);
+        await this.sleep(10000);
+      } while (deletedRowCount > 0 && !this.isClosing);
     } catch (err) {
       console.error(err);
     } finally {
@@ -761,6 +2737,7 @@ class ErrsoleMySQL extends EventEmitter {
    * @throws {Error} - Throws an error if the user creation fails due to duplicate email or other database issues.
    */
   async createUser (user) {
+    await this.waitForConnection();
     const SALT_ROUNDS = 10;
     const hashedPassword = await bcrypt.hash(user.password, SALT_ROUNDS);
     const query = `INSERT INTO ${this.usersTable} (name, email, hashed_password, role) VALUES (?, ?, ?, ?)`;
@@ -792,6 +2769,8 @@ class ErrsoleMySQL extends EventEmitter {
       throw new Error('Both email and password are required for verification.');
     }
 
+    await this.waitForConnection();
+
     const query = `SELECT * FROM ${this.usersTable} WHERE email = ?`;
     return new Promise((resolve, reject) => {
       this.pool.query(query, [email], async (err, results) => {
@@ -817,6 +2796,7 @@ class ErrsoleMySQL extends EventEmitter {
    * @throws {Error} - Throws an error if the operation fails.
    */
   async getUserCount () {
+    await this.waitForConnection();
     const query = `SELECT COUNT(*) as count FROM ${this.usersTable}`;
     return new Promise((resolve, reject) => {
       this.pool.query(query, (err, results) => {
@@ -835,6 +2815,7 @@ class ErrsoleMySQL extends EventEmitter {
    * @throws {Error} - Throws an error if the operation fails.
    */
   async getAllUsers () {
+    await this.waitForConnection();
     const query = `SELECT id, name, email, role FROM ${this.usersTable}`;
     return new Promise((resolve, reject) => {
       this.pool.query(query, (err, results) => {
@@ -856,6 +2837,8 @@ class ErrsoleMySQL extends EventEmitter {
   async getUserByEmail (email) {
     if (!email) throw new Error('Email is required.');
 
+    await this.waitForConnection();
+
     const query = `SELECT id, name, email, role FROM ${this.usersTable} WHERE email = ?`;
     return new Promise((resolve, reject) => {
       this.pool.query(query, [email], (err, results) => {
@@ -880,6 +2863,8 @@ class ErrsoleMySQL extends EventEmitter {
     if (!email) throw new Error('Email is required.');
     if (!updates || Object.keys(updates).length === 0) throw new Error('No updates provided.');
 
+    await this.waitForConnection();
+
     const restrictedFields = ['id', 'hashed_password'];
     restrictedFields.forEach(field => delete updates[field]);
 
@@ -912,6 +2897,8 @@ class ErrsoleMySQL extends EventEmitter {
       throw new Error('Email, current password, and new password are required.');
     }
 
+    await this.waitForConnection();
+
     const query = `SELECT * FROM ${this.usersTable} WHERE email = ?`;
     return new Promise((resolve, reject) => {
       this.pool.query(query, [email], async (err, results) => {
@@ -946,6 +2933,8 @@ class ErrsoleMySQL extends EventEmitter {
   async deleteUser (id) {
     if (!id) throw new Error('User ID is required.');
 
+    await this.waitForConnection();
+
     const query = `DELETE FROM ${this.usersTable} WHERE id = ?`;
     return new Promise((resolve, reject) => {
       this.pool.query(query, [id], (err, results) => {
@@ -957,5 +2946,249 @@ class ErrsoleMySQL extends EventEmitter {
   }
 }
 
+function getLogEntrySize (logEntry) {
+  const LOG_ENTRY_OVERHEAD_BYTES = 64;
+  return ['hostname', 'source', 'level', 'message', 'meta'].reduce((size, field) => {
+    return logEntry[field] ? size + Buffer.byteLength(String(logEntry[field])) : size;
+  }, LOG_ENTRY_OVERHEAD_BYTES);
+}
+
+/**
+ * Cuts a string down to at most `maxBytes` bytes of UTF-8 without splitting a character. Other
+ * values are returned as they are.
+ */
+function truncateToBytes (value, maxBytes) {
+  if (typeof value !== 'string' || Buffer.byteLength(value) <= maxBytes) return value;
+  const buffer = Buffer.from(value);
+  let end = maxBytes;
+  while (end > 0 && (buffer[end] & 0xC0) === 0x80) end--;
+  return buffer.toString('utf8', 0, end);
+}
+
+const ESCAPED_CHARACTERS_PATTERN = /[\0\b\t\n\r\x1a"'\\]/g;
+
+/**
+ * Estimates the bytes a log entry adds to an INSERT statement. Strings are sent as quoted literals
+ * in which quotes, backslashes and control characters are escaped with a backslash, so each of
+ * these takes an extra byte. The overhead covers the other columns and the separators.
+ */
+function getLogEntryStatementSize (logEntry) {
+  const LOG_ENTRY_STATEMENT_OVERHEAD_BYTES = 128;
+  return ['hostname', 'source', 'level', 'message', 'meta'].reduce((size, field) => {
+    if (!logEntry[field]) return size;
+    const value = String(logEntry[field]);
+    const escapedCount = (value.match(ESCAPED_CHARACTERS_PATTERN) || []).length;
+    return size + Buffer.byteLength(value) + escapedCount + 2;
+  }, LOG_ENTRY_STATEMENT_OVERHEAD_BYTES);
+}
+
+function getStartOfUTCDay (date) {
+  return Math.floor(date.getTime() / DAY_IN_MS) * DAY_IN_MS;
+}
+
+/**
+ * Builds one `PARTITION pYYYYMMDD VALUES LESS THAN (...)` definition per UTC day, from the day
+ * starting at `firstDay` to the day starting at `lastDay`, both in milliseconds.
+ */
+function getDailyPartitionDefinitions (firstDay, lastDay) {
+  const definitions = [];
+  for (let day = firstDay; day <= lastDay; day += DAY_IN_MS) {
+    const name = `p${new Date(day).toISOString().slice(0, 10).replace(/-/g, '')}`;
+    definitions.push(`PARTITION ${name} VALUES LESS THAN (${(day + DAY_IN_MS) / 1000})`);
+  }
+  return definitions;
+}
+
+function isPositiveInteger (value) {
+  return /^\d+$/.test(String(value)) && parseInt(value, 10) > 0;
+}
+
+function toPid (value) {
+  const pid = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isSafeInteger(pid)) throw new Error('Invalid pid. Expected an integer.');
+  return pid;
+}
+
+const LOG_STATS_GROUP_COLUMNS = ['level', 'source', 'hostname'];
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_IN_MS };
+
+function parseInterval (interval) {
+  if (typeof interval === 'number') return Number.isInteger(interval) && interval > 0 ? interval : null;
+  const match = /^(\d+)([smhd])$/.exec(String(interval));
+  return match && parseInt(match[1], 10) > 0 ? parseInt(match[1], 10) * INTERVAL_UNITS[match[2]] : null;
+}
+
+/**
+ * Cursors are opaque to callers: base64url-encoded JSON holding the order of the page they came
+ * from (`id`, or `timestamp` then `id`), the direction (`prev` for older logs, `next` for newer
+ * ones) and the timestamp in milliseconds and id of the log to continue from. Keeping the order
+ * of the first page makes paging stable whichever filters chose it.
+ */
+function encodeLogsCursor (cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeLogsCursor (token) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString());
+  } catch (err) {
+    cursor = null;
+  }
+  if (!cursor || !['id', 'timestamp'].includes(cursor.o) || !['prev', 'next'].includes(cursor.d) ||
+    !Number.isSafeInteger(cursor.i) || (cursor.o === 'timestamp' && !Number.isFinite(cursor.t))) {
+    throw new Error('Invalid cursor.');
+  }
+  return cursor;
+}
+
+function compileLogsCursor (cursor) {
+  const operator = cursor.d === 'prev' ? '<' : '>';
+  const direction = cursor.d === 'prev' ? 'DESC' : 'ASC';
+  const shouldReverse = cursor.d === 'prev';
+  if (cursor.o === 'id') {
+    return { condition: `id ${operator} ?`, values: [cursor.i], orderBy: `id ${direction}`, shouldReverse };
+  }
+  const timestamp = new Date(cursor.t);
+  return {
+    condition: `timestamp ${operator}= ? AND (timestamp ${operator} ? OR id ${operator} ?)`,
+    values: [timestamp, timestamp, cursor.i],
+    orderBy: `timestamp ${direction}, id ${direction}`,
+    shouldReverse
+  };
+}
+
+/**
+ * Builds the cursors of the pages before and after a page of logs sorted oldest first. The
+ * newer cursor is always returned, so that a caller at the newest logs can poll for more. The
+ * older cursor is null if older logs were read and the page was not full. If the page is empty,
+ * the cursors stay where the request came from.
+ */
+function getLogsCursors (items, { orderBy, shouldReverse, limit, cursor }) {
+  const order = orderBy.startsWith('timestamp') ? 'timestamp' : 'id';
+  const toCursor = (item, direction) => encodeLogsCursor({ o: order, d: direction, t: new Date(item.timestamp).getTime(), i: Number(item.id) });
+
+  if (items.length === 0) {
+    if (!cursor) return { nextCursor: null, prevCursor: null };
+    return {
+      nextCursor: encodeLogsCursor({ ...cursor, d: 'next' }),
+      prevCursor: shouldReverse ? null : encodeLogsCursor({ ...cursor, d: 'prev' })
+    };
+  }
+  return {
+    nextCursor: toCursor(items[items.length - 1], 'next'),
+    prevCursor: !shouldReverse || items.length >= limit ? toCursor(items[0], 'prev') : null
+  };
+}
+
+const TAIL_LOG_COLUMNS = ['hostname', 'pid', 'source', 'level', 'message', 'errsole_id'];
+
+/**
+ * Builds a function that checks in JavaScript whether a log matches the filters of a tail, or
+ * returns null if a filter can only be checked by the database. Text is compared without case,
+ * like the default collation of the logs table.
+ */
+function getTailMatcher (filters, searchTerms) {
+  const isSet = value => value !== undefined && value !== null;
+  const hasSearch = typeof searchTerms === 'string' ? searchTerms.trim() !== '' : Boolean(searchTerms && searchTerms.length > 0);
+  if (hasSearch || filters.meta || isSet(filters.message_like) || isSet(filters.message_regex)) return null;
+
+  const sameText = (a, b) => isSet(a) && isSet(b) && String(a).toLowerCase() === String(b).toLowerCase();
+  const includesText = (list, value) => list.some(item => sameText(item, value));
+  const pid = isSet(filters.pid) ? toPid(filters.pid) : null;
+  const pids = (filters.pids || []).map(toPid);
+  const levelJSON = filters.level_json || [];
+  const lte = filters.lte_timestamp ? new Date(filters.lte_timestamp).getTime() : null;
+  const gte = filters.gte_timestamp ? new Date(filters.gte_timestamp).getTime() : null;
+
+  return log => {
+    const time = new Date(log.timestamp).getTime();
+    if (filters.hostnames && filters.hostnames.length > 0 && !includesText(filters.hostnames, log.hostname)) return false;
+    if (filters.hostname && !sameText(filters.hostname, log.hostname)) return false;
+    if (filters.sources && filters.sources.length > 0 && !includesText(filters.sources, log.source)) return false;
+    if (filters.levels && filters.levels.length > 0 && !includesText(filters.levels, log.level)) return false;
+    if (pid !== null && log.pid !== pid) return false;
+    if (pids.length > 0 && !pids.includes(log.pid)) return false;
+    if (levelJSON.length > 0 || filters.errsole_id) {
+      const matchesLevel = levelJSON.some(({ source, level }) => sameText(source, log.source) && sameText(level, log.level));
+      const matchesErrsoleId = Boolean(filters.errsole_id) && Number(log.errsole_id) === Number(filters.errsole_id);
+      if (!matchesLevel && !matchesErrsoleId) return false;
+    }
+    if (lte !== null && !(time <= lte)) return false;
+    if (gte !== null && !(time >= gte)) return false;
+    return true;
+  };
+}
+
+const META_PATH_PATTERN = /^\$(\.[A-Za-z_][A-Za-z0-9_]*|\[\d+\])+$/;
+const META_COLUMN_NAME_MAX_LENGTH = 64;
+const META_FILTER_OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'exists'];
+
+function isValidMetaPath (path) {
+  return typeof path === 'string' && META_PATH_PATTERN.test(path);
+}
+
+function getMetaColumnName (path) {
+  return 'meta' + path.slice(1).replace(/\[(\d+)\]/g, '.$1').replace(/\./g, '_');
+}
+
+function validateMetaIndexes (paths) {
+  const columnNames = new Set();
+  paths.forEach(path => {
+    if (!isValidMetaPath(path)) throw new Error(`Invalid metaIndexes path: ${path}. Expected a JSON path such as $.userId or $.items[0].id.`);
+    const columnName = getMetaColumnName(path);
+    if (columnName.length > META_COLUMN_NAME_MAX_LENGTH) throw new Error(`Invalid metaIndexes path: ${path}. The path is too long.`);
+    // Column names are case-insensitive in MySQL
+    if (columnNames.has(columnName.toLowerCase())) throw new Error(`Invalid metaIndexes path: ${path}. It maps to the same column as another path.`);
+    columnNames.add(columnName.toLowerCase());
+  });
+  return paths;
+}
+
+const ISSUE_STATUSES = ['open', 'resolved', 'ignored', 'muted'];
+const ISSUE_UPDATE_FIELDS = ['status', 'muted_until', 'assignee_id', 'notes'];
+
+const RETENTION_RULE_FIELDS = ['level', 'source', 'hostname'];
+
+function validateRetentionRules (rules) {
+  if (!Array.isArray(rules)) throw new Error('The retention policy must be an array of rules.');
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule !== 'object') throw new Error(`Retention rule ${index} must be an object.`);
+    if (!Number.isInteger(rule.ttl) || rule.ttl <= 0) {
+      throw new Error(`Retention rule ${index} must have a positive integer ttl in milliseconds.`);
+    }
+    const fields = RETENTION_RULE_FIELDS.filter(field => rule[field] !== undefined);
+    if (fields.length === 0) {
+      throw new Error(`Retention rule ${index} must match at least one of: ${RETENTION_RULE_FIELDS.join(', ')}.`);
+    }
+    fields.forEach(field => {
+      const matchValues = [].concat(rule[field]);
+      if (matchValues.length === 0 || matchValues.some(value => typeof value !== 'string')) {
+        throw new Error(`Retention rule ${index} must have a string or a non-empty array of strings as ${field}.`);
+      }
+    });
+  });
+}
+
+function compileRetentionRule (rule) {
+  const conditions = [];
+  const values = [];
+  RETENTION_RULE_FIELDS.forEach(field => {
+    if (rule[field] === undefined) return;
+    conditions.push(`${field} IN (?)`);
+    values.push([].concat(rule[field]));
+  });
+  return { conditions, values };
+}
+
+function isDataError (err) {
+  return /^2[23]/.test(err.sqlState || '') || DATA_ERROR_CODES.includes(err.code);
+}
+
+function getLogLevelPriority (logEntry) {
+  const priority = LOG_LEVEL_PRIORITIES[logEntry.level];
+  return priority === undefined ? LOG_LEVEL_PRIORITIES.info : priority;
+}
+
 module.exports = ErrsoleMySQL;
 module.exports.default = ErrsoleMySQL;
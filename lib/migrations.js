@@ -0,0 +1,194 @@
+/**
+ * @typedef {Object} MigrationContext
+ * @property {function(string, Array=): Promise<*>} query - Runs a query on the connection that holds the migration lock.
+ * @property {string} tablePrefix - The table prefix, e.g. `errsole` or `errsole_myapp`.
+ * @property {{logs: string, users: string, config: string, notifications: string, rollups: string, issues: string, deadLetter: string}} tables - The names of the current tables.
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - The schema version the migration brings the database to.
+ * @property {string} name - A short description of the migration.
+ * @property {function(MigrationContext): Promise<void>} up - Applies the migration.
+ */
+
+const LEGACY_LOGS_COPY_BATCH_SIZE = 10000;
+const ROLLUPS_BACKFILL_BATCH_SIZE = 100000;
+
+/** @type {Migration[]} */
+const migrations = [
+  {
+    version: 1,
+    name: 'create-tables',
+    async up ({ query, tables }) {
+      await query(`CREATE TABLE IF NOT EXISTS \`${tables.logs}\` (
+        \`id\` BIGINT PRIMARY KEY AUTO_INCREMENT,
+        \`hostname\` VARCHAR(63),
+        \`pid\` INT,
+        \`source\` VARCHAR(31),
+        \`timestamp\` TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        \`level\` VARCHAR(31) DEFAULT 'info',
+        \`message\` TEXT,
+        \`meta\` TEXT,
+        \`errsole_id\` BIGINT,
+        INDEX (\`hostname\`, \`source\`, \`level\`, \`id\`),
+        INDEX (\`hostname\`, \`id\`),
+        INDEX (\`source\`, \`level\`, \`id\`),
+        INDEX (\`hostname\`, \`source\`, \`level\`, \`timestamp\`, \`id\`),
+        INDEX (\`hostname\`, \`timestamp\`, \`id\`),
+        INDEX (\`source\`, \`level\`, \`timestamp\`, \`id\`),
+        INDEX (\`timestamp\`, \`id\`),
+        INDEX (\`errsole_id\`),
+        FULLTEXT INDEX (\`message\`)
+      )`);
+      await query(`CREATE TABLE IF NOT EXISTS \`${tables.users}\` (
+        \`id\` BIGINT PRIMARY KEY AUTO_INCREMENT,
+        \`name\` VARCHAR(255),
+        \`email\` VARCHAR(255) UNIQUE NOT NULL,
+        \`hashed_password\` VARCHAR(255) NOT NULL,
+        \`role\` VARCHAR(255) NOT NULL
+      )`);
+      await query(`CREATE TABLE IF NOT EXISTS \`${tables.config}\` (
+        \`id\` BIGINT PRIMARY KEY AUTO_INCREMENT,
+        \`key\` VARCHAR(255) UNIQUE NOT NULL,
+        \`value\` TEXT NOT NULL
+      )`);
+      await query(`CREATE TABLE IF NOT EXISTS \`${tables.notifications}\` (
+        \`id\` BIGINT PRIMARY KEY AUTO_INCREMENT,
+        \`errsole_id\` BIGINT,
+        \`hostname\` VARCHAR(255),
+        \`hashed_message\` VARCHAR(255),
+        \`created_at\` TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        \`updated_at\` TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+        INDEX (\`hostname\`, \`hashed_message\`, \`created_at\`),
+        INDEX (\`created_at\`)
+      )`);
+    }
+  },
+  {
+    version: 2,
+    name: 'config-value-text',
+    async up ({ query, tables }) {
+      await query(`ALTER TABLE \`${tables.config}\` MODIFY COLUMN \`value\` TEXT NOT NULL`);
+    }
+  },
+  {
+    version: 3,
+    name: 'copy-legacy-logs',
+    async up (context) {
+      await copyLegacyLogs(context, `${context.tablePrefix}_logs`);
+      await copyLegacyLogs(context, `${context.tablePrefix}_logs_v2`);
+    }
+  },
+  {
+    version: 4,
+    name: 'create-log-rollups',
+    async up ({ query, tables }) {
+      await query(`CREATE TABLE IF NOT EXISTS \`${tables.rollups}\` (
+        \`minute_start\` TIMESTAMP NOT NULL,
+        \`hostname\` VARCHAR(63) NOT NULL DEFAULT '',
+        \`source\` VARCHAR(31) NOT NULL DEFAULT '',
+        \`level\` VARCHAR(31) NOT NULL DEFAULT '',
+        \`count\` BIGINT UNSIGNED NOT NULL,
+        PRIMARY KEY (\`minute_start\`, \`hostname\`, \`source\`, \`level\`)
+      )`);
+
+      const [{ minId, maxId }] = await query(`SELECT MIN(id) AS minId, MAX(id) AS maxId FROM \`${tables.logs}\``);
+      if (minId === null) return;
+      for (let startId = Number(minId); startId <= Number(maxId); startId += ROLLUPS_BACKFILL_BATCH_SIZE) {
+        await query(`INSERT INTO \`${tables.rollups}\` (minute_start, hostname, source, level, \`count\`)
+          SELECT * FROM (
+            SELECT FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(timestamp) / 60) * 60) AS minute_start, IFNULL(hostname, '') AS hostname,
+              IFNULL(source, '') AS source, IFNULL(level, '') AS level, COUNT(*) AS row_count
+            FROM \`${tables.logs}\` WHERE id >= ? AND id < ?
+            GROUP BY 1, 2, 3, 4
+          ) AS batch
+          ON DUPLICATE KEY UPDATE \`count\` = \`count\` + batch.row_count`, [startId, startId + ROLLUPS_BACKFILL_BATCH_SIZE]);
+      }
+    }
+  },
+  {
+    version: 5,
+    name: 'add-log-fingerprints',
+    async up ({ query, tables }) {
+      // Fingerprints are computed in JavaScript, so logs stored before this migration keep a NULL fingerprint
+      await query(`ALTER TABLE \`${tables.logs}\` ADD COLUMN \`fingerprint\` CHAR(40) NULL, ADD INDEX (\`fingerprint\`, \`timestamp\`)`);
+    }
+  },
+  {
+    version: 6,
+    name: 'create-issues',
+    async up ({ query, tables }) {
+      await query(`CREATE TABLE IF NOT EXISTS \`${tables.issues}\` (
+        \`fingerprint\` CHAR(40) PRIMARY KEY,
+        \`status\` VARCHAR(15) NOT NULL DEFAULT 'open',
+        \`muted_until\` TIMESTAMP(3) NULL,
+        \`resolved_at\` TIMESTAMP(3) NULL,
+        \`assignee_id\` BIGINT NULL,
+        \`notes\` TEXT,
+        \`created_at\` TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        \`updated_at\` TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+        INDEX (\`status\`, \`updated_at\`),
+        FOREIGN KEY (\`assignee_id\`) REFERENCES \`${tables.users}\` (\`id\`) ON DELETE SET NULL
+      )`);
+    }
+  },
+  {
+    version: 7,
+    name: 'create-logs-dead-letter',
+    async up ({ query, tables }) {
+      // Created even if the dead-letter table is disabled, so that enabling it later needs no migration
+      await query(`CREATE TABLE IF NOT EXISTS \`${tables.deadLetter}\` (
+        \`id\` BIGINT PRIMARY KEY AUTO_INCREMENT,
+        \`hostname\` VARCHAR(255),
+        \`pid\` INT,
+        \`source\` VARCHAR(255),
+        \`timestamp\` VARCHAR(63),
+        \`level\` VARCHAR(255),
+        \`message\` LONGTEXT,
+        \`meta\` LONGTEXT,
+        \`errsole_id\` VARCHAR(63),
+        \`error\` TEXT,
+        \`attempts\` INT,
+        \`created_at\` TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        INDEX (\`created_at\`)
+      )`);
+    }
+  }
+];
+
+/**
+ * Copies the rows of a logs table created by an earlier major version into the current logs table.
+ * Only the columns both tables have in common are copied, and the rows get new ids. The legacy
+ * table is left in place.
+ *
+ * @async
+ * @param {MigrationContext} context - The migration context.
+ * @param {string} legacyTable - The name of the legacy logs table.
+ */
+async function copyLegacyLogs ({ query, tables }, legacyTable) {
+  const columnsQuery = `SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`;
+  const legacyColumns = (await query(columnsQuery, [legacyTable])).map(column => column.name);
+  if (legacyColumns.length === 0) return;
+
+  const currentColumns = (await query(columnsQuery, [tables.logs])).map(column => column.name);
+  const columns = legacyColumns
+    .filter(column => column !== 'id' && currentColumns.includes(column))
+    .map(column => `\`${column}\``)
+    .join(', ');
+  const copyQuery = `INSERT INTO \`${tables.logs}\` (${columns}) SELECT ${columns} FROM \`${legacyTable}\``;
+
+  if (!legacyColumns.includes('id')) {
+    await query(copyQuery);
+    return;
+  }
+
+  const [{ minId, maxId }] = await query(`SELECT MIN(id) AS minId, MAX(id) AS maxId FROM \`${legacyTable}\``);
+  if (minId === null) return;
+  for (let startId = Number(minId); startId <= Number(maxId); startId += LEGACY_LOGS_COPY_BATCH_SIZE) {
+    await query(`${copyQuery} WHERE id >= ? AND id < ? ORDER BY id`, [startId, startId + LEGACY_LOGS_COPY_BATCH_SIZE]);
+  }
+}
+
+module.exports = migrations;
@@ -0,0 +1,285 @@
+/**
+ * @typedef {Object} SearchNode
+ * @property {string} type - One of `and`, `or`, `not`, `text` and `field`.
+ * @property {SearchNode[]} [children] - The operands of `and` and `or`.
+ * @property {SearchNode} [child] - The operand of `not`.
+ * @property {string} [field] - The column a `field` node matches: `level`, `source`, `hostname` or `pid`.
+ * @property {string|number} [value] - The text or field value.
+ * @property {boolean} [phrase] - Whether a `text` node was quoted.
+ * @property {boolean} [prefix] - Whether the value ends with a `*` wildcard.
+ */
+
+const MAX_QUERY_LENGTH = 1024;
+const MAX_NESTING_DEPTH = 16;
+const SEARCH_FIELDS = { level: 'level', source: 'source', host: 'hostname', hostname: 'hostname', pid: 'pid' };
+const OPERATORS = ['AND', 'OR', 'NOT'];
+const WILDCARD_TERM = /^[\p{L}\p{N}_]+$/u;
+
+/**
+ * Parses a search query into an AST. The syntax is:
+ *
+ * - `timeout` and `"connection refused"` match messages containing the word or phrase.
+ * - `conn*` matches words starting with `conn`. Wildcards are only allowed at the end of a term.
+ * - `level:error`, `source:console`, `host:api-*` (or `hostname:`) and `pid:123` match columns.
+ *   Values may be quoted, and the other fields accept a trailing wildcard.
+ * - `-term` and `NOT term` exclude matches, terms next to each other (or joined by `AND`) must
+ *   all match, and `OR` requires either side to match. `NOT` binds tighter than `AND`, which binds
+ *   tighter than `OR`, so `a b OR c` means `(a AND b) OR c`. Parentheses group expressions.
+ *
+ * Words before a colon that are not one of the fields above, such as in `http://host`, are
+ * searched as text.
+ *
+ * @param {string} query - The search query.
+ * @returns {SearchNode|null} - The AST, or null if the query is empty.
+ * @throws {Error} - Throws an error with a `position` property if the query is invalid.
+ */
+function parseSearchQuery (query) {
+  if (typeof query !== 'string') throw new Error('Invalid search query. Expected a string.');
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Invalid search query. Expected at most ${MAX_QUERY_LENGTH} characters.`);
+  }
+
+  const tokens = tokenize(query);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const describe = token => (token ? `"${token.text}" at position ${token.position}` : 'the end of the query');
+
+  function parseOr () {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      const operator = tokens[index++];
+      if (!peek() || peek().type === 'or' || peek().type === 'rparen') {
+        throw parseError(`Expected a term after OR at position ${operator.position} but found ${describe(peek())}.`, operator.position);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd () {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+      if (peek().type === 'and') {
+        const operator = tokens[index++];
+        if (!peek() || peek().type === 'or' || peek().type === 'and' || peek().type === 'rparen') {
+          throw parseError(`Expected a term after AND at position ${operator.position} but found ${describe(peek())}.`, operator.position);
+        }
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary () {
+    const token = peek();
+    if (token && token.type === 'not') {
+      index++;
+      if (!peek() || ['or', 'and', 'rparen'].includes(peek().type)) {
+        throw parseError(`Expected a term after ${token.text} at position ${token.position} but found ${describe(peek())}.`, token.position);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary () {
+    const token = tokens[index++];
+    if (!token) throw parseError('Expected a term but found the end of the query.', query.length);
+    if (token.type === 'lparen') {
+      if (++depth > MAX_NESTING_DEPTH) {
+        throw parseError(`Too many nested parentheses at position ${token.position}. Expected at most ${MAX_NESTING_DEPTH}.`, token.position);
+      }
+      if (peek() && peek().type === 'rparen') throw parseError(`Empty parentheses at position ${token.position}.`, token.position);
+      const node = parseOr();
+      if (!peek() || peek().type !== 'rparen') {
+        throw parseError(`Missing closing parenthesis for the one at position ${token.position}.`, token.position);
+      }
+      index++;
+      depth--;
+      return node;
+    }
+    if (token.type === 'text' || token.type === 'field') return token.node;
+    throw parseError(`Unexpected ${describe(token)}.`, token.position);
+  }
+
+  if (tokens.length === 0) return null;
+  const ast = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw parseError(`Unexpected ${describe(token)}.`, token.position);
+  }
+  return ast;
+}
+
+function tokenize (query) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < query.length) {
+    const char = query[position];
+    if (/\s/.test(char)) {
+      position++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', text: char, position });
+      position++;
+    } else if (char === '-' && position + 1 < query.length && !/[\s)]/.test(query[position + 1])) {
+      tokens.push({ type: 'not', text: '-', position });
+      position++;
+    } else if (char === '"') {
+      const phrase = readPhrase(query, position);
+      if (query[phrase.end] === '*') {
+        throw parseError(`Wildcards are not supported in phrases at position ${phrase.end}.`, phrase.end);
+      }
+      if (phrase.value.trim()) {
+        tokens.push({ type: 'text', text: query.slice(position, phrase.end), position, node: { type: 'text', value: phrase.value, phrase: true, prefix: false } });
+      }
+      position = phrase.end;
+    } else {
+      const start = position;
+      while (position < query.length && !/[\s()"]/.test(query[position])) position++;
+      const word = query.slice(start, position);
+
+      if (OPERATORS.includes(word)) {
+        tokens.push({ type: word.toLowerCase(), text: word, position: start });
+        continue;
+      }
+
+      const separator = word.indexOf(':');
+      const field = separator > 0 ? SEARCH_FIELDS[word.slice(0, separator).toLowerCase()] : undefined;
+      if (field) {
+        let value = word.slice(separator + 1);
+        if (value === '' && query[position] === '"') {
+          const phrase = readPhrase(query, position);
+          value = phrase.value;
+          position = phrase.end;
+        }
+        tokens.push({ type: 'field', text: query.slice(start, position), position: start, node: createFieldNode(field, value, start) });
+        continue;
+      }
+
+      tokens.push({ type: 'text', text: word, position: start, node: createTextNode(word, start) });
+    }
+  }
+  return tokens;
+}
+
+function readPhrase (query, start) {
+  let value = '';
+  let position = start + 1;
+  while (position < query.length && query[position] !== '"') {
+    if (query[position] === '\\' && position + 1 < query.length) position++;
+    value += query[position++];
+  }
+  if (position >= query.length) throw parseError(`Missing closing quote for the phrase at position ${start}.`, start);
+  return { value, end: position + 1 };
+}
+
+function createTextNode (word, position) {
+  const prefix = word.endsWith('*');
+  const value = prefix ? word.slice(0, -1) : word;
+  if (value.includes('*')) {
+    throw parseError(`Wildcards are only supported at the end of a term, in "${word}" at position ${position}.`, position);
+  }
+  if (prefix && !WILDCARD_TERM.test(value)) {
+    throw parseError(`Invalid wildcard term "${word}" at position ${position}. Expected letters, digits or underscores before the *.`, position);
+  }
+  return { type: 'text', value, phrase: false, prefix };
+}
+
+function createFieldNode (field, rawValue, position) {
+  const prefix = rawValue.endsWith('*');
+  const value = prefix ? rawValue.slice(0, -1) : rawValue;
+  if (value === '') throw parseError(`Missing value for the ${field} filter at position ${position}.`, position);
+  if (value.includes('*')) {
+    throw parseError(`Wildcards are only supported at the end of a value, in "${rawValue}" at position ${position}.`, position);
+  }
+  if (field === 'pid') {
+    if (prefix || !/^\d+$/.test(value)) throw parseError(`Invalid pid "${rawValue}" at position ${position}. Expected a number.`, position);
+    return { type: 'field', field, value: Number(value), prefix: false };
+  }
+  return { type: 'field', field, value, prefix };
+}
+
+function parseError (message, position) {
+  const err = new Error(`Invalid search query. ${message}`);
+  err.position = position;
+  return err;
+}
+
+/**
+ * Compiles a search AST to an SQL condition. Text is matched with `MATCH ... AGAINST` in
+ * boolean mode, combining the terms of each AND or OR into a single MATCH where possible, or
+ * with LIKE if `fullText` is false. Fields become column comparisons. Negations treat NULL as
+ * not matching, so `-host:api-1` keeps logs without a hostname.
+ *
+ * @param {SearchNode} node - The AST from `parseSearchQuery`.
+ * @param {Object} [options]
+ * @param {boolean} [options.fullText=true] - Whether the message column has a FULLTEXT index.
+ * @returns {{condition: string, values: Array}} - The SQL condition and its values.
+ */
+function compileSearchQuery (node, { fullText = true } = {}) {
+  const values = [];
+
+  function compile (node) {
+    if (node.type === 'text') {
+      if (!fullText) {
+        values.push(`%${escapeLike(node.value)}%`);
+        return 'message LIKE ?';
+      }
+      values.push(`+${toMatchTerm(node)}`);
+      return 'MATCH(message) AGAINST (? IN BOOLEAN MODE)';
+    }
+
+    if (node.type === 'field') {
+      if (node.prefix) {
+        values.push(`${escapeLike(node.value)}%`);
+        return `${node.field} LIKE ?`;
+      }
+      values.push(node.value);
+      return `${node.field} = ?`;
+    }
+
+    if (node.type === 'not') return `NOT IFNULL(${compile(node.child)}, FALSE)`;
+
+    if (fullText && node.type === 'and') {
+      const included = node.children.filter(child => child.type === 'text');
+      const excluded = node.children.filter(child => child.type === 'not' && child.child.type === 'text');
+      if (included.length > 0) {
+        const conditions = ['MATCH(message) AGAINST (? IN BOOLEAN MODE)'];
+        values.push([
+          ...included.map(child => `+${toMatchTerm(child)}`),
+          ...excluded.map(child => `-${toMatchTerm(child.child)}`)
+        ].join(' '));
+        node.children
+          .filter(child => !included.includes(child) && !excluded.includes(child))
+          .forEach(child => conditions.push(compile(child)));
+        return conditions.length === 1 ? conditions[0] : `(${conditions.join(' AND ')})`;
+      }
+    }
+
+    if (fullText && node.type === 'or' && node.children.every(child => child.type === 'text')) {
+      values.push(node.children.map(toMatchTerm).join(' '));
+      return 'MATCH(message) AGAINST (? IN BOOLEAN MODE)';
+    }
+
+    return `(${node.children.map(compile).join(node.type === 'and' ? ' AND ' : ' OR ')})`;
+  }
+
+  return { condition: compile(node), values };
+}
+
+function toMatchTerm (node) {
+  // Double quotes would end the phrase early, and MATCH ignores punctuation anyway
+  return node.prefix ? `${node.value}*` : `"${node.value.replace(/"/g, ' ')}"`;
+}
+
+function escapeLike (value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+module.exports = {
+  parseSearchQuery,
+  compileSearchQuery
+};
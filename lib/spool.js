@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+
+const SPOOL_FILE_EXTENSION = '.spool';
+const OFFSET_FILE_EXTENSION = '.offset';
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Append-only, newline-delimited JSON file that holds log entries until they have been
+ * inserted into MySQL. Each process writes to its own file; files left behind by
+ * processes that are no longer running are drained by whichever process finds them.
+ * Writes and commits run one at a time in the background, and appends made while a
+ * write is pending are combined into a single write.
+ */
+class LogSpool {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - The directory that holds the spool files.
+   * @param {string} options.name - The prefix of the spool file names.
+   */
+  constructor ({ directory, name }) {
+    this.directory = directory;
+    this.name = name;
+    this.filePath = path.join(directory, `${name}-${process.pid}${SPOOL_FILE_EXTENSION}`);
+    this.queue = Promise.resolve();
+    this.pendingData = [];
+    this.pendingWrite = null;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Appends log entries to the spool file of the current process. Entries with a number of
+   * failed insert attempts are stored along with it, so that `read` can restore it.
+   *
+   * @async
+   * @function append
+   * @param {Object[]} logEntries - The log entries to append.
+   * @param {WeakMap<Object, number>} [attempts] - The failed insert attempts of each entry.
+   * @returns {Promise<void>} - A Promise that resolves once the entries have been written.
+   * @throws {Error} - Throws an error if the file cannot be written.
+   */
+  append (logEntries, attempts) {
+    if (!logEntries.length) return Promise.resolve();
+    this.pendingData.push(logEntries.map(logEntry => {
+      const logAttempts = attempts && attempts.get(logEntry);
+      return JSON.stringify(logAttempts ? { attempts: logAttempts, logEntry } : logEntry) + '\n';
+    }).join(''));
+
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.enqueue(() => {
+        const data = this.pendingData.join('');
+        this.pendingData = [];
+        this.pendingWrite = null;
+        return fs.promises.appendFile(this.filePath, data);
+      });
+    }
+    return this.pendingWrite;
+  }
+
+  /**
+   * Waits for the writes and commits that have been started so far.
+   *
+   * @async
+   * @function flush
+   * @returns {Promise<void>} - A Promise that resolves once the spool is idle.
+   */
+  flush () {
+    return this.queue;
+  }
+
+  enqueue (task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Lists the spool files this process is responsible for: files of processes that are no
+   * longer running, oldest first, followed by the file of the current process.
+   *
+   * @returns {string[]} - The absolute paths of the spool files.
+   */
+  getFiles () {
+    const filePrefix = `${this.name}-`;
+    const orphanFiles = fs.readdirSync(this.directory)
+      .filter(fileName => fileName.startsWith(filePrefix) && fileName.endsWith(SPOOL_FILE_EXTENSION))
+      .map(fileName => path.join(this.directory, fileName))
+      .filter(filePath => filePath !== this.filePath)
+      .filter(filePath => {
+        const pid = parseInt(path.basename(filePath, SPOOL_FILE_EXTENSION).slice(filePrefix.length), 10);
+        return isNaN(pid) || !isProcessRunning(pid);
+      })
+      .map(filePath => ({ filePath, mtime: fs.statSync(filePath).mtimeMs }))
+      .sort((a, b) => a.mtime - b.mtime)
+      .map(file => file.filePath);
+
+    return fs.existsSync(this.filePath) ? [...orphanFiles, this.filePath] : orphanFiles;
+  }
+
+  /**
+   * Reads the next uncommitted log entries from the spool.
+   *
+   * @async
+   * @function read
+   * @param {number} maxEntries - The maximum number of log entries to read.
+   * @param {WeakMap<Object, number>} [attempts] - Receives the failed insert attempts stored by `append`.
+   * @returns {Promise<{filePath: string, entries: Object[], endOffset: number}|null>} - A Promise that resolves with the next batch, or null if the spool is empty.
+   */
+  async read (maxEntries, attempts) {
+    for (const filePath of this.getFiles()) {
+      const batch = await this.readFile(filePath, maxEntries, attempts);
+      if (batch) return batch;
+    }
+    return null;
+  }
+
+  async readFile (filePath, maxEntries, attempts) {
+    const startOffset = readOffset(filePath);
+    const fileSize = fs.statSync(filePath).size;
+    const isOrphan = filePath !== this.filePath;
+
+    if (startOffset >= fileSize) {
+      if (fileSize > 0 || isOrphan) await this.commit({ filePath, endOffset: startOffset });
+      return null;
+    }
+
+    const fileHandle = await fs.promises.open(filePath, 'r');
+    try {
+      let chunkSize = READ_CHUNK_SIZE;
+      while (true) {
+        const length = Math.min(chunkSize, fileSize - startOffset);
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await fileHandle.read(buffer, 0, length, startOffset);
+        const chunk = buffer.subarray(0, bytesRead);
+
+        const entries = [];
+        let consumed = 0;
+        let newlineIndex = chunk.indexOf(10, consumed);
+        while (newlineIndex !== -1 && entries.length < maxEntries) {
+          const line = chunk.toString('utf8', consumed, newlineIndex);
+          consumed = newlineIndex + 1;
+          try {
+            if (line) entries.push(parseLine(line, attempts));
+          } catch (err) {
+            console.error(err);
+          }
+          newlineIndex = chunk.indexOf(10, consumed);
+        }
+
+        if (consumed > 0) {
+          return { filePath, entries, endOffset: startOffset + consumed };
+        }
+        if (startOffset + bytesRead >= fileSize) {
+          // A partially written last line is only final once its process has exited
+          if (isOrphan) await this.commit({ filePath, endOffset: fileSize });
+          return null;
+        }
+        chunkSize *= 2;
+      }
+    } finally {
+      await fileHandle.close();
+    }
+  }
+
+  /**
+   * Marks a batch returned by `read` as inserted. Fully drained files are truncated,
+   * or removed if they belong to another process. The commit waits for pending writes,
+   * so that truncating the file cannot discard entries that are being appended.
+   *
+   * @async
+   * @function commit
+   * @param {{filePath: string, endOffset: number}} batch - The batch to commit.
+   * @returns {Promise<void>} - A Promise that resolves once the batch has been committed.
+   */
+  commit (batch) {
+    return this.enqueue(() => this.commitNow(batch));
+  }
+
+  commitNow ({ filePath, endOffset }) {
+    const offsetFilePath = filePath + OFFSET_FILE_EXTENSION;
+    const fileSize = fs.statSync(filePath).size;
+
+    if (endOffset < fileSize) {
+      fs.writeFileSync(offsetFilePath, endOffset.toString());
+      return;
+    }
+
+    if (filePath === this.filePath) {
+      fs.truncateSync(filePath, 0);
+    } else {
+      fs.unlinkSync(filePath);
+    }
+    if (fs.existsSync(offsetFilePath)) fs.unlinkSync(offsetFilePath);
+  }
+}
+
+function parseLine (line, attempts) {
+  const entry = JSON.parse(line);
+  if (entry && entry.logEntry && entry.attempts) {
+    if (attempts) attempts.set(entry.logEntry, entry.attempts);
+    return entry.logEntry;
+  }
+  return entry;
+}
+
+function readOffset (filePath) {
+  try {
+    const offset = parseInt(fs.readFileSync(filePath + OFFSET_FILE_EXTENSION, 'utf8'), 10);
+    return isNaN(offset) ? 0 : offset;
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+}
+
+function isProcessRunning (pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+module.exports = LogSpool;
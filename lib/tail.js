@@ -0,0 +1,170 @@
+/**
+ * A live subscription to new logs. Logs reach it two ways: the storage pushes the logs it has
+ * just inserted, and a poller reads the logs written by other processes by id. Logs the storage
+ * cannot push are read by a poll it requests right after inserting them. The poller only reads
+ * ids up to the highest id at the start of each poll, so that an idle subscription with
+ * selective filters does not scan the same rows again and again. The ids delivered either way are
+ * remembered until the poller is a full poll past them, so each log is delivered once, though
+ * not always in id order.
+ *
+ * Logs are passed to `onLog` if it is given, or else buffered for the async iterator. While
+ * `highWaterMark` logs are buffered, pushes are ignored and polling pauses, and the poller picks
+ * up where it left off once the buffer drains.
+ */
+class LogTail {
+  /**
+   * @param {Object} options
+   * @param {function(): Promise<number>} options.getMaxId - Reads the highest log id.
+   * @param {function(number, number, number): Promise<Log[]>} options.fetch - Reads the matching logs with an id greater than the first argument and up to the second, oldest first, at most the third argument of them.
+   * @param {number|null} [options.lastId=null] - The id to start after, or null to start with the logs written from now on.
+   * @param {number} [options.pollInterval=1000] - The time between polls in milliseconds.
+   * @param {number} [options.batchSize=100] - The maximum number of logs to read per query.
+   * @param {number} [options.highWaterMark=1000] - The maximum number of logs to buffer for the async iterator.
+   * @param {function(Log): void} [options.onLog] - Receives each log.
+   * @param {function(LogTail): void} [options.onClose] - Called once when the subscription ends.
+   */
+  constructor ({ getMaxId, fetch, lastId = null, pollInterval = 1000, batchSize = 100, highWaterMark = 1000, onLog, onClose }) {
+    this.getMaxId = getMaxId;
+    this.fetch = fetch;
+    this.lastId = lastId;
+    this.pollInterval = pollInterval;
+    this.batchSize = batchSize;
+    this.highWaterMark = highWaterMark;
+    this.onLog = onLog;
+    this.onClose = onClose;
+    this.isClosed = false;
+    this.deliveredIds = new Set();
+    this.buffer = [];
+    this.readers = [];
+    this.wakeUp = null;
+    this.resume = null;
+    this.timeoutId = null;
+    this.isPollRequested = false;
+    this.running = this.run();
+  }
+
+  /**
+   * Delivers logs that are known to match the filters, such as the logs the storage has just
+   * inserted.
+   *
+   * @param {Log[]} logs - The logs, with their ids.
+   */
+  push (logs) {
+    if (this.isClosed || this.isFull()) return;
+    logs.forEach(log => this.deliver(log));
+  }
+
+  /**
+   * Polls right away instead of at the end of the poll interval, such as after the storage has
+   * inserted logs it could not push. If a poll is running, another one follows it.
+   */
+  pollNow () {
+    this.isPollRequested = true;
+    if (this.wakeUp) this.wakeUp();
+  }
+
+  /**
+   * Ends the subscription. Pending reads of the async iterator end, and the logs still buffered
+   * are discarded. Calling it again does nothing.
+   */
+  unsubscribe () {
+    if (this.isClosed) return;
+    this.isClosed = true;
+    clearTimeout(this.timeoutId);
+    if (this.wakeUp) this.wakeUp();
+    if (this.resume) this.resume();
+    this.buffer = [];
+    this.readers.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+    if (this.onClose) this.onClose(this);
+  }
+
+  [Symbol.asyncIterator] () {
+    return {
+      next: () => {
+        if (this.buffer.length > 0) {
+          const value = this.buffer.shift();
+          if (this.resume && !this.isFull()) this.resume();
+          return Promise.resolve({ value, done: false });
+        }
+        if (this.isClosed) return Promise.resolve({ value: undefined, done: true });
+        return new Promise(resolve => this.readers.push(resolve));
+      },
+      return: () => {
+        this.unsubscribe();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+  }
+
+  deliver (log) {
+    if (this.deliveredIds.has(log.id)) return;
+    this.deliveredIds.add(log.id);
+    if (this.onLog) {
+      try {
+        this.onLog(log);
+      } catch (err) {
+        console.error(err);
+      }
+    } else if (this.readers.length > 0) {
+      this.readers.shift()({ value: log, done: false });
+    } else {
+      this.buffer.push(log);
+    }
+  }
+
+  isFull () {
+    return !this.onLog && this.buffer.length >= this.highWaterMark;
+  }
+
+  async run () {
+    while (!this.isClosed) {
+      let hasMore = false;
+      try {
+        if (this.isFull()) {
+          await new Promise(resolve => { this.resume = resolve; });
+          this.resume = null;
+          continue;
+        }
+        this.isPollRequested = false;
+        hasMore = await this.poll();
+      } catch (err) {
+        console.error(err);
+      }
+      if (!hasMore && !this.isPollRequested && !this.isClosed) {
+        await new Promise(resolve => {
+          this.wakeUp = resolve;
+          this.timeoutId = setTimeout(resolve, this.pollInterval);
+        });
+        clearTimeout(this.timeoutId);
+        this.wakeUp = null;
+      }
+    }
+  }
+
+  /**
+   * Reads the next logs. Returns true if there are more logs to read right away.
+   */
+  async poll () {
+    const maxId = Number(await this.getMaxId()) || 0;
+    // A push can come in late for a log the previous poll delivered, so only forget ids before it
+    const forgetUpTo = this.lastId;
+    if (this.lastId === null) {
+      this.lastId = maxId;
+      return false;
+    }
+    if (maxId > this.lastId) {
+      const logs = await this.fetch(this.lastId, maxId, this.batchSize);
+      if (this.isClosed) return false;
+      logs.forEach(log => this.deliver(log));
+      const isFullPage = logs.length >= this.batchSize;
+      this.lastId = isFullPage ? logs[logs.length - 1].id : maxId;
+      if (isFullPage) return true;
+    }
+    this.deliveredIds.forEach(id => {
+      if (id <= forgetUpTo) this.deliveredIds.delete(id);
+    });
+    return false;
+  }
+}
+
+module.exports = LogTail;
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const LogArchive = require('../lib/archive');
+/* globals expect, beforeEach, it, afterEach, describe */
+
+describe('LogArchive', () => {
+  let directory;
+  let archive;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'errsole-archive-'));
+    archive = new LogArchive({ directory, name: 'errsole' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('#append', () => {
+    it('should write log entries as gzip-compressed newline-delimited JSON', async () => {
+      const filePath = await archive.append([{ id: 1, message: 'first' }, { id: 2, message: 'second' }]);
+
+      expect(path.basename(filePath)).toMatch(new RegExp(`^errsole-\\d{10}-${process.pid}\\.ndjson\\.gz$`));
+      expect(zlib.gunzipSync(fs.readFileSync(filePath)).toString()).toBe('{"id":1,"message":"first"}\n{"id":2,"message":"second"}\n');
+    });
+
+    it('should append further batches to the same file', async () => {
+      const filePath = await archive.append([{ id: 1, message: 'first' }]);
+      await archive.append([{ id: 2, message: 'second' }]);
+
+      expect(zlib.gunzipSync(fs.readFileSync(filePath)).toString()).toBe('{"id":1,"message":"first"}\n{"id":2,"message":"second"}\n');
+    });
+
+    it('should record each batch in the manifest', async () => {
+      const filePath = await archive.append([
+        { id: 7, timestamp: '2026-10-01T10:00:00.000Z' },
+        { id: 5, timestamp: '2026-10-01T09:00:00.000Z' }
+      ]);
+
+      const manifest = fs.readFileSync(archive.manifestPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(manifest).toEqual([{
+        file: path.basename(filePath),
+        archivedAt: expect.any(String),
+        count: 2,
+        minId: 5,
+        maxId: 7,
+        minTimestamp: '2026-10-01T09:00:00.000Z',
+        maxTimestamp: '2026-10-01T10:00:00.000Z'
+      }]);
+    });
+
+    it('should not write anything for an empty array', async () => {
+      await expect(archive.append([])).resolves.toBeNull();
+      expect(fs.readdirSync(directory)).toEqual([]);
+    });
+  });
+
+  describe('.getFiles', () => {
+    it('should list the archive files of a directory in name order', async () => {
+      fs.writeFileSync(path.join(directory, 'errsole-2026100102-1.ndjson.gz'), '');
+      fs.writeFileSync(path.join(directory, 'errsole-2026100101-1.ndjson.gz'), '');
+      fs.writeFileSync(path.join(directory, 'errsole-manifest.ndjson'), '');
+
+      expect(LogArchive.getFiles(directory)).toEqual([
+        path.join(directory, 'errsole-2026100101-1.ndjson.gz'),
+        path.join(directory, 'errsole-2026100102-1.ndjson.gz')
+      ]);
+    });
+
+    it('should return a single file as is', async () => {
+      const filePath = path.join(directory, 'errsole-2026100101-1.ndjson.gz');
+      fs.writeFileSync(filePath, '');
+
+      expect(LogArchive.getFiles(filePath)).toEqual([filePath]);
+    });
+  });
+
+  describe('.read', () => {
+    it('should read the entries of all batches of a file', async () => {
+      const filePath = await archive.append([{ id: 1, message: 'first' }]);
+      await archive.append([{ id: 2, message: 'second' }]);
+
+      const entries = [];
+      for await (const entry of LogArchive.read(filePath)) entries.push(entry);
+
+      expect(entries).toEqual([{ id: 1, message: 'first' }, { id: 2, message: 'second' }]);
+    });
+
+    it('should reject if the file is not gzip-compressed', async () => {
+      const filePath = path.join(directory, 'errsole-2026100101-1.ndjson.gz');
+      fs.writeFileSync(filePath, '{"id":1}\n');
+
+      const read = async () => {
+        for await (const entry of LogArchive.read(filePath)) expect(entry).toBeUndefined();
+      };
+
+      await expect(read()).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const { normalizeMessage, getFingerprint } = require('../lib/fingerprint');
+/* globals expect, it, describe */
+
+describe('fingerprint', () => {
+  describe('.normalizeMessage', () => {
+    it('should replace numbers, UUIDs, hexadecimal values and quoted strings', () => {
+      expect(normalizeMessage('User 42 not found (request 3f2a9c1b-1234-4abc-9def-0123456789ab) at 0x7ffe12 in 12.5ms'))
+        .toBe('User <num> not found (request <uuid>) at <hex> in <num>ms');
+      expect(normalizeMessage('Invalid email "bob@example.com" for key \'user_1\'')).toBe('Invalid email <str> for key <str>');
+      expect(normalizeMessage('Commit 9fceb02d0ae598e95dc970b74767f19372d61af8 failed')).toBe('Commit <hex> failed');
+    });
+
+    it('should keep apostrophes and words that only look like hexadecimal', () => {
+      expect(normalizeMessage("Can't reach the database, it isn't up")).toBe("Can't reach the database, it isn't up");
+      expect(normalizeMessage('Cache deadbeef is stale')).toBe('Cache deadbeef is stale');
+    });
+
+    it('should remove the line and column numbers of stack frames', () => {
+      const message = 'Error: boom\n    at handler (/app/src/routes.js:10:15)\n    at /app/src/index.js:3:4';
+
+      expect(normalizeMessage(message)).toBe('Error: boom\n    at handler (/app/src/routes.js)\n    at /app/src/index.js');
+    });
+  });
+
+  describe('.getFingerprint', () => {
+    it('should return the same fingerprint for messages that differ only by their variable parts', () => {
+      const fingerprint = getFingerprint('Order 1001 failed: timeout after 3000ms\n    at pay (/app/pay.js:20:7)');
+
+      expect(fingerprint).toMatch(/^[0-9a-f]{40}$/);
+      expect(getFingerprint('Order 2002 failed: timeout after 5000ms\n    at pay (/app/pay.js:22:9)')).toBe(fingerprint);
+      expect(getFingerprint('Order 1001 cancelled')).not.toBe(fingerprint);
+    });
+
+    it('should return null if there is no message', () => {
+      expect(getFingerprint(undefined)).toBeNull();
+      expect(getFingerprint(null)).toBeNull();
+    });
+  });
+});
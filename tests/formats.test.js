@@ -0,0 +1,145 @@
+const { Readable } = require('stream');
+const { createLogFormatter, parseLogs, normalizeLogEntry } = require('../lib/formats');
+/* globals expect, it, describe */
+
+async function format (rows, ...args) {
+  let output = '';
+  for await (const chunk of Readable.from(rows).pipe(createLogFormatter(...args))) output += chunk;
+  return output;
+}
+
+describe('createLogFormatter', () => {
+  const rows = [
+    { id: 1, timestamp: new Date('2026-10-01T09:00:00.000Z'), hostname: 'api-1', pid: 10, source: 'console', level: 'info', message: 'started', errsole_id: null, meta: '{}' },
+    { id: 2, timestamp: new Date('2026-10-01T09:00:01.000Z'), hostname: 'api-1', pid: 10, source: 'console', level: 'error', message: 'failed, "badly"\nat line 2', errsole_id: 7, meta: '{"a":1}' }
+  ];
+
+  it('should write one JSON object per line in the ndjson format', async () => {
+    const output = await format(rows, 'ndjson');
+
+    expect(output.trim().split('\n').map(line => JSON.parse(line))).toEqual(JSON.parse(JSON.stringify(rows)));
+  });
+
+  it('should write a single JSON array in the json format', async () => {
+    expect(JSON.parse(await format(rows, 'json'))).toEqual(JSON.parse(JSON.stringify(rows)));
+  });
+
+  it('should write an empty JSON array if there are no rows', async () => {
+    expect(JSON.parse(await format([], 'json'))).toEqual([]);
+  });
+
+  it('should write a header and quote fields as needed in the csv format', async () => {
+    const output = await format(rows, 'csv');
+
+    expect(output).toBe(
+      'id,timestamp,hostname,pid,source,level,message,errsole_id\n' +
+      '1,2026-10-01T09:00:00.000Z,api-1,10,console,info,started,\n' +
+      '2,2026-10-01T09:00:01.000Z,api-1,10,console,error,"failed, ""badly""\nat line 2",7\n'
+    );
+  });
+
+  it('should include the meta column in the csv format if requested', async () => {
+    const output = await format(rows.slice(0, 1), 'csv', { includeMeta: true });
+
+    expect(output).toBe('id,timestamp,hostname,pid,source,level,message,errsole_id,meta\n1,2026-10-01T09:00:00.000Z,api-1,10,console,info,started,,{}\n');
+  });
+
+  it('should write only the header if there are no rows in the csv format', async () => {
+    expect(await format([], 'csv')).toBe('id,timestamp,hostname,pid,source,level,message,errsole_id\n');
+  });
+});
+
+describe('parseLogs', () => {
+  async function parse (chunks, format) {
+    const records = [];
+    for await (const record of parseLogs(Readable.from(chunks.map(chunk => Buffer.from(chunk))), format)) {
+      records.push(record.error ? { line: record.line, error: record.error.message } : record);
+    }
+    return records;
+  }
+
+  it('should parse ndjson lines across chunks and report invalid lines', async () => {
+    const records = await parse(['{"message":"fir', 'st"}\n\nnot json\r\n{"message":"last"}'], 'ndjson');
+
+    expect(records).toEqual([
+      { line: 1, entry: { message: 'first' } },
+      { line: 3, error: expect.stringContaining('JSON') },
+      { line: 4, entry: { message: 'last' } }
+    ]);
+  });
+
+  it('should parse a json array', async () => {
+    expect(await parse(['[{"message":"first"},', '{"message":"second"}]'], 'json')).toEqual([
+      { line: 1, entry: { message: 'first' } },
+      { line: 2, entry: { message: 'second' } }
+    ]);
+  });
+
+  it('should reject json input that is not an array', async () => {
+    await expect(parse(['{"message":"first"}'], 'json')).rejects.toThrow('Invalid JSON input. Expected an array of log entries.');
+  });
+
+  it('should parse csv with a header, quoted fields and empty fields', async () => {
+    const records = await parse(['id,message,errsole_id\r\n1,"failed, ""bad', 'ly""\nat line 2",\n2,ok,7\n3,too,many,fields\n'], 'csv');
+
+    expect(records).toEqual([
+      { line: 1, entry: { id: '1', message: 'failed, "badly"\nat line 2' } },
+      { line: 2, entry: { id: '2', message: 'ok', errsole_id: '7' } },
+      { line: 3, error: 'Expected 3 fields but found 4.' }
+    ]);
+  });
+
+  it('should read its own csv export back', async () => {
+    const rows = [{ id: 1, timestamp: new Date('2026-10-01T09:00:00.000Z'), hostname: 'api-1', pid: 10, source: 'console', level: 'error', message: 'a, "b"\nc', errsole_id: null }];
+
+    const records = await parse([await format(rows, 'csv')], 'csv');
+
+    expect(normalizeLogEntry(records[0].entry)).toEqual({
+      timestamp: new Date('2026-10-01T09:00:00.000Z'),
+      hostname: 'api-1',
+      pid: 10,
+      source: 'console',
+      level: 'error',
+      message: 'a, "b"\nc',
+      meta: undefined,
+      errsole_id: null
+    });
+  });
+});
+
+describe('normalizeLogEntry', () => {
+  it('should keep the original timestamp and stringify object meta', () => {
+    expect(normalizeLogEntry({ timestamp: '2026-10-01T09:00:00.000Z', message: 'started', meta: { a: 1 }, pid: '10' })).toEqual({
+      timestamp: new Date('2026-10-01T09:00:00.000Z'),
+      hostname: null,
+      pid: 10,
+      source: null,
+      level: 'info',
+      message: 'started',
+      meta: '{"a":1}',
+      errsole_id: null
+    });
+  });
+
+  it('should accept MongoDB extended JSON', () => {
+    const logEntry = normalizeLogEntry({
+      _id: { $oid: '652f9f0c9b1e8a0012345678' },
+      timestamp: { $date: '2026-10-01T09:00:00.000Z' },
+      message: 'started',
+      errsole_id: { $numberLong: '42' }
+    });
+
+    expect(logEntry.timestamp).toEqual(new Date('2026-10-01T09:00:00.000Z'));
+    expect(logEntry.errsole_id).toBe(42);
+  });
+
+  it.each([
+    ['not an object', 'message', 'Expected a log entry object.'],
+    ['a missing timestamp', { message: 'started' }, 'Invalid or missing timestamp.'],
+    ['an invalid timestamp', { timestamp: 'yesterday', message: 'started' }, 'Invalid or missing timestamp.'],
+    ['a missing message', { timestamp: '2026-10-01T09:00:00.000Z' }, 'Missing message.'],
+    ['an invalid pid', { timestamp: '2026-10-01T09:00:00.000Z', message: 'started', pid: 'abc' }, 'Invalid pid.']
+  ])('should reject %s', (description, entry, message) => {
+    expect(() => normalizeLogEntry(entry)).toThrow(message);
+  });
+});
@@ -1,7 +1,12 @@
 const mysql = require('mysql2');
 const bcrypt = require('bcryptjs');
 const ErrsoleMySQL = require('../lib/index');
-const cron = require('node-cron');
+const LogArchive = require('../lib/archive');
+const { getFingerprint } = require('../lib/fingerprint');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
 /* globals expect, jest, beforeEach, it, afterEach, describe, afterAll */
 
 jest.mock('mysql2', () => ({
@@ -18,12 +23,36 @@ jest.mock('bcryptjs', () => ({
   compare: jest.fn()
 }));
 
+function getLogInsertCalls (queryMock) {
+  return queryMock.mock.calls.filter(([query]) => query.startsWith('INSERT INTO errsole_logs_v3'));
+}
+
+function decodeCursor (cursor) {
+  return JSON.parse(Buffer.from(cursor, 'base64url').toString());
+}
+
+function encodeCursor (cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function createMigrationConnectionMock (appliedVersions = []) {
+  return {
+    query: jest.fn((query, values, cb) => {
+      if (query.startsWith('SELECT GET_LOCK')) return cb(null, [{ acquired: 1 }]);
+      if (query.startsWith('SELECT version')) return cb(null, appliedVersions.map(version => ({ version })));
+      if (query.includes('information_schema.')) return cb(null, []);
+      if (query.startsWith('SELECT MIN(id)')) return cb(null, [{ minId: null, maxId: null }]);
+      cb(null, {});
+    }),
+    release: jest.fn()
+  };
+}
+
 describe('ErrsoleMySQL', () => {
   let errsoleMySQL;
   let poolMock;
   let connectionMock;
   let originalConsoleError;
-  let cronJob;
 
   beforeEach(() => {
     connectionMock = {
@@ -46,11 +75,10 @@ describe('ErrsoleMySQL', () => {
       connectionLimit: 10,
       queueLimit: 0
     });
+    errsoleMySQL.isConnectionInProgress = false;
 
     jest.useFakeTimers();
     jest.spyOn(global, 'setInterval');
-    cronJob = { stop: jest.fn() };
-    jest.spyOn(cron, 'schedule').mockReturnValue(cronJob);
 
     originalConsoleError = console.error;
     console.error = jest.fn();
@@ -63,14 +91,12 @@ describe('ErrsoleMySQL', () => {
     if (errsoleMySQL.flushIntervalId) {
       clearInterval(errsoleMySQL.flushIntervalId);
     }
-    if (cronJob) {
-      cronJob.stop();
-    }
+    clearTimeout(errsoleMySQL.hourlyJobsTimeoutId);
   });
 
   describe('#initialize', () => {
     it('should initialize properly', async () => {
-      poolMock.getConnection.mockImplementation((cb) => cb(null, { release: jest.fn() }));
+      poolMock.getConnection.mockImplementation((cb) => cb(null, createMigrationConnectionMock()));
       poolMock.query.mockImplementation((query, values, cb) => {
         if (typeof values === 'function') {
           cb = values;
@@ -85,7 +111,300 @@ describe('ErrsoleMySQL', () => {
       expect(poolMock.query).toHaveBeenCalledWith(expect.any(String), expect.any(Function));
       expect(errsoleMySQL.isConnectionInProgress).toBe(false);
       expect(setInterval).toHaveBeenCalled();
-      expect(cron.schedule).toHaveBeenCalled();
+      expect(errsoleMySQL.hourlyJobsTimeoutId).toBeDefined();
+    });
+
+    it('should run the expiry and size limit jobs at the start of every hour', async () => {
+      jest.setSystemTime(new Date('2023-01-01T10:59:00.000Z'));
+      const jobs = ['deleteExpiredLogs', 'deleteExpiredNotificationItems', 'enforceLogsSizeLimit']
+        .map(job => jest.spyOn(errsoleMySQL, job).mockResolvedValue({}));
+
+      errsoleMySQL.scheduleHourlyJobs();
+      jest.advanceTimersByTime(59999);
+      jobs.forEach(job => expect(job).not.toHaveBeenCalled());
+
+      jest.advanceTimersByTime(1);
+      jobs.forEach(job => expect(job).toHaveBeenCalledTimes(1));
+
+      jest.advanceTimersByTime(60 * 60 * 1000);
+      jobs.forEach(job => expect(job).toHaveBeenCalledTimes(2));
+    });
+  });
+
+  describe('#ready', () => {
+    const mockSuccessfulQueries = () => {
+      poolMock.getConnection.mockImplementation((cb) => cb(null, createMigrationConnectionMock()));
+      poolMock.query.mockImplementation((query, values, cb) => {
+        if (typeof values === 'function') {
+          cb = values;
+          values = null;
+        }
+        cb(null, [{ Value: '8388608' }]);
+      });
+    };
+
+    beforeEach(() => {
+      errsoleMySQL.isConnectionInProgress = true;
+    });
+
+    it('should resolve once initialization succeeds', async () => {
+      mockSuccessfulQueries();
+      const readyPromise = errsoleMySQL.ready();
+
+      await errsoleMySQL.initialize();
+
+      await expect(readyPromise).resolves.toBeUndefined();
+      await expect(errsoleMySQL.ready()).resolves.toBeUndefined();
+      expect(errsoleMySQL.isReady).toBe(true);
+      clearInterval(errsoleMySQL.flushIntervalId);
+    });
+
+    it('should reject and emit an error event if initialization fails', async () => {
+      const errorListener = jest.fn();
+      errsoleMySQL.on('error', errorListener);
+      poolMock.getConnection.mockImplementation((cb) => cb(new Error('Access denied')));
+      const readyPromise = errsoleMySQL.ready();
+
+      await errsoleMySQL.initialize();
+
+      await expect(readyPromise).rejects.toThrow('Failed to initialize the MySQL storage: Access denied');
+      expect(errorListener).toHaveBeenCalledWith(new Error('Access denied'));
+      expect(errsoleMySQL.isConnectionInProgress).toBe(true);
+      clearTimeout(errsoleMySQL.reconnectTimeoutId);
+    });
+
+    it('should log the initialization error if nobody listens to error events', async () => {
+      poolMock.getConnection.mockImplementation((cb) => cb(new Error('Access denied')));
+
+      await errsoleMySQL.initialize();
+
+      expect(console.error).toHaveBeenCalledWith(new Error('Access denied'));
+      clearTimeout(errsoleMySQL.reconnectTimeoutId);
+    });
+
+    it('should retry initialization with exponential backoff', async () => {
+      const initializeSpy = jest.spyOn(errsoleMySQL, 'initialize');
+      errsoleMySQL.on('error', () => {});
+      poolMock.getConnection.mockImplementation((cb) => cb(new Error('Connection refused')));
+
+      await errsoleMySQL.initialize();
+      jest.advanceTimersByTime(999);
+      expect(initializeSpy).toHaveBeenCalledTimes(1);
+      jest.advanceTimersByTime(1);
+      expect(initializeSpy).toHaveBeenCalledTimes(2);
+      await initializeSpy.mock.results[1].value;
+
+      jest.advanceTimersByTime(1999);
+      expect(initializeSpy).toHaveBeenCalledTimes(2);
+      mockSuccessfulQueries();
+      jest.advanceTimersByTime(1);
+      expect(initializeSpy).toHaveBeenCalledTimes(3);
+
+      await errsoleMySQL.ready();
+      expect(errsoleMySQL.initializationError).toBeNull();
+      clearInterval(errsoleMySQL.flushIntervalId);
+    });
+
+    it('should not retry initialization after the instance is closed', async () => {
+      poolMock.end = jest.fn((cb) => cb(null));
+      errsoleMySQL.on('error', () => {});
+      await errsoleMySQL.close();
+      poolMock.getConnection.mockImplementation((cb) => cb(new Error('Connection refused')));
+
+      await errsoleMySQL.initialize();
+
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('should not let the timers keep the process alive when closeOnExit is enabled', async () => {
+      errsoleMySQL.closeOnExit = true;
+      errsoleMySQL.on('error', () => {});
+      poolMock.getConnection.mockImplementationOnce((cb) => cb(new Error('Connection refused')));
+
+      await errsoleMySQL.initialize();
+      expect(errsoleMySQL.reconnectTimeoutId.hasRef()).toBe(false);
+
+      mockSuccessfulQueries();
+      await errsoleMySQL.initialize();
+      errsoleMySQL.sleep(10000);
+
+      expect(errsoleMySQL.flushIntervalId.hasRef()).toBe(false);
+      expect(errsoleMySQL.hourlyJobsTimeoutId.hasRef()).toBe(false);
+      expect([...errsoleMySQL.sleepTimers][0].timeoutId.hasRef()).toBe(false);
+      clearTimeout(errsoleMySQL.reconnectTimeoutId);
+    });
+
+    it('should keep the timers referenced by default', async () => {
+      mockSuccessfulQueries();
+
+      await errsoleMySQL.initialize();
+
+      expect(errsoleMySQL.flushIntervalId.hasRef()).toBe(true);
+      expect(errsoleMySQL.hourlyJobsTimeoutId.hasRef()).toBe(true);
+    });
+
+    it('should not start the timers if the instance is closed while connecting', async () => {
+      poolMock.end = jest.fn((cb) => cb(null));
+      mockSuccessfulQueries();
+
+      const initializePromise = errsoleMySQL.initialize();
+      const closePromise = errsoleMySQL.close();
+      await initializePromise;
+      await closePromise;
+
+      expect(errsoleMySQL.isReady).toBe(false);
+      expect(setInterval).not.toHaveBeenCalled();
+      expect(errsoleMySQL.hourlyJobsTimeoutId).toBeUndefined();
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe('#waitForConnection', () => {
+    beforeEach(() => {
+      errsoleMySQL.isConnectionInProgress = true;
+    });
+
+    it('should make public methods wait until the tables are created', async () => {
+      const getConfigPromise = errsoleMySQL.getConfig('logsTTL');
+      await Promise.resolve();
+      expect(poolMock.query).not.toHaveBeenCalledWith(expect.stringContaining('SELECT * FROM errsole_config'), expect.anything(), expect.any(Function));
+
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [{ key: 'logsTTL', value: '1000' }]));
+      errsoleMySQL.isConnectionInProgress = false;
+      errsoleMySQL.settleReadyWaiters('connected');
+
+      await expect(getConfigPromise).resolves.toEqual({ item: { key: 'logsTTL', value: '1000' } });
+    });
+
+    it('should make public methods fail fast if initialization failed', async () => {
+      errsoleMySQL.initializationError = new Error('Access denied');
+
+      await expect(errsoleMySQL.getLogs()).rejects.toThrow('Failed to initialize the MySQL storage: Access denied');
+      await expect(errsoleMySQL.getUserCount()).rejects.toThrow('Failed to initialize the MySQL storage: Access denied');
+      expect(poolMock.query).not.toHaveBeenCalledWith(expect.stringContaining('errsole_logs_v3'), expect.anything(), expect.any(Function));
+    });
+
+    it('should keep the pending logs if initialization failed', async () => {
+      errsoleMySQL.initializationError = new Error('Access denied');
+      errsoleMySQL.pendingLogs.push({ timestamp: new Date(), message: 'test message' });
+
+      await expect(errsoleMySQL.flushLogs()).resolves.toEqual({});
+
+      expect(errsoleMySQL.pendingLogs).toHaveLength(1);
+      expect(connectionMock.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('#flushAndClose', () => {
+    beforeEach(() => {
+      poolMock.end = jest.fn((cb) => cb(null));
+      errsoleMySQL.isConnectionInProgress = false;
+      connectionMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
+    });
+
+    it('should stop the timers, flush the pending logs and end the pool', async () => {
+      errsoleMySQL.flushIntervalId = setInterval(() => {}, 1000);
+      errsoleMySQL.scheduleHourlyJobs();
+      errsoleMySQL.pendingLogs.push({ timestamp: new Date(), message: 'test message' });
+
+      await expect(errsoleMySQL.flushAndClose()).resolves.toEqual({});
+
+      expect(jest.getTimerCount()).toBe(0);
+      expect(connectionMock.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO errsole_logs_v3'), expect.any(Array), expect.any(Function));
+      expect(errsoleMySQL.pendingLogs).toHaveLength(0);
+      expect(poolMock.end).toHaveBeenCalled();
+    });
+
+    it('should stop the adaptive flush loop if closed during a flush', async () => {
+      let finishFlush;
+      const flushLogsSpy = jest.spyOn(errsoleMySQL, 'flushLogs')
+        .mockImplementationOnce(() => new Promise(resolve => { finishFlush = resolve; }))
+        .mockResolvedValue({});
+      errsoleMySQL.adaptiveFlush = true;
+      errsoleMySQL.scheduleAdaptiveFlush();
+      jest.advanceTimersByTime(errsoleMySQL.currentFlushInterval);
+      expect(flushLogsSpy).toHaveBeenCalledTimes(1);
+
+      const closePromise = errsoleMySQL.flushAndClose();
+      finishFlush({});
+      await closePromise;
+      jest.advanceTimersByTime(10000);
+
+      expect(flushLogsSpy).toHaveBeenCalledTimes(1);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('should discard logs posted and ignore flushes requested after it was called', async () => {
+      const closePromise = errsoleMySQL.flushAndClose();
+
+      errsoleMySQL.postLogs([{ timestamp: new Date(), message: 'late message' }]);
+      await expect(errsoleMySQL.flushLogs()).resolves.toEqual({});
+      await closePromise;
+      await expect(errsoleMySQL.flushLogs()).resolves.toEqual({});
+
+      expect(errsoleMySQL.pendingLogs).toHaveLength(0);
+      expect(connectionMock.query).not.toHaveBeenCalled();
+    });
+
+    it('should wait for running tasks before ending the pool', async () => {
+      let finishTask;
+      errsoleMySQL.trackTask(new Promise(resolve => { finishTask = resolve; }));
+
+      const closePromise = errsoleMySQL.flushAndClose();
+      await Promise.resolve();
+      expect(poolMock.end).not.toHaveBeenCalled();
+
+      finishTask();
+      await closePromise;
+      expect(poolMock.end).toHaveBeenCalled();
+    });
+
+    it('should interrupt the sleep of the expiry loops', async () => {
+      const sleepPromise = errsoleMySQL.sleep(10000);
+
+      await errsoleMySQL.flushAndClose();
+
+      await expect(sleepPromise).resolves.toBeUndefined();
+    });
+
+    it('should reject and still end the pool if flushing times out', async () => {
+      errsoleMySQL.trackTask(new Promise(() => {}));
+
+      const closePromise = errsoleMySQL.flushAndClose(500);
+      jest.advanceTimersByTime(500);
+
+      await expect(closePromise).rejects.toThrow('Timed out while flushing logs.');
+      expect(poolMock.end).toHaveBeenCalled();
+    });
+
+    it('should reject and still end the pool if flushing fails', async () => {
+      connectionMock.query.mockImplementation((query, values, cb) => cb(new Error('Insert error')));
+      errsoleMySQL.pendingLogs.push({ timestamp: new Date(), message: 'test message' });
+
+      await expect(errsoleMySQL.flushAndClose()).rejects.toThrow('Failed to flush 1 logs before closing.');
+      expect(poolMock.end).toHaveBeenCalled();
+    });
+
+    it('should return the same promise when called again', async () => {
+      const closePromise = errsoleMySQL.close();
+
+      expect(errsoleMySQL.close()).toBe(closePromise);
+      await closePromise;
+      expect(poolMock.end).toHaveBeenCalledTimes(1);
+    });
+
+    it('should register and remove the exit hooks when closeOnExit is enabled', async () => {
+      const sigtermListeners = process.listenerCount('SIGTERM');
+      const beforeExitListeners = process.listenerCount('beforeExit');
+      const instance = new ErrsoleMySQL({ host: 'localhost', closeOnExit: true });
+
+      expect(process.listenerCount('SIGTERM')).toBe(sigtermListeners + 1);
+      expect(process.listenerCount('beforeExit')).toBe(beforeExitListeners + 1);
+
+      await instance.close();
+
+      expect(process.listenerCount('SIGTERM')).toBe(sigtermListeners);
+      expect(process.listenerCount('beforeExit')).toBe(beforeExitListeners);
     });
   });
 
@@ -138,21 +457,275 @@ describe('ErrsoleMySQL', () => {
     });
   });
 
+  describe('#getMaxAllowedPacket', () => {
+    it('should retrieve the max allowed packet size', async () => {
+      poolMock.query.mockImplementation((query, cb) => cb(null, [{ Value: '67108864' }]));
+
+      const size = await errsoleMySQL.getMaxAllowedPacket();
+
+      expect(poolMock.query).toHaveBeenCalledWith("SHOW VARIABLES LIKE 'max_allowed_packet'", expect.any(Function));
+      expect(size).toBe(67108864);
+    });
+
+    it('should handle errors in retrieving the max allowed packet size', async () => {
+      poolMock.query.mockImplementation((query, cb) => cb(new Error('Query error')));
+
+      await expect(errsoleMySQL.getMaxAllowedPacket()).rejects.toThrow('Query error');
+    });
+  });
+
+  describe('#constructor', () => {
+    it('should use the default batch size and flush interval', () => {
+      expect(errsoleMySQL.batchSize).toBe(100);
+      expect(errsoleMySQL.flushInterval).toBe(1000);
+      expect(errsoleMySQL.adaptiveFlush).toBe(false);
+    });
+
+    it('should reject invalid metaIndexes paths', () => {
+      expect(() => new ErrsoleMySQL({ metaIndexes: ['userId'] })).toThrow('Invalid metaIndexes path: userId. Expected a JSON path such as $.userId or $.items[0].id.');
+      expect(() => new ErrsoleMySQL({ metaIndexes: ['$.' + 'a'.repeat(60)] })).toThrow('The path is too long.');
+      expect(() => new ErrsoleMySQL({ metaIndexes: ['$.a_b', '$.a.b'] })).toThrow('Invalid metaIndexes path: $.a.b. It maps to the same column as another path.');
+      expect(() => new ErrsoleMySQL({ metaIndexes: ['$.userId', '$.userid'] })).toThrow('Invalid metaIndexes path: $.userid. It maps to the same column as another path.');
+    });
+
+    it('should reject an invalid searchWindow', () => {
+      expect(() => new ErrsoleMySQL({ searchWindow: 0 })).toThrow('Invalid searchWindow. Expected a positive number of milliseconds, or Infinity.');
+      expect(() => new ErrsoleMySQL({ searchWindow: '1h' })).toThrow('Invalid searchWindow.');
+      expect(new ErrsoleMySQL({ searchWindow: Infinity }).searchWindow).toBe(Infinity);
+    });
+
+    it('should accept batch size and flush interval options without passing them to the pool', () => {
+      const instance = new ErrsoleMySQL({ host: 'localhost', batchSize: 50, flushInterval: 5000, adaptiveFlush: true, maxBatchSize: 500, minFlushInterval: 200 });
+
+      expect(instance.batchSize).toBe(50);
+      expect(instance.flushInterval).toBe(5000);
+      expect(instance.adaptiveFlush).toBe(true);
+      expect(instance.maxBatchSize).toBe(500);
+      expect(instance.minFlushInterval).toBe(200);
+      expect(mysql.createPool).toHaveBeenLastCalledWith({ host: 'localhost' });
+    });
+  });
+
   describe('#createTables', () => {
-    it('should create tables if they do not exist', async () => {
+    let migrationConnectionMock;
+
+    beforeEach(() => {
+      errsoleMySQL.isConnectionInProgress = true;
+      migrationConnectionMock = createMigrationConnectionMock();
+      poolMock.getConnection.mockImplementation((cb) => cb(null, migrationConnectionMock));
       poolMock.query.mockImplementation((query, cb) => cb(null, { affectedRows: 1 }));
+    });
+
+    it('should create tables if they do not exist', async () => {
+      await errsoleMySQL.createTables();
 
+      expect(migrationConnectionMock.query).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS `errsole_logs_v3`'), [], expect.any(Function));
+      expect(migrationConnectionMock.query).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS `errsole_users`'), [], expect.any(Function));
+      expect(migrationConnectionMock.query).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS `errsole_config`'), [], expect.any(Function));
+      expect(errsoleMySQL.isConnectionInProgress).toBe(false);
+    });
+
+    it('should create the dead-letter table in a migration', async () => {
       await errsoleMySQL.createTables();
 
-      expect(poolMock.query).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS `errsole_logs_v3`'), expect.any(Function));
-      expect(poolMock.query).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS `errsole_users`'), expect.any(Function));
-      expect(poolMock.query).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS `errsole_config`'), expect.any(Function));
+      expect(migrationConnectionMock.query).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS `errsole_logs_deadletter`'), [], expect.any(Function));
+      expect(poolMock.query).not.toHaveBeenCalledWith(expect.stringContaining('errsole_logs_deadletter'), expect.any(Function));
     });
 
     it('should handle errors in table creation', async () => {
-      poolMock.query.mockImplementation((query, cb) => cb(new Error('Query error')));
+      migrationConnectionMock.query.mockImplementation((query, values, cb) => cb(new Error('Query error')));
 
       await expect(errsoleMySQL.createTables()).rejects.toThrow('Query error');
+      expect(errsoleMySQL.isConnectionInProgress).toBe(true);
+    });
+  });
+
+  describe('#runMigrations', () => {
+    let migrationConnectionMock;
+
+    beforeEach(() => {
+      migrationConnectionMock = createMigrationConnectionMock();
+      poolMock.getConnection.mockImplementation((cb) => cb(null, migrationConnectionMock));
+    });
+
+    it('should apply all migrations in order under the migration lock', async () => {
+      const appliedVersions = await errsoleMySQL.runMigrations();
+
+      const queries = migrationConnectionMock.query.mock.calls.map(([query]) => query);
+      expect(appliedVersions).toEqual([1, 2, 3, 4, 5, 6, 7]);
+      expect(migrationConnectionMock.query).toHaveBeenNthCalledWith(1, 'SELECT GET_LOCK(?, ?) AS acquired', ['errsole_migrations', 60], expect.any(Function));
+      expect(queries[1]).toContain('CREATE TABLE IF NOT EXISTS `errsole_migrations`');
+      expect(migrationConnectionMock.query).toHaveBeenCalledWith('INSERT INTO errsole_migrations (version, name) VALUES (?, ?)', [1, 'create-tables'], expect.any(Function));
+      expect(migrationConnectionMock.query).toHaveBeenCalledWith('INSERT INTO errsole_migrations (version, name) VALUES (?, ?)', [3, 'copy-legacy-logs'], expect.any(Function));
+      expect(queries[queries.length - 1]).toBe('SELECT RELEASE_LOCK(?)');
+      expect(migrationConnectionMock.release).toHaveBeenCalled();
+    });
+
+    it('should skip migrations that were already applied', async () => {
+      migrationConnectionMock = createMigrationConnectionMock([1, 2]);
+
+      const appliedVersions = await errsoleMySQL.runMigrations();
+
+      expect(appliedVersions).toEqual([3, 4, 5, 6, 7]);
+      expect(migrationConnectionMock.query).not.toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS `errsole_logs_v3`'), [], expect.any(Function));
+    });
+
+    it('should reject if the migration lock cannot be acquired', async () => {
+      migrationConnectionMock.query.mockImplementation((query, values, cb) => cb(null, [{ acquired: 0 }]));
+
+      await expect(errsoleMySQL.runMigrations()).rejects.toThrow('Timed out waiting for the schema migration lock.');
+      expect(migrationConnectionMock.release).toHaveBeenCalled();
+    });
+
+    it('should release the lock and not record a migration that fails', async () => {
+      const queryMock = migrationConnectionMock.query.getMockImplementation();
+      migrationConnectionMock.query.mockImplementation((query, values, cb) => {
+        if (query.startsWith('ALTER TABLE')) return cb(new Error('Alter error'));
+        queryMock(query, values, cb);
+      });
+
+      await expect(errsoleMySQL.runMigrations()).rejects.toThrow('Alter error');
+
+      expect(migrationConnectionMock.query).toHaveBeenCalledWith('INSERT INTO errsole_migrations (version, name) VALUES (?, ?)', [1, 'create-tables'], expect.any(Function));
+      expect(migrationConnectionMock.query).not.toHaveBeenCalledWith('INSERT INTO errsole_migrations (version, name) VALUES (?, ?)', [2, 'config-value-text'], expect.any(Function));
+      expect(migrationConnectionMock.query).toHaveBeenCalledWith('SELECT RELEASE_LOCK(?)', ['errsole_migrations'], expect.any(Function));
+    });
+
+    it('should use the table prefix for the migrations table and the lock', async () => {
+      const instance = new ErrsoleMySQL({ host: 'localhost', tablePrefix: 'MyApp' });
+      poolMock.getConnection.mockImplementation((cb) => cb(null, migrationConnectionMock));
+
+      await instance.runMigrations();
+
+      expect(migrationConnectionMock.query).toHaveBeenCalledWith('SELECT GET_LOCK(?, ?) AS acquired', ['errsole_myapp_migrations', 60], expect.any(Function));
+    });
+  });
+
+  describe('#prepareLogsPartitions', () => {
+    let partitions;
+    let query;
+
+    beforeEach(() => {
+      jest.setSystemTime(new Date('2026-10-19T12:00:00.000Z'));
+      partitions = [];
+      query = jest.fn(async (sql) => {
+        if (sql.includes('information_schema.PARTITIONS')) return partitions;
+        if (sql.includes('information_schema.STATISTICS')) return [{ name: 'message' }];
+        if (sql.startsWith('SELECT MIN(timestamp)')) return [{ oldestTimestamp: new Date('2026-10-18T08:00:00.000Z') }];
+        return {};
+      });
+    });
+
+    it('should leave an unpartitioned table alone by default', async () => {
+      await errsoleMySQL.prepareLogsPartitions(query);
+
+      expect(errsoleMySQL.isLogsTablePartitioned).toBe(false);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should convert the logs table to daily partitions if partitionLogs is enabled', async () => {
+      errsoleMySQL.partitionLogs = true;
+
+      await errsoleMySQL.prepareLogsPartitions(query);
+
+      const queries = query.mock.calls.map(([sql]) => sql);
+      expect(errsoleMySQL.isLogsTablePartitioned).toBe(true);
+      expect(queries[2]).toBe('ALTER TABLE `errsole_logs_v3` MODIFY COLUMN `timestamp` TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3), ' +
+        'ADD COLUMN `timestamp_seconds` INT UNSIGNED GENERATED ALWAYS AS (FLOOR(UNIX_TIMESTAMP(`timestamp`))) STORED NOT NULL, ' +
+        'DROP PRIMARY KEY, ADD PRIMARY KEY (`id`, `timestamp_seconds`), DROP INDEX `message`');
+      expect(queries[4]).toContain('PARTITION BY RANGE (`timestamp_seconds`)');
+      expect(queries[4]).toContain('PARTITION p20261018 VALUES LESS THAN (1792368000)');
+      expect(queries[4]).toContain('PARTITION p20261022 VALUES LESS THAN (1792713600)');
+      expect(queries[4]).not.toContain('p20261023');
+      expect(queries[4]).toContain('PARTITION pfuture VALUES LESS THAN MAXVALUE');
+    });
+
+    it('should pre-create missing partitions of an already partitioned table', async () => {
+      partitions = [
+        { name: 'p20261019', lessThan: '1792454400' },
+        { name: 'p20261020', lessThan: '1792540800' },
+        { name: 'pfuture', lessThan: 'MAXVALUE' }
+      ];
+
+      await errsoleMySQL.prepareLogsPartitions(query);
+
+      const reorganizeQuery = query.mock.calls[1][0];
+      expect(errsoleMySQL.isLogsTablePartitioned).toBe(true);
+      expect(reorganizeQuery).toContain('ALTER TABLE `errsole_logs_v3` REORGANIZE PARTITION pfuture INTO');
+      expect(reorganizeQuery).toContain('PARTITION p20261021 VALUES LESS THAN (1792627200)');
+      expect(reorganizeQuery).toContain('PARTITION p20261022 VALUES LESS THAN (1792713600)');
+      expect(reorganizeQuery).not.toContain('p20261020');
+    });
+
+    it('should not reorganize if all partitions already exist', async () => {
+      partitions = [
+        { name: 'p20261022', lessThan: '1792713600' },
+        { name: 'pfuture', lessThan: 'MAXVALUE' }
+      ];
+
+      await expect(errsoleMySQL.addLogsPartitions(query, partitions)).resolves.toBe(0);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('#prepareMetaColumns', () => {
+    let existingColumns;
+    let query;
+
+    beforeEach(() => {
+      existingColumns = [];
+      query = jest.fn(async (sql) => (sql.includes('information_schema.COLUMNS') ? existingColumns.map(name => ({ name })) : {}));
+    });
+
+    it('should not alter the logs table without meta options', async () => {
+      await errsoleMySQL.prepareMetaColumns(query);
+
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should add the JSON column and an indexed column per path', async () => {
+      errsoleMySQL.metaJSON = true;
+      errsoleMySQL.metaIndexes = ['$.userId', '$.request.id'];
+
+      await errsoleMySQL.prepareMetaColumns(query);
+
+      expect(query).toHaveBeenLastCalledWith(
+        'ALTER TABLE `errsole_logs_v3` ADD COLUMN `meta_json` JSON GENERATED ALWAYS AS (IF(JSON_VALID(`meta`), `meta`, NULL)) VIRTUAL, ' +
+        "ADD COLUMN `meta_userId` VARCHAR(255) GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(IF(JSON_VALID(`meta`), `meta`, NULL), '$.userId')), 255)) VIRTUAL, ADD INDEX (`meta_userId`), " +
+        "ADD COLUMN `meta_request_id` VARCHAR(255) GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(IF(JSON_VALID(`meta`), `meta`, NULL), '$.request.id')), 255)) VIRTUAL, ADD INDEX (`meta_request_id`)"
+      );
+    });
+
+    it('should only add missing columns and drop the ones no longer configured', async () => {
+      errsoleMySQL.metaIndexes = ['$.userId', '$.items[0]'];
+      existingColumns = ['meta_json', 'meta_userId'];
+
+      await errsoleMySQL.prepareMetaColumns(query);
+
+      const alterQuery = query.mock.calls[1][0];
+      expect(alterQuery).toMatch(/^ALTER TABLE `errsole_logs_v3` DROP COLUMN `meta_json`, ADD COLUMN `meta_items_0` .+ ADD INDEX \(`meta_items_0`\)$/);
+      expect(alterQuery).not.toContain('meta_userId');
+    });
+  });
+
+  describe('#dropExpiredLogsPartitions', () => {
+    it('should drop the partitions that end before the expiration time', async () => {
+      const query = jest.fn(async (sql) => {
+        if (sql.includes('information_schema.PARTITIONS')) {
+          return [
+            { name: 'p20260918', lessThan: '1789776000' },
+            { name: 'p20260919', lessThan: '1789862400' },
+            { name: 'p20260920', lessThan: '1789948800' },
+            { name: 'pfuture', lessThan: 'MAXVALUE' }
+          ];
+        }
+        return {};
+      });
+
+      const droppedPartitions = await errsoleMySQL.dropExpiredLogsPartitions(query, new Date('2026-09-20T00:00:00.000Z'));
+
+      expect(droppedPartitions).toEqual(['p20260918', 'p20260919']);
+      expect(query).toHaveBeenCalledWith('ALTER TABLE `errsole_logs_v3` DROP PARTITION p20260918, p20260919');
     });
   });
 
@@ -203,6 +776,16 @@ describe('ErrsoleMySQL', () => {
       expect(config).toEqual({ item: { key: 'newKey', value: 'newValue' } });
     });
 
+    it.each(['0', '-1000', 'abc', ''])('should reject an invalid notificationsTTL of %p', async (value) => {
+      await expect(errsoleMySQL.setConfig('notificationsTTL', value)).rejects.toThrow('Invalid notificationsTTL. Expected a positive number of milliseconds.');
+      expect(poolMock.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO errsole_config'), expect.anything(), expect.any(Function));
+    });
+
+    it('should reject invalid size limits', async () => {
+      await expect(errsoleMySQL.setConfig('logsMaxBytes', '1e9')).rejects.toThrow('Invalid logsMaxBytes. Expected a positive number of bytes.');
+      await expect(errsoleMySQL.setConfig('logsMaxRows', '0')).rejects.toThrow('Invalid logsMaxRows. Expected a positive number of rows.');
+    });
+
     it('should handle errors in setting configuration', async () => {
       poolMock.query.mockImplementation((query, values, cb) => cb(new Error('Query error')));
 
@@ -226,6 +809,72 @@ describe('ErrsoleMySQL', () => {
     });
   });
 
+  describe('#ensureNotificationsTTL', () => {
+    it('should set the default notifications TTL if no configuration is found', async () => {
+      const getConfigSpy = jest.spyOn(errsoleMySQL, 'getConfig').mockResolvedValue({ item: null });
+      const setConfigSpy = jest.spyOn(errsoleMySQL, 'setConfig').mockResolvedValue();
+
+      await errsoleMySQL.ensureNotificationsTTL();
+
+      expect(getConfigSpy).toHaveBeenCalledWith('notificationsTTL');
+      expect(setConfigSpy).toHaveBeenCalledWith('notificationsTTL', (30 * 24 * 60 * 60 * 1000).toString());
+    });
+
+    it('should not alter the configuration if the notifications TTL is already set', async () => {
+      jest.spyOn(errsoleMySQL, 'getConfig').mockResolvedValue({ item: { key: 'notificationsTTL', value: '86400000' } });
+      const setConfigSpy = jest.spyOn(errsoleMySQL, 'setConfig').mockResolvedValue();
+
+      await errsoleMySQL.ensureNotificationsTTL();
+
+      expect(setConfigSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('#setLogsRetentionPolicy', () => {
+    it('should store valid rules as JSON', async () => {
+      const setConfigSpy = jest.spyOn(errsoleMySQL, 'setConfig').mockResolvedValue({ item: {} });
+      const rules = [{ level: ['error', 'alert'], ttl: 7776000000 }, { source: 'console', hostname: 'api-1', ttl: 86400000 }];
+
+      await errsoleMySQL.setLogsRetentionPolicy(rules);
+
+      expect(setConfigSpy).toHaveBeenCalledWith('logsRetentionPolicy', JSON.stringify(rules));
+    });
+
+    it.each([
+      ['not an array', { level: 'debug', ttl: 1000 }, 'The retention policy must be an array of rules.'],
+      ['a rule without a ttl', [{ level: 'debug' }], 'Retention rule 0 must have a positive integer ttl in milliseconds.'],
+      ['a rule without a matcher', [{ ttl: 1000 }], 'Retention rule 0 must match at least one of: level, source, hostname.'],
+      ['a rule with an invalid matcher', [{ level: 'debug', ttl: 1000 }, { source: [], ttl: 1000 }], 'Retention rule 1 must have a string or a non-empty array of strings as source.']
+    ])('should reject %s', async (description, rules, message) => {
+      const setConfigSpy = jest.spyOn(errsoleMySQL, 'setConfig');
+
+      await expect(errsoleMySQL.setLogsRetentionPolicy(rules)).rejects.toThrow(message);
+      expect(setConfigSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('#getLogsRetentionPolicy', () => {
+    it('should return the stored rules', async () => {
+      const rules = [{ level: 'debug', ttl: 172800000 }];
+      jest.spyOn(errsoleMySQL, 'getConfig').mockResolvedValue({ item: { key: 'logsRetentionPolicy', value: JSON.stringify(rules) } });
+
+      await expect(errsoleMySQL.getLogsRetentionPolicy()).resolves.toEqual(rules);
+    });
+
+    it('should return no rules if no policy is stored', async () => {
+      jest.spyOn(errsoleMySQL, 'getConfig').mockResolvedValue({ item: undefined });
+
+      await expect(errsoleMySQL.getLogsRetentionPolicy()).resolves.toEqual([]);
+    });
+
+    it('should report and ignore an invalid stored policy', async () => {
+      jest.spyOn(errsoleMySQL, 'getConfig').mockResolvedValue({ item: { key: 'logsRetentionPolicy', value: '{not json' } });
+
+      await expect(errsoleMySQL.getLogsRetentionPolicy()).resolves.toEqual([]);
+      expect(console.error).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('Ignoring invalid logsRetentionPolicy') }));
+    });
+  });
+
   describe('#ensureLogsTTL', () => {
     let getConfigSpy;
     let setConfigSpy;
@@ -307,15 +956,591 @@ describe('ErrsoleMySQL', () => {
     });
   });
 
-  describe('#getLogs', () => {
-    it('should retrieve log entries without filters', async () => {
-      poolMock.query.mockImplementation((query, values, cb) => cb(null, [
-        { id: 1, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }
-      ]));
+  describe('#dropOverflowingLogs', () => {
+    const createLogEntries = (levels) => levels.map((level, i) => ({
+      timestamp: new Date(),
+      hostname: 'localhost',
+      pid: 1234,
+      source: 'test',
+      level,
+      message: `test message ${i}`
+    }));
+
+    it('should not drop logs while the buffer is within its limits', () => {
+      const logsDroppedListener = jest.fn();
+      errsoleMySQL.on('logsDropped', logsDroppedListener);
+
+      errsoleMySQL.postLogs(createLogEntries(['info', 'info']));
+
+      expect(errsoleMySQL.pendingLogs).toHaveLength(2);
+      expect(logsDroppedListener).not.toHaveBeenCalled();
+    });
+
+    it('should drop the oldest logs by default', () => {
+      const logsDroppedListener = jest.fn();
+      errsoleMySQL.maxPendingLogs = 2;
+      errsoleMySQL.on('logsDropped', logsDroppedListener);
+
+      errsoleMySQL.postLogs(createLogEntries(['info', 'error', 'debug']));
+
+      expect(errsoleMySQL.pendingLogs.map(logEntry => logEntry.message)).toEqual(['test message 1', 'test message 2']);
+      expect(logsDroppedListener).toHaveBeenCalledWith({ count: 1, totalCount: 1, policy: 'drop-oldest', levels: { info: 1 } });
+    });
+
+    it('should drop the newest logs with the drop-newest policy', () => {
+      errsoleMySQL.maxPendingLogs = 2;
+      errsoleMySQL.pendingLogsOverflowPolicy = 'drop-newest';
+
+      errsoleMySQL.postLogs(createLogEntries(['info', 'error', 'debug']));
+
+      expect(errsoleMySQL.pendingLogs.map(logEntry => logEntry.message)).toEqual(['test message 0', 'test message 1']);
+    });
+
+    it('should drop the lowest priority levels first with the drop-by-level policy', () => {
+      const logsDroppedListener = jest.fn();
+      errsoleMySQL.maxPendingLogs = 3;
+      errsoleMySQL.pendingLogsOverflowPolicy = 'drop-by-level';
+      errsoleMySQL.on('logsDropped', logsDroppedListener);
+
+      errsoleMySQL.postLogs(createLogEntries(['error', 'debug', 'info', 'alert', 'debug', 'info']));
+
+      expect(errsoleMySQL.pendingLogs.map(logEntry => logEntry.level)).toEqual(['error', 'alert', 'info']);
+      expect(logsDroppedListener).toHaveBeenCalledWith({ count: 3, totalCount: 3, policy: 'drop-by-level', levels: { debug: 2, info: 1 } });
+    });
+
+    it('should drop logs until the buffer is within the byte limit', () => {
+      const logEntries = createLogEntries(['info', 'info', 'info']);
+      errsoleMySQL.postLogs(logEntries);
+      const bytesPerEntry = errsoleMySQL.pendingLogsBytes / 3;
+      errsoleMySQL.maxPendingLogsBytes = bytesPerEntry * 2;
+
+      errsoleMySQL.postLogs(createLogEntries(['info']));
+
+      expect(errsoleMySQL.pendingLogs).toHaveLength(2);
+      expect(errsoleMySQL.pendingLogsBytes).toBeLessThanOrEqual(errsoleMySQL.maxPendingLogsBytes);
+      expect(errsoleMySQL.droppedLogsCount).toBe(2);
+    });
+
+    it('should throw an error for an unknown overflow policy', () => {
+      expect(() => new ErrsoleMySQL({ pendingLogsOverflowPolicy: 'drop-random' })).toThrow('Invalid pendingLogsOverflowPolicy');
+    });
+  });
+
+  describe('#adaptFlushSettings', () => {
+    beforeEach(() => {
+      errsoleMySQL.adaptiveFlush = true;
+      errsoleMySQL.isConnectionInProgress = false;
+      connectionMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
+    });
+
+    it('should grow the batch size up to maxBatchSize when batches are full', () => {
+      errsoleMySQL.maxBatchSize = 300;
+
+      errsoleMySQL.adaptFlushSettings(100);
+      expect(errsoleMySQL.batchSize).toBe(200);
+
+      errsoleMySQL.adaptFlushSettings(200);
+      expect(errsoleMySQL.batchSize).toBe(300);
+    });
+
+    it('should shrink the batch size back to its initial value when throughput drops', () => {
+      errsoleMySQL.batchSize = 400;
+
+      errsoleMySQL.adaptFlushSettings(50);
+      expect(errsoleMySQL.batchSize).toBe(200);
+
+      errsoleMySQL.adaptFlushSettings(0);
+      errsoleMySQL.adaptFlushSettings(0);
+      expect(errsoleMySQL.batchSize).toBe(100);
+    });
+
+    it('should shrink the flush interval down to minFlushInterval when idle and restore it when busy', () => {
+      errsoleMySQL.adaptFlushSettings(0);
+      expect(errsoleMySQL.currentFlushInterval).toBe(500);
+
+      for (let i = 0; i < 5; i++) errsoleMySQL.adaptFlushSettings(0);
+      expect(errsoleMySQL.currentFlushInterval).toBe(100);
+
+      for (let i = 0; i < 5; i++) errsoleMySQL.adaptFlushSettings(50);
+      expect(errsoleMySQL.currentFlushInterval).toBe(1000);
+    });
+
+    it('should adapt after each flush', async () => {
+      errsoleMySQL.pendingLogs.push(...Array.from({ length: 100 }, () => ({ timestamp: new Date(), message: 'test message' })));
+
+      await errsoleMySQL.flushLogs();
+
+      expect(errsoleMySQL.batchSize).toBe(200);
+    });
+
+    it('should schedule the next flush with the current flush interval', async () => {
+      const flushLogsSpy = jest.spyOn(errsoleMySQL, 'flushLogs').mockResolvedValue({});
+      errsoleMySQL.currentFlushInterval = 200;
+
+      errsoleMySQL.scheduleAdaptiveFlush();
+      jest.advanceTimersByTime(199);
+      expect(flushLogsSpy).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(flushLogsSpy).toHaveBeenCalledTimes(1);
+      clearTimeout(errsoleMySQL.flushTimeoutId);
+    });
+  });
+
+  describe('#flushLogs', () => {
+    const logEntry = { timestamp: '2023-01-01T00:00:00.000Z', hostname: 'localhost', pid: 1234, source: 'test', level: 'info', message: 'test message', meta: 'meta' };
+
+    beforeEach(() => {
+      errsoleMySQL.isConnectionInProgress = false;
+    });
+
+    it('should insert pending logs and empty the buffer', async () => {
+      connectionMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
+      errsoleMySQL.pendingLogs.push(logEntry);
+
+      await expect(errsoleMySQL.flushLogs()).resolves.toEqual({});
+
+      expect(connectionMock.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO errsole_logs_v3'),
+        [[[new Date(logEntry.timestamp), 'localhost', 1234, 'test', 'info', 'test message', 'meta', undefined, getFingerprint('test message')]]],
+        expect.any(Function)
+      );
+      expect(connectionMock.release).toHaveBeenCalled();
+      expect(errsoleMySQL.pendingLogs).toHaveLength(0);
+    });
+
+    it('should reopen resolved issues of newer logs and emit a regression event', async () => {
+      const fingerprint = getFingerprint(logEntry.message);
+      const regressionListener = jest.fn();
+      errsoleMySQL.on('regression', regressionListener);
+      connectionMock.query.mockImplementation((query, values, cb) => {
+        if (query.startsWith('SELECT fingerprint, status')) {
+          return cb(null, [{ fingerprint, status: 'resolved', resolvedAt: new Date('2022-12-31T00:00:00.000Z'), mutedUntil: null }]);
+        }
+        cb(null, { affectedRows: 1 });
+      });
+      errsoleMySQL.pendingLogs.push(logEntry);
+
+      await errsoleMySQL.flushLogs();
+
+      expect(connectionMock.query).toHaveBeenCalledWith(expect.stringContaining('FROM errsole_issues'), [[fingerprint]], expect.any(Function));
+      expect(connectionMock.query).toHaveBeenCalledWith(
+        "UPDATE errsole_issues SET status = 'open', resolved_at = NULL, muted_until = NULL WHERE fingerprint = ? AND status = ?",
+        [fingerprint, 'resolved'],
+        expect.any(Function)
+      );
+      expect(regressionListener).toHaveBeenCalledWith({ fingerprint, resolvedAt: new Date('2022-12-31T00:00:00.000Z'), logEntry });
+    });
+
+    it('should not reopen issues for logs older than the resolution or the end of a mute', async () => {
+      const regressionListener = jest.fn();
+      errsoleMySQL.on('regression', regressionListener);
+      connectionMock.query.mockImplementation((query, values, cb) => {
+        if (query.startsWith('SELECT fingerprint, status')) {
+          return cb(null, [
+            { fingerprint: getFingerprint('test message'), status: 'resolved', resolvedAt: new Date('2023-01-02T00:00:00.000Z'), mutedUntil: null },
+            { fingerprint: getFingerprint('other message'), status: 'muted', resolvedAt: null, mutedUntil: new Date('2023-01-02T00:00:00.000Z') }
+          ]);
+        }
+        cb(null, { affectedRows: 1 });
+      });
+      errsoleMySQL.pendingLogs.push(logEntry, { ...logEntry, message: 'other message' });
+
+      await errsoleMySQL.flushLogs();
+
+      expect(connectionMock.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE errsole_issues'), expect.anything(), expect.any(Function));
+      expect(regressionListener).not.toHaveBeenCalled();
+    });
+
+    it('should reopen an expired mute without emitting a regression event', async () => {
+      const fingerprint = getFingerprint(logEntry.message);
+      const regressionListener = jest.fn();
+      errsoleMySQL.on('regression', regressionListener);
+      connectionMock.query.mockImplementation((query, values, cb) => {
+        if (query.startsWith('SELECT fingerprint, status')) {
+          return cb(null, [{ fingerprint, status: 'muted', resolvedAt: null, mutedUntil: new Date('2022-12-31T00:00:00.000Z') }]);
+        }
+        cb(null, { affectedRows: 1 });
+      });
+      errsoleMySQL.pendingLogs.push(logEntry);
+
+      await errsoleMySQL.flushLogs();
+
+      expect(connectionMock.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE errsole_issues'), [fingerprint, 'muted'], expect.any(Function));
+      expect(regressionListener).not.toHaveBeenCalled();
+    });
+
+    it('should not emit a regression event if another process reopened the issue first', async () => {
+      const regressionListener = jest.fn();
+      errsoleMySQL.on('regression', regressionListener);
+      connectionMock.query.mockImplementation((query, values, cb) => {
+        if (query.startsWith('SELECT fingerprint, status')) {
+          return cb(null, [{ fingerprint: getFingerprint(logEntry.message), status: 'resolved', resolvedAt: new Date('2022-12-31T00:00:00.000Z'), mutedUntil: null }]);
+        }
+        cb(null, { affectedRows: query.startsWith('UPDATE') ? 0 : 1 });
+      });
+      errsoleMySQL.pendingLogs.push(logEntry);
+
+      await errsoleMySQL.flushLogs();
+
+      expect(regressionListener).not.toHaveBeenCalled();
+    });
+
+    it('should truncate a message and meta longer than their TEXT columns', async () => {
+      connectionMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
+      const message = 'x'.repeat(70 * 1024);
+      errsoleMySQL.pendingLogs.push({ ...logEntry, message, meta: 'é'.repeat(40 * 1024) });
+
+      await errsoleMySQL.flushLogs();
+
+      const [row] = getLogInsertCalls(connectionMock.query)[0][1][0];
+      expect(row[5]).toBe('x'.repeat(65535));
+      expect(row[6]).toBe('é'.repeat(32767));
+      expect(row[8]).toBe(getFingerprint(message));
+      expect(errsoleMySQL.pendingLogs).toHaveLength(0);
+    });
+
+    it('should add the inserted logs to the per-minute rollups', async () => {
+      connectionMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
+      errsoleMySQL.pendingLogs.push(logEntry, { ...logEntry, timestamp: '2023-01-01T00:00:59.999Z' }, { ...logEntry, level: 'error', hostname: undefined });
+
+      await errsoleMySQL.flushLogs();
+
+      expect(connectionMock.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO errsole_log_rollups (minute_start, hostname, source, level, `count`) VALUES ?'),
+        [[
+          [new Date('2023-01-01T00:00:00.000Z'), 'localhost', 'test', 'info', 2],
+          [new Date('2023-01-01T00:00:00.000Z'), '', 'test', 'error', 1]
+        ]],
+        expect.any(Function)
+      );
+    });
+
+    it('should not fail the flush if the rollups cannot be updated', async () => {
+      connectionMock.query.mockImplementation((query, values, cb) => {
+        if (query.startsWith('INSERT INTO errsole_log_rollups')) return cb(new Error('Rollup error'));
+        cb(null, { affectedRows: 1 });
+      });
+      errsoleMySQL.pendingLogs.push(logEntry);
+
+      await errsoleMySQL.flushLogs();
+
+      expect(console.error).toHaveBeenCalledWith(new Error('Rollup error'));
+      expect(errsoleMySQL.pendingLogs).toHaveLength(0);
+    });
+
+    it('should not query the database if there are no pending logs', async () => {
+      await expect(errsoleMySQL.flushLogs()).resolves.toEqual({});
+
+      expect(connectionMock.query).not.toHaveBeenCalled();
+    });
+
+    it('should emit a flushError event and requeue the logs if the insert fails', async () => {
+      const flushErrorListener = jest.fn();
+      errsoleMySQL.on('flushError', flushErrorListener);
+      connectionMock.query.mockImplementation((query, values, cb) => cb(new Error('Insert error')));
+      errsoleMySQL.pendingLogs.push(logEntry);
+
+      await expect(errsoleMySQL.flushLogs()).resolves.toEqual({});
+
+      expect(flushErrorListener).toHaveBeenCalledWith({ error: new Error('Insert error'), logEntries: [logEntry], action: 'requeued' });
+      expect(errsoleMySQL.pendingLogs).toEqual([logEntry]);
+      expect(connectionMock.release).toHaveBeenCalled();
+    });
+
+    it('should log the error if nobody listens to flushError events', async () => {
+      connectionMock.query.mockImplementation((query, values, cb) => cb(new Error('Insert error')));
+      errsoleMySQL.pendingLogs.push(logEntry);
+
+      await errsoleMySQL.flushLogs();
+
+      expect(console.error).toHaveBeenCalledWith(new Error('Insert error'));
+    });
+
+    it('should only requeue the chunks that were not inserted', async () => {
+      errsoleMySQL.maxAllowedPacket = 64 * 1024;
+      const largeLogEntries = Array.from({ length: 4 }, (_, i) => ({ ...logEntry, message: `test message ${i}`, meta: 'x'.repeat(20 * 1024) }));
+      connectionMock.query.mockImplementation((query, values, cb) => {
+        if (!query.startsWith('INSERT INTO errsole_logs_v3')) return cb(null, {});
+        if (getLogInsertCalls(connectionMock.query).length === 1) return cb(null, { affectedRows: 2 });
+        cb(new Error('Connection lost'));
+      });
+      errsoleMySQL.on('flushError', () => {});
+      errsoleMySQL.pendingLogs.push(...largeLogEntries);
+
+      await errsoleMySQL.flushLogs();
+
+      expect(errsoleMySQL.pendingLogs).toEqual(largeLogEntries.slice(2));
+    });
+
+    describe('when the database rejects invalid data', () => {
+      const dataError = Object.assign(new Error('Data too long'), { code: 'ER_DATA_TOO_LONG', sqlState: '22001' });
+      const invalidLogEntry = { ...logEntry, message: 'invalid' };
+      let flushErrorListener;
+
+      beforeEach(() => {
+        flushErrorListener = jest.fn();
+        errsoleMySQL.on('flushError', flushErrorListener);
+        connectionMock.query.mockImplementation((query, values, cb) => {
+          if (values[0].some(row => row[5] === 'invalid')) return cb(dataError);
+          cb(null, { affectedRows: values[0].length });
+        });
+        poolMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: values[0].length }));
+      });
+
+      it('should insert the valid entries and requeue the invalid one', async () => {
+        errsoleMySQL.pendingLogs.push(logEntry, logEntry, invalidLogEntry, logEntry);
+
+        await errsoleMySQL.flushLogs();
+
+        const insertedRows = getLogInsertCalls(connectionMock.query)
+          .filter(([query, values]) => !values[0].some(row => row[5] === 'invalid'))
+          .reduce((count, [query, values]) => count + values[0].length, 0);
+        expect(insertedRows).toBe(3);
+        expect(errsoleMySQL.pendingLogs).toEqual([invalidLogEntry]);
+        expect(flushErrorListener).toHaveBeenCalledWith({ error: dataError, logEntries: [invalidLogEntry], action: 'requeued' });
+      });
+
+      it('should drop the entry once it has failed flushRetryAttempts times', async () => {
+        errsoleMySQL.flushRetryAttempts = 2;
+        errsoleMySQL.pendingLogs.push(invalidLogEntry);
+
+        await errsoleMySQL.flushLogs();
+        await errsoleMySQL.flushLogs();
+
+        expect(errsoleMySQL.pendingLogs).toHaveLength(0);
+        expect(flushErrorListener).toHaveBeenLastCalledWith({ error: dataError, logEntries: [invalidLogEntry], action: 'dropped' });
+        expect(poolMock.query).not.toHaveBeenCalledWith(expect.stringContaining('errsole_logs_deadletter'), expect.anything(), expect.any(Function));
+      });
+
+      it('should quarantine the entry in the dead-letter table when enabled', async () => {
+        errsoleMySQL.flushRetryAttempts = 1;
+        errsoleMySQL.deadLetter = true;
+        errsoleMySQL.pendingLogs.push(invalidLogEntry);
+
+        await errsoleMySQL.flushLogs();
+
+        expect(poolMock.query).toHaveBeenCalledWith(
+          'INSERT INTO errsole_logs_deadletter (timestamp, hostname, pid, source, level, message, meta, errsole_id, error, attempts) VALUES ?',
+          [[[invalidLogEntry.timestamp, 'localhost', 1234, 'test', 'info', 'invalid', 'meta', undefined, 'Data too long', 1]]],
+          expect.any(Function)
+        );
+        expect(flushErrorListener).toHaveBeenLastCalledWith({ error: dataError, logEntries: [invalidLogEntry], action: 'quarantined' });
+      });
+
+      it('should drop the entry if it cannot be quarantined', async () => {
+        errsoleMySQL.flushRetryAttempts = 1;
+        errsoleMySQL.deadLetter = true;
+        poolMock.query.mockImplementation((query, values, cb) => cb(new Error('Dead-letter error')));
+        errsoleMySQL.pendingLogs.push(invalidLogEntry);
+
+        await errsoleMySQL.flushLogs();
+
+        expect(console.error).toHaveBeenCalledWith(new Error('Dead-letter error'));
+        expect(flushErrorListener).toHaveBeenLastCalledWith({ error: dataError, logEntries: [invalidLogEntry], action: 'dropped' });
+      });
+    });
+
+    it('should split the insert when the batch exceeds max_allowed_packet', async () => {
+      connectionMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
+      errsoleMySQL.maxAllowedPacket = 64 * 1024;
+      const largeLogEntry = { ...logEntry, meta: 'x'.repeat(20 * 1024) };
+      errsoleMySQL.pendingLogs.push(largeLogEntry, largeLogEntry, largeLogEntry, largeLogEntry);
+
+      await errsoleMySQL.flushLogs();
+
+      const logInsertCalls = getLogInsertCalls(connectionMock.query);
+      expect(logInsertCalls).toHaveLength(2);
+      expect(logInsertCalls[0][1][0]).toHaveLength(2);
+      expect(logInsertCalls[1][1][0]).toHaveLength(2);
+    });
+
+    it('should count the escaping of quotes and backslashes against max_allowed_packet', () => {
+      const { format } = jest.requireActual('mysql2');
+      errsoleMySQL.maxAllowedPacket = 64 * 1024;
+      const quotedLogEntries = Array.from({ length: 3 }, () => ({ ...logEntry, message: 'It\'s "quoted"', meta: '\'\\'.repeat(7 * 1024) }));
+
+      const chunks = errsoleMySQL.splitByPacketSize(quotedLogEntries);
+
+      expect(chunks.map(chunk => chunk.length)).toEqual([1, 1, 1]);
+      chunks.forEach(chunk => {
+        const values = chunk.map(logEntry => [new Date(logEntry.timestamp), logEntry.hostname, logEntry.pid, logEntry.source, logEntry.level, logEntry.message, logEntry.meta, logEntry.errsole_id, getFingerprint(logEntry.message)]);
+        const statement = format('INSERT INTO errsole_logs_v3 (timestamp, hostname, pid, source, level, message, meta, errsole_id, fingerprint) VALUES ?', [values]);
+        expect(Buffer.byteLength(statement)).toBeLessThan(errsoleMySQL.maxAllowedPacket * 0.75);
+      });
+    });
+
+    it('should insert an entry larger than max_allowed_packet on its own', () => {
+      errsoleMySQL.maxAllowedPacket = 16 * 1024;
+      const largeLogEntry = { ...logEntry, meta: 'x'.repeat(32 * 1024) };
+
+      const chunks = errsoleMySQL.splitByPacketSize([logEntry, largeLogEntry, logEntry]);
+
+      expect(chunks).toEqual([[logEntry], [largeLogEntry], [logEntry]]);
+    });
+
+    describe('with a spool directory', () => {
+      let spoolDirectory;
+      let spooledErrsoleMySQL;
+
+      beforeEach(() => {
+        spoolDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'errsole-spool-'));
+        spooledErrsoleMySQL = new ErrsoleMySQL({ host: 'localhost', spoolDirectory });
+        spooledErrsoleMySQL.isConnectionInProgress = false;
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(spoolDirectory, { recursive: true, force: true });
+      });
+
+      it('should write posted logs to the spool instead of the buffer', async () => {
+        spooledErrsoleMySQL.postLogs([logEntry]);
+        await spooledErrsoleMySQL.spool.flush();
+
+        expect(spooledErrsoleMySQL.pendingLogs).toHaveLength(0);
+        expect(fs.readFileSync(spooledErrsoleMySQL.spool.filePath, 'utf8')).toBe(JSON.stringify(logEntry) + '\n');
+      });
+
+      it('should drain the spool into the database', async () => {
+        connectionMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
+        spooledErrsoleMySQL.postLogs([logEntry, logEntry]);
+
+        await spooledErrsoleMySQL.flushLogs();
+
+        expect(getLogInsertCalls(connectionMock.query)).toHaveLength(1);
+        expect(getLogInsertCalls(connectionMock.query)[0][1][0]).toHaveLength(2);
+        expect(fs.statSync(spooledErrsoleMySQL.spool.filePath).size).toBe(0);
+      });
+
+      it('should keep the spool and back off if the insert fails', async () => {
+        connectionMock.query.mockImplementation((query, values, cb) => cb(new Error('Insert error')));
+        spooledErrsoleMySQL.postLogs([logEntry]);
+
+        await expect(spooledErrsoleMySQL.flushLogs()).resolves.toEqual({});
+
+        expect(console.error).toHaveBeenCalledWith(new Error('Insert error'));
+        expect(spooledErrsoleMySQL.spoolRetryCount).toBe(1);
+        expect(spooledErrsoleMySQL.spoolNextRetryAt).toBeGreaterThan(Date.now());
+
+        await spooledErrsoleMySQL.flushLogs();
+        expect(connectionMock.query).toHaveBeenCalledTimes(1);
+
+        connectionMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
+        jest.advanceTimersByTime(1000);
+        await spooledErrsoleMySQL.flushLogs();
+
+        expect(getLogInsertCalls(connectionMock.query)).toHaveLength(2);
+        expect(spooledErrsoleMySQL.spoolRetryCount).toBe(0);
+        expect(fs.statSync(spooledErrsoleMySQL.spool.filePath).size).toBe(0);
+      });
+
+      it('should write logs posted in the same tick with a single write', async () => {
+        jest.spyOn(fs.promises, 'appendFile');
+        jest.spyOn(fs, 'appendFileSync');
+
+        spooledErrsoleMySQL.postLogs([logEntry]);
+        spooledErrsoleMySQL.postLogs([logEntry]);
+        await spooledErrsoleMySQL.spool.flush();
+
+        expect(fs.appendFileSync).not.toHaveBeenCalled();
+        expect(fs.promises.appendFile).toHaveBeenCalledTimes(1);
+        expect(fs.readFileSync(spooledErrsoleMySQL.spool.filePath, 'utf8')).toBe((JSON.stringify(logEntry) + '\n').repeat(2));
+      });
+
+      it('should keep rejected entries in the spool until they are dropped', async () => {
+        const dataError = Object.assign(new Error('Data too long'), { code: 'ER_DATA_TOO_LONG', sqlState: '22001' });
+        const flushErrorListener = jest.fn();
+        const invalidLogEntry = { ...logEntry, message: 'invalid' };
+        connectionMock.query.mockImplementation((query, values, cb) => {
+          if (values[0].some(row => row[5] === 'invalid')) return cb(dataError);
+          cb(null, { affectedRows: values[0].length });
+        });
+        spooledErrsoleMySQL.on('flushError', flushErrorListener);
+        spooledErrsoleMySQL.flushRetryAttempts = 2;
+        spooledErrsoleMySQL.postLogs([logEntry, invalidLogEntry]);
+        await spooledErrsoleMySQL.spool.flush();
+
+        await spooledErrsoleMySQL.flushLogs();
+
+        expect(spooledErrsoleMySQL.pendingLogs).toHaveLength(0);
+        expect(flushErrorListener).toHaveBeenLastCalledWith({ error: dataError, logEntries: [invalidLogEntry], action: 'requeued' });
+        expect(fs.readFileSync(spooledErrsoleMySQL.spool.filePath, 'utf8')).toContain(JSON.stringify({ attempts: 1, logEntry: invalidLogEntry }) + '\n');
+
+        await spooledErrsoleMySQL.flushLogs();
+
+        expect(flushErrorListener).toHaveBeenLastCalledWith({ error: dataError, logEntries: [invalidLogEntry], action: 'dropped' });
+        expect(fs.statSync(spooledErrsoleMySQL.spool.filePath).size).toBe(0);
+      });
+
+      it('should fall back to the buffer if the spool cannot be written', async () => {
+        jest.spyOn(spooledErrsoleMySQL.spool, 'append').mockRejectedValue(new Error('Disk full'));
+
+        spooledErrsoleMySQL.postLogs([logEntry]);
+        await spooledErrsoleMySQL.spool.append.mock.results[0].value.catch(() => {});
+
+        expect(console.error).toHaveBeenCalledWith(new Error('Disk full'));
+        expect(spooledErrsoleMySQL.pendingLogs).toEqual([logEntry]);
+      });
+    });
+  });
+
+  describe('#compileMetaFilter', () => {
+    it('should compare JSON values of the meta column', () => {
+      expect(errsoleMySQL.compileMetaFilter([{ path: '$.userId', value: 42 }, { path: '$.duration', op: '>=', value: 1.5 }])).toEqual({
+        conditions: [
+          'JSON_EXTRACT(IF(JSON_VALID(meta), meta, NULL), ?) = CAST(? AS JSON)',
+          'JSON_EXTRACT(IF(JSON_VALID(meta), meta, NULL), ?) >= CAST(? AS JSON)'
+        ],
+        values: ['$.userId', '42', '$.duration', '1.5']
+      });
+    });
+
+    it('should use the JSON column if metaJSON is enabled', () => {
+      errsoleMySQL.metaJSON = true;
+
+      expect(errsoleMySQL.compileMetaFilter({ path: '$.requestId', op: 'exists' })).toEqual({
+        conditions: ["JSON_CONTAINS_PATH(meta_json, 'one', ?)"],
+        values: ['$.requestId']
+      });
+    });
+
+    it('should use the indexed column of a path for equality', () => {
+      errsoleMySQL.metaIndexes = ['$.userId'];
+
+      expect(errsoleMySQL.compileMetaFilter([{ path: '$.userId', op: '!=', value: 42 }, { path: '$.userId', op: '<', value: 42 }])).toEqual({
+        conditions: ['meta_userId != ?', 'JSON_EXTRACT(IF(JSON_VALID(meta), meta, NULL), ?) < CAST(? AS JSON)'],
+        values: ['42', '$.userId', '42']
+      });
+    });
+
+    it('should reject invalid filters', () => {
+      expect(() => errsoleMySQL.compileMetaFilter({ path: "$.a') OR 1=1 --", value: 1 })).toThrow('Invalid meta filter path. Expected a JSON path such as $.userId or $.items[0].id.');
+      expect(() => errsoleMySQL.compileMetaFilter({ path: '$.a', op: 'LIKE', value: 'x' })).toThrow('Invalid meta filter operator. Expected one of: =, !=, <, <=, >, >=, exists.');
+      expect(() => errsoleMySQL.compileMetaFilter({ path: '$.a', value: { b: 1 } })).toThrow('Invalid meta filter value. Expected a string, number or boolean.');
+      expect(() => errsoleMySQL.compileMetaFilter({ path: '$.a', value: NaN })).toThrow('Invalid meta filter value. Expected a string, number or boolean.');
+    });
+  });
+
+  describe('#getLogs', () => {
+    it('should filter logs by meta', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      await errsoleMySQL.getLogs({ hostnames: ['host1'], meta: { path: '$.requestId', value: 'abc' }, errsole_id: 5 });
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('WHERE hostname IN (?) AND JSON_EXTRACT(IF(JSON_VALID(meta), meta, NULL), ?) = CAST(? AS JSON) AND (errsole_id = ?)');
+      expect(values).toEqual([['host1'], '$.requestId', '"abc"', 5, 100]);
+    });
+
+    it('should retrieve log entries without filters', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [
+        { id: 1, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }
+      ]));
 
       const logs = await errsoleMySQL.getLogs();
 
-      expect(logs).toEqual({ items: [{ id: 1, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }] });
+      expect(logs).toEqual({ items: [{ id: 1, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }], nextCursor: encodeCursor({ o: 'id', d: 'next', t: new Date('2023-01-01 00:00:00').getTime(), i: 1 }), prevCursor: null });
       expect(poolMock.query).toHaveBeenCalledWith(expect.any(String), [100], expect.any(Function));
     });
 
@@ -329,7 +1554,7 @@ describe('ErrsoleMySQL', () => {
       const logs = await errsoleMySQL.getLogs({ hostnames: ['host1', 'host2'] });
 
       expect(poolMock.query).toHaveBeenCalledWith(expect.stringContaining('hostname IN (?)'), [['host1', 'host2'], 100], expect.any(Function));
-      expect(logs).toEqual({ items: mockResults });
+      expect(logs).toEqual({ items: mockResults, nextCursor: encodeCursor({ o: 'id', d: 'next', t: null, i: 1 }), prevCursor: null });
     });
 
     it('should retrieve log entries with level_json filter', async () => {
@@ -339,7 +1564,7 @@ describe('ErrsoleMySQL', () => {
 
       const logs = await errsoleMySQL.getLogs({ level_json: [{ source: 'test', level: 'info' }] });
 
-      expect(logs).toEqual({ items: [{ id: 1, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }] });
+      expect(logs).toEqual({ items: [{ id: 1, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }], nextCursor: encodeCursor({ o: 'id', d: 'next', t: new Date('2023-01-01 00:00:00').getTime(), i: 1 }), prevCursor: null });
       expect(poolMock.query).toHaveBeenCalledWith(expect.any(String), ['test', 'info', 100], expect.any(Function));
     });
 
@@ -357,7 +1582,7 @@ describe('ErrsoleMySQL', () => {
         ['123abc', 100],
         expect.any(Function)
       );
-      expect(logs).toEqual({ items: mockResults });
+      expect(logs).toEqual({ items: mockResults, nextCursor: encodeCursor({ o: 'id', d: 'next', t: null, i: 1 }), prevCursor: null });
     });
 
     it('should retrieve log entries filtered by level_json and errsole_id', async () => {
@@ -378,7 +1603,7 @@ describe('ErrsoleMySQL', () => {
         ['test', 'info', '123abc', 100],
         expect.any(Function)
       );
-      expect(logs).toEqual({ items: mockResults });
+      expect(logs).toEqual({ items: mockResults, nextCursor: encodeCursor({ o: 'id', d: 'next', t: null, i: 1 }), prevCursor: null });
     });
 
     it('should retrieve log entries with lt_id filter', async () => {
@@ -388,7 +1613,7 @@ describe('ErrsoleMySQL', () => {
 
       const logs = await errsoleMySQL.getLogs({ lt_id: 2 });
 
-      expect(logs).toEqual({ items: [{ id: 1, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }] });
+      expect(logs).toEqual({ items: [{ id: 1, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }], nextCursor: encodeCursor({ o: 'id', d: 'next', t: new Date('2023-01-01 00:00:00').getTime(), i: 1 }), prevCursor: null });
       expect(poolMock.query).toHaveBeenCalledWith(expect.any(String), [2, 100], expect.any(Function));
     });
 
@@ -399,7 +1624,7 @@ describe('ErrsoleMySQL', () => {
 
       const logs = await errsoleMySQL.getLogs({ gt_id: 2 });
 
-      expect(logs).toEqual({ items: [{ id: 3, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }] });
+      expect(logs).toEqual({ items: [{ id: 3, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }], nextCursor: encodeCursor({ o: 'id', d: 'next', t: new Date('2023-01-01 00:00:00').getTime(), i: 3 }), prevCursor: encodeCursor({ o: 'id', d: 'prev', t: new Date('2023-01-01 00:00:00').getTime(), i: 3 }) });
       expect(poolMock.query).toHaveBeenCalledWith(expect.any(String), [2, 100], expect.any(Function));
     });
 
@@ -410,10 +1635,40 @@ describe('ErrsoleMySQL', () => {
 
       const logs = await errsoleMySQL.getLogs({ lte_timestamp: new Date('2023-01-02'), gte_timestamp: new Date('2023-01-01') });
 
-      expect(logs).toEqual({ items: [{ id: 1, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }] });
+      expect(logs).toEqual({ items: [{ id: 1, hostname: 'localhost', pid: 1234, source: 'test', timestamp: '2023-01-01 00:00:00', level: 'info', message: 'test message' }], nextCursor: encodeCursor({ o: 'timestamp', d: 'next', t: new Date('2023-01-01 00:00:00').getTime(), i: 1 }), prevCursor: encodeCursor({ o: 'timestamp', d: 'prev', t: new Date('2023-01-01 00:00:00').getTime(), i: 1 }) });
       expect(poolMock.query).toHaveBeenCalledWith(expect.any(String), [new Date('2023-01-02'), new Date('2023-01-01'), 100], expect.any(Function));
     });
 
+    it('should apply the timestamp filters together with lt_id, reading the page before lt_id', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [{ id: 8 }, { id: 9 }]));
+
+      const logs = await errsoleMySQL.getLogs({ lt_id: 10, gte_timestamp: new Date('2023-01-01'), limit: 2 });
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('WHERE id < ? AND timestamp >= ? ORDER BY id DESC LIMIT ?');
+      expect(values).toEqual([10, new Date('2023-01-01'), 2]);
+      expect(logs.items).toEqual([{ id: 9 }, { id: 8 }]);
+    });
+
+    it('should read the oldest logs after gt_id even with a timestamp filter', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      await errsoleMySQL.getLogs({ gt_id: 10, lte_timestamp: new Date('2023-01-02') });
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('WHERE id > ? AND timestamp <= ? ORDER BY id ASC LIMIT ?');
+      expect(values).toEqual([10, new Date('2023-01-02'), 100]);
+    });
+
+    it('should not modify the filters', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+      const filters = { hostnames: ['host1'], lte_timestamp: '2023-01-02T00:00:00.000Z' };
+
+      await errsoleMySQL.getLogs(filters);
+
+      expect(filters).toEqual({ hostnames: ['host1'], lte_timestamp: '2023-01-02T00:00:00.000Z' });
+    });
+
     it('should handle errors in retrieving logs', async () => {
       poolMock.query.mockImplementation((query, values, cb) => cb(new Error('Query error')));
 
@@ -449,23 +1704,326 @@ describe('ErrsoleMySQL', () => {
     });
   });
 
-  describe('#searchLogs', () => {
-    it('should perform a full-text search with search terms', async () => {
-      poolMock.query.mockImplementation((query, values, cb) => {
-        expect(query).toContain('MATCH(message) AGAINST');
+  describe('#getLogs cursors', () => {
+    const page = [
+      { id: 7, timestamp: new Date('2026-10-19T10:00:00.000Z') },
+      { id: 9, timestamp: new Date('2026-10-19T10:00:01.000Z') }
+    ];
+
+    it('should return the cursors of the older and newer pages of the latest logs', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [...page].reverse()));
+
+      const logs = await errsoleMySQL.getLogs({ limit: 2 });
+
+      expect(logs.items).toEqual(page);
+      expect(decodeCursor(logs.prevCursor)).toEqual({ o: 'id', d: 'prev', t: page[0].timestamp.getTime(), i: 7 });
+      expect(decodeCursor(logs.nextCursor)).toEqual({ o: 'id', d: 'next', t: page[1].timestamp.getTime(), i: 9 });
+    });
+
+    it('should not return an older cursor when reading older logs returns a partial page', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [...page].reverse()));
+
+      const logs = await errsoleMySQL.getLogs({ lte_timestamp: '2026-10-19T11:00:00.000Z', limit: 10 });
+
+      expect(logs.prevCursor).toBeNull();
+      expect(decodeCursor(logs.nextCursor)).toEqual({ o: 'timestamp', d: 'next', t: page[1].timestamp.getTime(), i: 9 });
+    });
+
+    it('should return a newer cursor when reading newer logs returns a partial page', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, page));
+
+      const logs = await errsoleMySQL.getLogs({ gt_id: 5, limit: 10 });
+
+      expect(decodeCursor(logs.nextCursor)).toEqual({ o: 'id', d: 'next', t: page[1].timestamp.getTime(), i: 9 });
+      expect(decodeCursor(logs.prevCursor)).toEqual({ o: 'id', d: 'prev', t: page[0].timestamp.getTime(), i: 7 });
+    });
+
+    it('should keep the newer cursor when reading newer logs returns an empty page', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      const logs = await errsoleMySQL.getLogs({ cursor: encodeCursor({ o: 'id', d: 'next', t: 0, i: 9 }) });
+
+      expect(logs).toEqual({ items: [], nextCursor: encodeCursor({ o: 'id', d: 'next', t: 0, i: 9 }), prevCursor: encodeCursor({ o: 'id', d: 'prev', t: 0, i: 9 }) });
+    });
+
+    it('should continue in timestamp order from a cursor and keep the other filters', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+      const timestamp = new Date('2026-10-19T10:00:00.000Z');
+
+      await errsoleMySQL.getLogs({
+        cursor: encodeCursor({ o: 'timestamp', d: 'prev', t: timestamp.getTime(), i: 7 }),
+        hostnames: ['api-1'],
+        lt_id: 100,
+        gte_timestamp: '2026-10-19T00:00:00.000Z'
+      });
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('WHERE hostname IN (?) AND timestamp <= ? AND (timestamp < ? OR id < ?) AND timestamp >= ? ORDER BY timestamp DESC, id DESC LIMIT ?');
+      expect(values).toEqual([['api-1'], timestamp, timestamp, 7, new Date('2026-10-19T00:00:00.000Z'), 100]);
+    });
+
+    it('should continue in id order from a cursor', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      await errsoleMySQL.getLogs({ cursor: encodeCursor({ o: 'id', d: 'next', t: 0, i: 9 }) });
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('WHERE id > ? ORDER BY id ASC LIMIT ?');
+      expect(values).toEqual([9, 100]);
+    });
+
+    it('should point back to the previous page when a cursor leads to an empty page', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      const logs = await errsoleMySQL.getLogs({ cursor: encodeCursor({ o: 'id', d: 'prev', t: 0, i: 7 }) });
+
+      expect(logs).toEqual({ items: [], nextCursor: encodeCursor({ o: 'id', d: 'next', t: 0, i: 7 }), prevCursor: null });
+    });
+
+    it('should return the count of matching logs with withCount', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, query.includes('COUNT(*)') ? [{ count: 2 }] : [...page].reverse()));
+
+      const logs = await errsoleMySQL.getLogs({ withCount: true });
+
+      expect(logs).toEqual({ items: page, count: 2, countIsEstimate: false, nextCursor: encodeCursor({ o: 'id', d: 'next', t: page[1].timestamp.getTime(), i: 9 }), prevCursor: null });
+    });
+
+    it('should reject an invalid cursor', async () => {
+      await expect(errsoleMySQL.getLogs({ cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor.');
+      await expect(errsoleMySQL.getLogs({ cursor: encodeCursor({ o: 'timestamp', d: 'prev', i: 7 }) })).rejects.toThrow('Invalid cursor.');
+    });
+  });
+
+  describe('#countLogs', () => {
+    it('should count up to the limit exactly, ignoring the position of the page', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [{ count: 42 }]));
+
+      const result = await errsoleMySQL.countLogs({ hostnames: ['api-1'], lt_id: 100, cursor: 'x', gte_timestamp: '2026-10-19T00:00:00.000Z' });
+
+      expect(result).toEqual({ count: 42, countIsEstimate: false });
+      expect(poolMock.query).toHaveBeenLastCalledWith(
+        'SELECT COUNT(*) AS count FROM (SELECT 1 FROM errsole_logs_v3 WHERE hostname IN (?) AND timestamp >= ? LIMIT ?) AS matches',
+        [['api-1'], new Date('2026-10-19T00:00:00.000Z'), 10001],
+        expect.any(Function)
+      );
+    });
+
+    it('should estimate larger counts from the rollups if the filters allow it', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [{ count: query.includes('errsole_log_rollups') ? '48213' : 10001 }]));
+
+      const result = await errsoleMySQL.countLogs({
+        level_json: [{ source: 'console', level: 'error' }],
+        gte_timestamp: '2026-10-19T00:00:30.000Z',
+        lte_timestamp: '2026-10-19T12:00:00.000Z'
+      });
+
+      expect(result).toEqual({ count: 48213, countIsEstimate: true });
+      expect(poolMock.query).toHaveBeenLastCalledWith(
+        'SELECT SUM(`count`) AS count FROM errsole_log_rollups WHERE ((source = ? AND level = ?)) AND minute_start <= ? AND minute_start >= ?',
+        ['console', 'error', new Date('2026-10-19T12:00:00.000Z'), new Date('2026-10-19T00:00:00.000Z')],
+        expect.any(Function)
+      );
+    });
+
+    it('should estimate larger counts of searches from EXPLAIN', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, query.startsWith('EXPLAIN') ? [{ rows: 200000, filtered: 25 }] : [{ count: 10001 }]));
+
+      const result = await errsoleMySQL.countLogs({ errsole_id: 5 }, ['timeout']);
+
+      expect(result).toEqual({ count: 50000, countIsEstimate: true });
+      expect(poolMock.query).toHaveBeenLastCalledWith(
+        'EXPLAIN SELECT id FROM errsole_logs_v3 WHERE MATCH(message) AGAINST (? IN BOOLEAN MODE) AND (errsole_id = ?)',
+        ['+"timeout"', 5],
+        expect.any(Function)
+      );
+    });
+
+    it('should never estimate less than the exact count has shown', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, query.startsWith('EXPLAIN') ? [{ rows: 1, filtered: 100 }] : [{ count: 10001 }]));
+
+      await expect(errsoleMySQL.countLogs({}, ['timeout'])).resolves.toEqual({ count: 10001, countIsEstimate: true });
+    });
+
+    it('should estimate from the rollups with the hostname, sources and levels filters', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [{ count: query.includes('errsole_log_rollups') ? 20000 : 10001 }]));
+
+      await errsoleMySQL.countLogs({ hostname: 'api-1', sources: ['console'], levels: ['error', 'warn'] });
+
+      expect(poolMock.query).toHaveBeenLastCalledWith(
+        'SELECT SUM(`count`) AS count FROM errsole_log_rollups WHERE hostname = ? AND source IN (?) AND level IN (?)',
+        ['api-1', ['console'], ['error', 'warn']],
+        expect.any(Function)
+      );
+    });
+
+    it.each([
+      [{ pid: 42 }],
+      [{ pids: [42, 43] }],
+      [{ message_like: '%timeout%' }],
+      [{ message_regex: '^ERR' }]
+    ])('should not estimate from the rollups with the filters %p', async (filters) => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, query.startsWith('EXPLAIN') ? [{ rows: 20000 }] : [{ count: 10001 }]));
+
+      await errsoleMySQL.countLogs(filters);
+
+      expect(poolMock.query).toHaveBeenLastCalledWith(expect.stringMatching(/^EXPLAIN /), expect.any(Array), expect.any(Function));
+    });
+  });
+
+  describe('#compileLogFilters', () => {
+    it.each([
+      ['hostname', { hostname: 'api-1' }, 'hostname = ?', ['api-1']],
+      ['sources', { sources: ['console', 'errsole'] }, 'source IN (?)', [['console', 'errsole']]],
+      ['levels', { levels: ['error'] }, 'level IN (?)', [['error']]],
+      ['pid', { pid: 42 }, 'pid = ?', [42]],
+      ['pid as a string', { pid: '42' }, 'pid = ?', [42]],
+      ['pid 0', { pid: 0 }, 'pid = ?', [0]],
+      ['pids', { pids: [42, '43'] }, 'pid IN (?)', [[42, 43]]],
+      ['message_like', { message_like: 'GET /api/%' }, 'message LIKE ?', ['GET /api/%']],
+      ['message_regex', { message_regex: '^Error: .+ timed out$' }, 'message REGEXP ?', ['^Error: .+ timed out$']]
+    ])('should compile the %s filter', (name, filters, condition, values) => {
+      expect(errsoleMySQL.compileLogFilters(filters)).toMatchObject({ conditions: [condition], values });
+    });
+
+    it('should ignore empty sources, levels and pids', () => {
+      expect(errsoleMySQL.compileLogFilters({ sources: [], levels: [], pids: [] })).toMatchObject({ conditions: [], values: [] });
+    });
+
+    it('should combine the filters so that all of them must match', () => {
+      const { conditions, values } = errsoleMySQL.compileLogFilters({
+        hostnames: ['api-1', 'api-2'],
+        hostname: 'api-1',
+        sources: ['console'],
+        levels: ['error', 'alert'],
+        pid: 42,
+        pids: [42, 43],
+        message_like: '%timeout%',
+        message_regex: 'ECONN(RESET|REFUSED)',
+        errsole_id: 5,
+        lte_timestamp: '2026-10-19T00:00:00.000Z'
+      }, { searchTerms: 'level:error' });
+
+      expect(conditions).toEqual([
+        'level = ?',
+        'hostname IN (?)',
+        'hostname = ?',
+        'source IN (?)',
+        'level IN (?)',
+        'pid = ?',
+        'pid IN (?)',
+        'message LIKE ?',
+        'message REGEXP ?',
+        '(errsole_id = ?)',
+        'timestamp <= ?'
+      ]);
+      expect(values).toEqual([
+        'error', ['api-1', 'api-2'], 'api-1', ['console'], ['error', 'alert'], 42, [42, 43], '%timeout%', 'ECONN(RESET|REFUSED)', 5, new Date('2026-10-19T00:00:00.000Z')
+      ]);
+    });
+
+    it('should combine sources and levels with level_json and errsole_id', () => {
+      const { conditions, values } = errsoleMySQL.compileLogFilters({
+        sources: ['console'],
+        levels: ['error'],
+        level_json: [{ source: 'console', level: 'error' }],
+        errsole_id: 5
+      });
+
+      expect(conditions).toEqual(['source IN (?)', 'level IN (?)', '(((source = ? AND level = ?)) OR errsole_id = ?)']);
+      expect(values).toEqual([['console'], ['error'], 'console', 'error', 5]);
+    });
+
+    it.each([
+      [{ pid: 'abc' }, 'Invalid pid. Expected an integer.'],
+      [{ pid: 1.5 }, 'Invalid pid. Expected an integer.'],
+      [{ pids: [1, ''] }, 'Invalid pid. Expected an integer.'],
+      [{ message_like: 42 }, 'Invalid message_like. Expected a LIKE pattern string.'],
+      [{ message_regex: '' }, 'Invalid message_regex. Expected a non-empty regular expression string.'],
+      [{ message_regex: /timeout/ }, 'Invalid message_regex. Expected a non-empty regular expression string.']
+    ])('should reject the invalid filters %p', (filters, message) => {
+      expect(() => errsoleMySQL.compileLogFilters(filters)).toThrow(message);
+    });
+
+    it('should apply the filters in getLogs and searchLogs', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      await errsoleMySQL.getLogs({ sources: ['console'], pid: 42 });
+      await errsoleMySQL.searchLogs(['timeout'], { levels: ['error'], message_regex: '^Error' });
+
+      const queries = poolMock.query.mock.calls.map(([query]) => query).filter(query => query.startsWith('SELECT id'));
+      expect(queries[0]).toContain('WHERE source IN (?) AND pid = ? ORDER BY');
+      expect(queries[1]).toContain('WHERE MATCH(message) AGAINST (? IN BOOLEAN MODE) AND level IN (?) AND message REGEXP ? ORDER BY');
+    });
+  });
+
+  describe('#searchLogs', () => {
+    it('should perform a full-text search with search terms', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => {
+        expect(query).toContain('MATCH(message) AGAINST');
+
+        // Fix: Update expected values to match the function's actual output
+        expect(values).toEqual(['+\"error\" +\"failed\"', 100]);
+
+        cb(null, [{ id: 1, message: 'error failed' }]);
+      });
+
+      const logs = await errsoleMySQL.searchLogs(['error', 'failed']);
+
+      expect(logs).toEqual({
+        items: [{ id: 1, message: 'error failed' }],
+        filters: { limit: 100 },
+        nextCursor: encodeCursor({ o: 'id', d: 'next', t: null, i: 1 }),
+        prevCursor: null
+      });
+    });
+
+    it('should match search terms with LIKE if the logs table is partitioned', async () => {
+      errsoleMySQL.isLogsTablePartitioned = true;
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      await errsoleMySQL.searchLogs(['error', '100%_done']);
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).not.toContain('MATCH(message)');
+      expect(query).toContain('message LIKE ? AND message LIKE ?');
+      expect(values).toEqual(['%error%', '%100\\%\\_done%', 100]);
+    });
+
+    it('should compile a search query to MATCH and column conditions', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      await errsoleMySQL.searchLogs('level:error -timeout "connection refused" OR ECONNRESET', { hostnames: ['api-1'] });
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('WHERE ((MATCH(message) AGAINST (? IN BOOLEAN MODE) AND level = ?) OR MATCH(message) AGAINST (? IN BOOLEAN MODE)) AND hostname IN (?)');
+      expect(values).toEqual(['+"connection refused" -"timeout"', 'error', '+"ECONNRESET"', ['api-1'], 100]);
+    });
+
+    it('should compile a search query to LIKE conditions if the logs table is partitioned', async () => {
+      errsoleMySQL.isLogsTablePartitioned = true;
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      await errsoleMySQL.searchLogs('host:api-* -timeout');
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('WHERE (hostname LIKE ? AND NOT IFNULL(message LIKE ?, FALSE))');
+      expect(values).toEqual(['api-%', '%timeout%', 100]);
+    });
 
-        // Fix: Update expected values to match the function's actual output
-        expect(values).toEqual(['+\"error\" +\"failed\"', 100]);
+    it('should page search results with a cursor instead of lt_id', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [{ id: 3, timestamp: new Date('2026-10-19T09:00:00.000Z') }]));
 
-        cb(null, [{ id: 1, message: 'error failed' }]);
-      });
+      const logs = await errsoleMySQL.searchLogs(['error'], { cursor: encodeCursor({ o: 'id', d: 'prev', t: 0, i: 7 }), lt_id: 100, limit: 1 });
 
-      const logs = await errsoleMySQL.searchLogs(['error', 'failed']);
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('WHERE MATCH(message) AGAINST (? IN BOOLEAN MODE) AND id < ? ORDER BY id DESC LIMIT ?');
+      expect(values).toEqual(['+"error"', 7, 1]);
+      expect(decodeCursor(logs.prevCursor)).toEqual({ o: 'id', d: 'prev', t: new Date('2026-10-19T09:00:00.000Z').getTime(), i: 3 });
+    });
 
-      expect(logs).toEqual({
-        items: [{ id: 1, message: 'error failed' }],
-        filters: { limit: 100 }
-      });
+    it('should reject an invalid search query without querying the logs', async () => {
+      await expect(errsoleMySQL.searchLogs('(error OR')).rejects.toThrow('Invalid search query. Expected a term after OR at position 7 but found the end of the query.');
+      expect(poolMock.query).not.toHaveBeenCalledWith(expect.stringContaining('FROM errsole_logs_v3'), expect.anything(), expect.any(Function));
     });
 
     it('should apply errsole_id filter', async () => {
@@ -476,7 +2034,7 @@ describe('ErrsoleMySQL', () => {
       });
 
       const logs = await errsoleMySQL.searchLogs([], { errsole_id: '123abc' });
-      expect(logs).toEqual({ items: [{ id: 1, errsole_id: '123abc' }], filters: { errsole_id: '123abc', limit: 100 } });
+      expect(logs).toEqual({ items: [{ id: 1, errsole_id: '123abc' }], filters: { errsole_id: '123abc', limit: 100 }, nextCursor: encodeCursor({ o: 'id', d: 'next', t: null, i: 1 }), prevCursor: null });
     });
 
     it('should apply lt_id and gt_id filters', async () => {
@@ -487,7 +2045,7 @@ describe('ErrsoleMySQL', () => {
       });
 
       const logs = await errsoleMySQL.searchLogs([], { lt_id: 10 });
-      expect(logs).toEqual({ items: [{ id: 9 }], filters: { lt_id: 10, limit: 100 } });
+      expect(logs).toEqual({ items: [{ id: 9 }], filters: { lt_id: 10, limit: 100 }, nextCursor: encodeCursor({ o: 'id', d: 'next', t: null, i: 9 }), prevCursor: null });
     });
 
     it('should apply gt_id filter', async () => {
@@ -498,7 +2056,7 @@ describe('ErrsoleMySQL', () => {
       });
 
       const logs = await errsoleMySQL.searchLogs([], { gt_id: 5 });
-      expect(logs).toEqual({ items: [{ id: 6 }], filters: { gt_id: 5, limit: 100 } });
+      expect(logs).toEqual({ items: [{ id: 6 }], filters: { gt_id: 5, limit: 100 }, nextCursor: encodeCursor({ o: 'id', d: 'next', t: null, i: 6 }), prevCursor: encodeCursor({ o: 'id', d: 'prev', t: null, i: 6 }) });
     });
 
     it('should apply lt_id filter', async () => {
@@ -509,7 +2067,7 @@ describe('ErrsoleMySQL', () => {
       });
 
       const logs = await errsoleMySQL.searchLogs([], { lt_id: 10 });
-      expect(logs).toEqual({ items: [{ id: 9 }], filters: { lt_id: 10, limit: 100 } });
+      expect(logs).toEqual({ items: [{ id: 9 }], filters: { lt_id: 10, limit: 100 }, nextCursor: encodeCursor({ o: 'id', d: 'next', t: null, i: 9 }), prevCursor: null });
     });
 
     it('should apply timestamp range when only lte_timestamp is provided', async () => {
@@ -527,7 +2085,9 @@ describe('ErrsoleMySQL', () => {
 
       expect(logs).toEqual({
         items: [{ id: 1, timestamp: '2023-01-01T00:00:00Z' }],
-        filters: { gte_timestamp: gteTimestamp, lte_timestamp: lteTimestamp, limit: 100 }
+        filters: { gte_timestamp: gteTimestamp, lte_timestamp: lteTimestamp, limit: 100 },
+        nextCursor: encodeCursor({ o: 'timestamp', d: 'next', t: new Date('2023-01-01T00:00:00Z').getTime(), i: 1 }),
+        prevCursor: null
       });
     });
 
@@ -537,7 +2097,7 @@ describe('ErrsoleMySQL', () => {
 
       poolMock.query.mockImplementation((query, values, cb) => {
         expect(query).toContain('timestamp <= ?');
-        expect(values).toEqual([gteTimestamp, lteTimestamp, 100]);
+        expect(values).toEqual([lteTimestamp, gteTimestamp, 100]);
         cb(null, [{ id: 1, timestamp: '2023-01-02T00:00:00Z' }]);
       });
 
@@ -545,7 +2105,9 @@ describe('ErrsoleMySQL', () => {
 
       expect(logs).toEqual({
         items: [{ id: 1, timestamp: '2023-01-02T00:00:00Z' }],
-        filters: { gte_timestamp: gteTimestamp, lte_timestamp: lteTimestamp, limit: 100 }
+        filters: { gte_timestamp: gteTimestamp, lte_timestamp: lteTimestamp, limit: 100 },
+        nextCursor: encodeCursor({ o: 'timestamp', d: 'next', t: new Date('2023-01-02T00:00:00Z').getTime(), i: 1 }),
+        prevCursor: encodeCursor({ o: 'timestamp', d: 'prev', t: new Date('2023-01-02T00:00:00Z').getTime(), i: 1 })
       });
     });
 
@@ -557,7 +2119,7 @@ describe('ErrsoleMySQL', () => {
       });
 
       const logs = await errsoleMySQL.searchLogs([], { level_json: [{ source: 'app', level: 'error' }, { source: 'database', level: 'warn' }] });
-      expect(logs).toEqual({ items: [{ id: 1, source: 'app', level: 'error' }], filters: { level_json: [{ source: 'app', level: 'error' }, { source: 'database', level: 'warn' }], limit: 100 } });
+      expect(logs).toEqual({ items: [{ id: 1, source: 'app', level: 'error' }], filters: { level_json: [{ source: 'app', level: 'error' }, { source: 'database', level: 'warn' }], limit: 100 }, nextCursor: encodeCursor({ o: 'id', d: 'next', t: null, i: 1 }), prevCursor: null });
     });
 
     it('should handle query errors gracefully', async () => {
@@ -576,7 +2138,7 @@ describe('ErrsoleMySQL', () => {
       });
 
       const logs = await errsoleMySQL.searchLogs([], { hostnames: ['localhost'] });
-      expect(logs).toEqual({ items: [{ id: 1, hostname: 'localhost' }], filters: { hostnames: ['localhost'], limit: 100 } });
+      expect(logs).toEqual({ items: [{ id: 1, hostname: 'localhost' }], filters: { hostnames: ['localhost'], limit: 100 }, nextCursor: encodeCursor({ o: 'id', d: 'next', t: null, i: 1 }), prevCursor: null });
     });
     it('should apply timestamp filters', async () => {
       const gteTimestamp = new Date('2023-01-01T00:00:00.000Z');
@@ -596,9 +2158,46 @@ describe('ErrsoleMySQL', () => {
 
       expect(logs).toEqual({
         items: [{ id: 1, timestamp: '2023-01-01T00:00:00Z' }],
-        filters: { gte_timestamp: gteTimestamp, lte_timestamp: lteTimestamp, limit: 100 } // FIX: Use snake_case keys
+        filters: { gte_timestamp: gteTimestamp, lte_timestamp: lteTimestamp, limit: 100 }, // FIX: Use snake_case keys
+        nextCursor: encodeCursor({ o: 'timestamp', d: 'next', t: new Date('2023-01-01T00:00:00Z').getTime(), i: 1 }),
+        prevCursor: encodeCursor({ o: 'timestamp', d: 'prev', t: new Date('2023-01-01T00:00:00Z').getTime(), i: 1 })
+      });
+    });
+
+    it('should not modify the filters and return the applied filters separately', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+      const filters = { lte_timestamp: '2023-01-02T00:00:00.000Z' };
+
+      const logs = await errsoleMySQL.searchLogs([], filters);
+
+      expect(filters).toEqual({ lte_timestamp: '2023-01-02T00:00:00.000Z' });
+      expect(logs.filters).toEqual({
+        lte_timestamp: new Date('2023-01-02T00:00:00.000Z'),
+        gte_timestamp: new Date('2023-01-01T00:00:00.000Z'),
+        limit: 100
       });
     });
+
+    it('should use the searchWindow option for the time window', async () => {
+      errsoleMySQL.searchWindow = 60 * 60 * 1000;
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      const logs = await errsoleMySQL.searchLogs([], { gte_timestamp: new Date('2023-01-01T00:00:00.000Z') });
+
+      expect(logs.filters.lte_timestamp).toEqual(new Date('2023-01-01T01:00:00.000Z'));
+    });
+
+    it('should not bound the time range if searchWindow is Infinity', async () => {
+      errsoleMySQL.searchWindow = Infinity;
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      const logs = await errsoleMySQL.searchLogs([], { lte_timestamp: new Date('2023-01-02T00:00:00.000Z') });
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('WHERE timestamp <= ? ORDER BY timestamp DESC, id DESC LIMIT ?');
+      expect(values).toEqual([new Date('2023-01-02T00:00:00.000Z'), 100]);
+      expect(logs.filters).not.toHaveProperty('gte_timestamp');
+    });
   });
 
   describe('#verifyUser', () => {
@@ -693,128 +2292,624 @@ describe('ErrsoleMySQL', () => {
     it('should update user by email', async () => {
       poolMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
 
-      const user = await errsoleMySQL.updateUserByEmail('test@example.com', { name: 'updated' });
+      const user = await errsoleMySQL.updateUserByEmail('test@example.com', { name: 'updated' });
+
+      expect(poolMock.query).toHaveBeenCalledWith(
+        'UPDATE errsole_users SET name = ? WHERE email = ?',
+        ['updated', 'test@example.com'],
+        expect.any(Function)
+      );
+      expect(getUserByEmailSpy).toHaveBeenCalledWith('test@example.com');
+      expect(user).toEqual({ item: { id: 1, name: 'updated', email: 'test@example.com', role: 'admin' } });
+    });
+
+    it('should throw an error if no email is provided', async () => {
+      await expect(errsoleMySQL.updateUserByEmail('', { name: 'updated' })).rejects.toThrow('Email is required.');
+    });
+
+    it('should throw an error if no updates are provided', async () => {
+      await expect(errsoleMySQL.updateUserByEmail('test@example.com', {})).rejects.toThrow('No updates provided.');
+    });
+
+    it('should handle errors if no updates are applied', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 0 }));
+
+      await expect(errsoleMySQL.updateUserByEmail('test@example.com', { name: 'updated' })).rejects.toThrow('No updates applied.');
+    });
+
+    it('should handle query errors during user update', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(new Error('Query error')));
+
+      await expect(errsoleMySQL.updateUserByEmail('test@example.com', { name: 'updated' })).rejects.toThrow('Query error');
+    });
+  });
+
+  describe('#updatePassword', () => {
+    afterEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('should update user password', async () => {
+      const user = { id: 1, name: 'test', email: 'test@example.com', hashed_password: 'hashedPassword', role: 'admin' };
+      poolMock.query.mockImplementation((query, values, cb) => {
+        if (query.includes('SELECT')) {
+          cb(null, [user]);
+        } else {
+          cb(null, { affectedRows: 1 });
+        }
+      });
+      bcrypt.compare.mockResolvedValue(true);
+      bcrypt.hash.mockResolvedValue('newHashedPassword');
+
+      const result = await errsoleMySQL.updatePassword('test@example.com', 'password', 'newPassword');
+
+      expect(poolMock.query).toHaveBeenCalledWith('SELECT * FROM errsole_users WHERE email = ?', ['test@example.com'], expect.any(Function));
+      expect(bcrypt.compare).toHaveBeenCalledWith('password', 'hashedPassword');
+      expect(bcrypt.hash).toHaveBeenCalledWith('newPassword', 10);
+      expect(poolMock.query).toHaveBeenCalledWith('UPDATE errsole_users SET hashed_password = ? WHERE email = ?', ['newHashedPassword', 'test@example.com'], expect.any(Function));
+      expect(result).toEqual({ item: { id: 1, name: 'test', email: 'test@example.com', role: 'admin' } });
+    });
+
+    it('should throw an error if email, current password, or new password is missing', async () => {
+      await expect(errsoleMySQL.updatePassword('', 'password', 'newPassword')).rejects.toThrow('Email, current password, and new password are required.');
+      await expect(errsoleMySQL.updatePassword('test@example.com', '', 'newPassword')).rejects.toThrow('Email, current password, and new password are required.');
+      await expect(errsoleMySQL.updatePassword('test@example.com', 'password', '')).rejects.toThrow('Email, current password, and new password are required.');
+    });
+
+    it('should throw an error if user is not found', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      await expect(errsoleMySQL.updatePassword('test@example.com', 'password', 'newPassword')).rejects.toThrow('User not found.');
+    });
+
+    it('should throw an error if current password is incorrect', async () => {
+      const user = { id: 1, name: 'test', email: 'test@example.com', hashed_password: 'hashedPassword', role: 'admin' };
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [user]));
+      bcrypt.compare.mockResolvedValue(false);
+
+      await expect(errsoleMySQL.updatePassword('test@example.com', 'wrongPassword', 'newPassword')).rejects.toThrow('Current password is incorrect.');
+    });
+
+    it('should handle query errors during user password update', async () => {
+      const user = { id: 1, name: 'test', email: 'test@example.com', hashed_password: 'hashedPassword', role: 'admin' };
+      poolMock.query.mockImplementation((query, values, cb) => {
+        if (query.includes('SELECT')) {
+          cb(null, [user]);
+        } else {
+          cb(new Error('Query error'));
+        }
+      });
+      bcrypt.compare.mockResolvedValue(true);
+      bcrypt.hash.mockResolvedValue('newHashedPassword');
+
+      await expect(errsoleMySQL.updatePassword('test@example.com', 'password', 'newPassword')).rejects.toThrow('Query error');
+    });
+
+    it('should throw an error if no updates are applied (affectedRows = 0)', async () => {
+      const user = { id: 1, name: 'test', email: 'test@example.com', hashed_password: 'hashedPassword', role: 'admin' };
+      poolMock.query.mockImplementation((query, values, cb) => {
+        if (query.includes('SELECT')) {
+          cb(null, [user]);
+        } else {
+          cb(null, { affectedRows: 0 });
+        }
+      });
+      bcrypt.compare.mockResolvedValue(true);
+      bcrypt.hash.mockResolvedValue('newHashedPassword');
+
+      await expect(errsoleMySQL.updatePassword('test@example.com', 'password', 'newPassword')).rejects.toThrow('Password update failed.');
+    });
+  });
+
+  describe('#deleteUser', () => {
+    it('should delete user by id', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
+
+      await errsoleMySQL.deleteUser(1);
+
+      expect(poolMock.query).toHaveBeenCalledWith('DELETE FROM errsole_users WHERE id = ?', [1], expect.any(Function));
+    });
+
+    it('should throw error if user not found', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 0 }));
+
+      await expect(errsoleMySQL.deleteUser(1)).rejects.toThrow(new Error('User not found.'));
+    });
+  });
+
+  describe('#tailLogs', () => {
+    let tail;
+
+    beforeEach(() => {
+      poolMock.query.mockImplementation((query, values, cb) => {
+        if (typeof values === 'function') cb = values;
+        if (query.includes('@@auto_increment_increment')) return cb(null, [{ increment: 1, lockMode: 1 }]);
+        if (query.startsWith('SELECT MAX(id)')) return cb(null, [{ maxId: 12 }]);
+        cb(null, []);
+      });
+    });
+
+    afterEach(() => {
+      if (tail) tail.unsubscribe();
+      tail = null;
+    });
+
+    it('should reject invalid arguments', () => {
+      expect(() => errsoleMySQL.tailLogs({}, 'onLog')).toThrow('Invalid onLog. Expected a function.');
+      expect(() => errsoleMySQL.tailLogs({ gt_id: 'abc' })).toThrow('Invalid gt_id. Expected a log id.');
+      expect(() => errsoleMySQL.tailLogs({ pid: 'abc' })).toThrow('Invalid pid. Expected an integer.');
+      expect(errsoleMySQL.tails.size).toBe(0);
+    });
+
+    it('should poll the logs matching the filters by id', async () => {
+      const onLog = jest.fn();
+      tail = errsoleMySQL.tailLogs({ hostnames: ['api-1'], gt_id: 10, lt_id: 5, limit: 1 }, onLog);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(poolMock.query).toHaveBeenCalledWith(
+        'SELECT id, hostname, pid, source, timestamp, level, message, errsole_id FROM errsole_logs_v3 WHERE hostname IN (?) AND id > ? AND id <= ? ORDER BY id ASC LIMIT ?',
+        [['api-1'], 10, 12, 100],
+        expect.any(Function)
+      );
+    });
+
+    it('should push inserted logs that match the filters with their ids', async () => {
+      const onLog = jest.fn();
+      tail = errsoleMySQL.tailLogs({ hostname: 'API-1', levels: ['error'] }, onLog);
+      await jest.advanceTimersByTimeAsync(0);
+      errsoleMySQL.insertIdStep = 2;
+      connectionMock.query.mockImplementation((query, values, cb) => cb(null, query.startsWith('INSERT INTO errsole_logs_v3') ? { insertId: 21 } : []));
+
+      await errsoleMySQL.insertLogs([
+        { timestamp: '2026-10-19T00:00:00.000Z', hostname: 'api-1', pid: 1, source: 'console', level: 'info', message: 'Started' },
+        { timestamp: '2026-10-19T00:00:01.000Z', hostname: 'api-1', pid: 1, source: 'console', level: 'error', message: 'Failed' }
+      ]);
+
+      expect(onLog).toHaveBeenCalledTimes(1);
+      expect(onLog).toHaveBeenCalledWith({
+        id: 23,
+        hostname: 'api-1',
+        pid: 1,
+        source: 'console',
+        timestamp: new Date('2026-10-19T00:00:01.000Z'),
+        level: 'error',
+        message: 'Failed',
+        errsole_id: null
+      });
+    });
+
+    it('should poll right away for inserted logs with the interleaved auto-increment lock mode', async () => {
+      let maxId = 12;
+      poolMock.query.mockImplementation((query, values, cb) => {
+        if (typeof values === 'function') cb = values;
+        if (query.includes('@@innodb_autoinc_lock_mode')) return cb(null, [{ increment: 1, lockMode: 2 }]);
+        if (query.startsWith('SELECT MAX(id)')) return cb(null, [{ maxId }]);
+        if (query.startsWith('SELECT id')) return cb(null, [{ id: 21, message: 'Started' }, { id: 25, message: 'Failed' }].filter(log => log.id > values[0] && log.id <= values[1]));
+        cb(null, []);
+      });
+      const onLog = jest.fn();
+      tail = errsoleMySQL.tailLogs({}, onLog);
+      await jest.advanceTimersByTimeAsync(0);
+      connectionMock.query.mockImplementation((query, values, cb) => cb(null, query.startsWith('INSERT INTO errsole_logs_v3') ? { insertId: 21 } : []));
+
+      maxId = 25;
+      await errsoleMySQL.insertLogs([
+        { timestamp: '2026-10-19T00:00:00.000Z', hostname: 'api-1', level: 'info', message: 'Started' },
+        { timestamp: '2026-10-19T00:00:01.000Z', hostname: 'api-1', level: 'error', message: 'Failed' }
+      ]);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(errsoleMySQL.insertIdStep).toBe(0);
+      expect(onLog.mock.calls.map(([log]) => log.id)).toEqual([21, 25]);
+    });
+
+    it('should poll right away if a filter can only be checked by the database', async () => {
+      const onLog = jest.fn();
+      tail = errsoleMySQL.tailLogs({ searchTerms: 'timeout', message_regex: '^Error' }, onLog);
+      await jest.advanceTimersByTimeAsync(0);
+
+      errsoleMySQL.publishInsertedLogs([{ timestamp: new Date(), message: 'Error: timeout' }], 21);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(errsoleMySQL.insertIdStep).toBe(1);
+      expect(onLog).not.toHaveBeenCalled();
+      expect(poolMock.query.mock.calls.filter(([query]) => query.startsWith('SELECT MAX(id)'))).toHaveLength(2);
+    });
+
+    it('should match level_json or errsole_id and the time range locally', async () => {
+      const onLog = jest.fn();
+      tail = errsoleMySQL.tailLogs({
+        level_json: [{ source: 'console', level: 'error' }],
+        errsole_id: 7,
+        gte_timestamp: '2026-10-19T00:00:00.000Z'
+      }, onLog);
+      await jest.advanceTimersByTimeAsync(0);
+
+      errsoleMySQL.publishInsertedLogs([
+        { timestamp: '2026-10-19T00:00:01.000Z', source: 'console', level: 'error', message: 'a' },
+        { timestamp: '2026-10-19T00:00:01.000Z', source: 'console', level: 'info', message: 'b', errsole_id: 7 },
+        { timestamp: '2026-10-19T00:00:01.000Z', source: 'console', level: 'info', message: 'c' },
+        { timestamp: '2026-10-18T23:59:59.000Z', source: 'console', level: 'error', message: 'd' }
+      ], 31);
+
+      expect(onLog.mock.calls.map(([log]) => log.message)).toEqual(['a', 'b']);
+    });
+
+    it('should end the tails when the storage is closed', async () => {
+      poolMock.end = jest.fn((cb) => cb(null));
+      tail = errsoleMySQL.tailLogs({}, jest.fn());
+
+      await errsoleMySQL.flushAndClose();
+
+      expect(tail.isClosed).toBe(true);
+      expect(errsoleMySQL.tails.size).toBe(0);
+    });
+  });
+
+  describe('#exportLogs', () => {
+    const rows = [
+      { id: 1, hostname: 'api-1', pid: 10, source: 'console', timestamp: new Date('2026-10-01T09:00:00.000Z'), level: 'info', message: 'started', errsole_id: null },
+      { id: 2, hostname: 'api-1', pid: 10, source: 'console', timestamp: new Date('2026-10-01T09:00:01.000Z'), level: 'error', message: 'failed', errsole_id: null }
+    ];
+
+    beforeEach(() => {
+      jest.useRealTimers();
+      poolMock.query.mockImplementation(() => ({ stream: () => Readable.from(rows) }));
+    });
+
+    async function readAll (readable) {
+      let output = '';
+      for await (const chunk of readable) output += chunk;
+      return output;
+    }
+
+    it('should stream all matching logs oldest first as NDJSON by default', async () => {
+      const output = await readAll(await errsoleMySQL.exportLogs());
+
+      expect(poolMock.query).toHaveBeenCalledWith('SELECT id, hostname, pid, source, timestamp, level, message, errsole_id FROM errsole_logs_v3  ORDER BY id ASC', []);
+      expect(output.trim().split('\n').map(line => JSON.parse(line).id)).toEqual([1, 2]);
+    });
+
+    it('should apply the filters and search terms', async () => {
+      await errsoleMySQL.exportLogs({
+        searchTerms: ['failed'],
+        hostnames: ['api-1'],
+        level_json: [{ source: 'console', level: 'error' }],
+        errsole_id: 7,
+        gt_id: 10,
+        gte_timestamp: '2026-10-01T00:00:00.000Z',
+        lte_timestamp: '2026-10-02T00:00:00.000Z',
+        limit: 500
+      }, { includeMeta: true });
+
+      expect(poolMock.query).toHaveBeenCalledWith(
+        'SELECT id, hostname, pid, source, timestamp, level, message, errsole_id, meta FROM errsole_logs_v3 ' +
+        'WHERE MATCH(message) AGAINST (? IN BOOLEAN MODE) AND hostname IN (?) AND (((source = ? AND level = ?)) OR errsole_id = ?) AND id > ? AND timestamp <= ? AND timestamp >= ? ORDER BY id ASC LIMIT ?',
+        ['+"failed"', ['api-1'], 'console', 'error', 7, 10, new Date('2026-10-02T00:00:00.000Z'), new Date('2026-10-01T00:00:00.000Z'), 500]
+      );
+    });
+
+    it('should support the csv and json formats', async () => {
+      const csv = await readAll(await errsoleMySQL.exportLogs({}, { format: 'csv' }));
+      const json = await readAll(await errsoleMySQL.exportLogs({}, { format: 'json' }));
+
+      expect(csv.split('\n')[0]).toBe('id,timestamp,hostname,pid,source,level,message,errsole_id');
+      expect(JSON.parse(json).map(log => log.id)).toEqual([1, 2]);
+    });
+
+    it('should reject an invalid format', async () => {
+      await expect(errsoleMySQL.exportLogs({}, { format: 'xml' })).rejects.toThrow('Invalid format. Expected one of: ndjson, csv, json.');
+    });
+
+    it('should emit query errors on the returned stream', async () => {
+      poolMock.query.mockImplementation(() => ({
+        stream: () => new Readable({
+          objectMode: true,
+          read () { this.destroy(new Error('Query error')); }
+        })
+      }));
+
+      await expect(readAll(await errsoleMySQL.exportLogs())).rejects.toThrow('Query error');
+    });
+  });
+
+  describe('#importLogs', () => {
+    let insertLogsSpy;
+
+    beforeEach(() => {
+      jest.useRealTimers();
+      insertLogsSpy = jest.spyOn(errsoleMySQL, 'insertLogs').mockResolvedValue({ rejectedLogs: [] });
+    });
+
+    it('should insert valid entries in batches and count invalid lines', async () => {
+      errsoleMySQL.maxBatchSize = 2;
+      const input = Readable.from([
+        '{"timestamp":"2026-10-01T09:00:00.000Z","message":"first","level":"error"}\n',
+        'not json\n',
+        '{"message":"no timestamp"}\n',
+        '{"timestamp":"2026-10-01T09:00:01.000Z","message":"second"}\n',
+        '{"timestamp":"2026-10-01T09:00:02.000Z","message":"third"}\n'
+      ]);
+
+      const result = await errsoleMySQL.importLogs(input);
+
+      expect(result).toEqual({
+        inserted: 3,
+        skipped: 0,
+        invalid: 2,
+        errors: [{ line: 2, message: expect.any(String) }, { line: 3, message: 'Invalid or missing timestamp.' }]
+      });
+      expect(insertLogsSpy).toHaveBeenCalledTimes(2);
+      expect(insertLogsSpy.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ timestamp: new Date('2026-10-01T09:00:00.000Z'), message: 'first', level: 'error' }),
+        expect.objectContaining({ timestamp: new Date('2026-10-01T09:00:01.000Z'), message: 'second', level: 'info' })
+      ]);
+    });
+
+    it('should count entries rejected by the database as skipped', async () => {
+      insertLogsSpy.mockImplementation(async logEntries => ({ rejectedLogs: [{ logEntry: logEntries[1], error: new Error('Data too long') }] }));
+      const input = Readable.from(['[{"timestamp":"2026-10-01T09:00:00.000Z","message":"first"},{"timestamp":"2026-10-01T09:00:01.000Z","message":"second"}]']);
+
+      const result = await errsoleMySQL.importLogs(input, { format: 'json' });
+
+      expect(result).toEqual({ inserted: 1, skipped: 1, invalid: 0, errors: [{ line: 2, message: 'Data too long' }] });
+    });
+
+    it('should reject with the counts so far if an insert fails', async () => {
+      errsoleMySQL.maxBatchSize = 1;
+      insertLogsSpy.mockResolvedValueOnce({ rejectedLogs: [] }).mockRejectedValueOnce(new Error('Connection lost'));
+      const input = Readable.from([
+        '{"timestamp":"2026-10-01T09:00:00.000Z","message":"first"}\n',
+        '{"timestamp":"2026-10-01T09:00:01.000Z","message":"second"}\n'
+      ]);
+
+      const err = await errsoleMySQL.importLogs(input).catch(err => err);
+
+      expect(err.message).toBe('Connection lost');
+      expect(err.importResult).toEqual(expect.objectContaining({ inserted: 1 }));
+    });
+
+    it('should neither publish imported logs to tails nor reopen issues', async () => {
+      insertLogsSpy.mockRestore();
+      connectionMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1, insertId: 1 }));
+      const publishInsertedLogsSpy = jest.spyOn(errsoleMySQL, 'publishInsertedLogs');
+      const reopenIssuesSpy = jest.spyOn(errsoleMySQL, 'reopenIssues');
+      const updateRollupsSpy = jest.spyOn(errsoleMySQL, 'updateRollups');
+      const input = Readable.from(['{"timestamp":"2026-10-01T09:00:00.000Z","message":"first","level":"error"}\n']);
+
+      const result = await errsoleMySQL.importLogs(input);
+
+      expect(result.inserted).toBe(1);
+      expect(getLogInsertCalls(connectionMock.query)).toHaveLength(1);
+      expect(updateRollupsSpy).toHaveBeenCalledTimes(1);
+      expect(publishInsertedLogsSpy).not.toHaveBeenCalled();
+      expect(reopenIssuesSpy).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid format', async () => {
+      await expect(errsoleMySQL.importLogs(Readable.from([]), { format: 'xml' })).rejects.toThrow('Invalid format. Expected one of: ndjson, csv, json.');
+    });
+  });
+
+  describe('#getLogStats', () => {
+    it('should count logs per bucket grouped by the requested columns', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [
+        { bucket: '491352', level: 'error', count: 3 },
+        { bucket: '491353', level: 'info', count: 10 }
+      ]));
+
+      const stats = await errsoleMySQL.getLogStats({
+        gte_timestamp: '2026-01-20T00:00:00.000Z',
+        lte_timestamp: '2026-01-21T00:00:00.000Z',
+        interval: '1h',
+        groupBy: 'level',
+        hostnames: ['api-1']
+      });
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('SELECT FLOOR(UNIX_TIMESTAMP(minute_start) / ?) AS bucket, level, SUM(`count`) AS count');
+      expect(query).toContain('FROM errsole_log_rollups WHERE minute_start >= ? AND minute_start <= ? AND hostname IN (?)');
+      expect(query).toContain('GROUP BY bucket, level ORDER BY bucket, level');
+      expect(values).toEqual([3600, new Date('2026-01-20T00:00:00.000Z'), new Date('2026-01-21T00:00:00.000Z'), ['api-1']]);
+      expect(stats).toEqual({
+        items: [
+          { bucket: new Date(491352 * 3600000), level: 'error', count: 3 },
+          { bucket: new Date(491353 * 3600000), level: 'info', count: 10 }
+        ],
+        interval: 3600000
+      });
+    });
+
+    it('should default to hourly buckets over the last 24 hours without grouping', async () => {
+      jest.setSystemTime(new Date('2026-10-19T12:00:00.000Z'));
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
 
-      expect(poolMock.query).toHaveBeenCalledWith(
-        'UPDATE errsole_users SET name = ? WHERE email = ?',
-        ['updated', 'test@example.com'],
-        expect.any(Function)
-      );
-      expect(getUserByEmailSpy).toHaveBeenCalledWith('test@example.com');
-      expect(user).toEqual({ item: { id: 1, name: 'updated', email: 'test@example.com', role: 'admin' } });
-    });
+      await errsoleMySQL.getLogStats();
 
-    it('should throw an error if no email is provided', async () => {
-      await expect(errsoleMySQL.updateUserByEmail('', { name: 'updated' })).rejects.toThrow('Email is required.');
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('GROUP BY bucket ORDER BY bucket');
+      expect(values).toEqual([3600, new Date('2026-10-18T12:00:00.000Z'), new Date('2026-10-19T12:00:00.000Z')]);
     });
 
-    it('should throw an error if no updates are provided', async () => {
-      await expect(errsoleMySQL.updateUserByEmail('test@example.com', {})).rejects.toThrow('No updates provided.');
+    it('should filter by sources and levels and group by several columns', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      await errsoleMySQL.getLogStats({ interval: 300000, groupBy: ['hostname', 'source'], sources: ['console'], levels: ['error', 'alert'] });
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('AS bucket, hostname, source, SUM(`count`)');
+      expect(query).toContain('AND source IN (?) AND level IN (?)');
+      expect(values[0]).toBe(300);
     });
 
-    it('should handle errors if no updates are applied', async () => {
-      poolMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 0 }));
+    it('should widen the range to whole minutes and restore missing values when reading the rollups', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [{ bucket: '29481120', hostname: '', count: '4' }]));
 
-      await expect(errsoleMySQL.updateUserByEmail('test@example.com', { name: 'updated' })).rejects.toThrow('No updates applied.');
+      const stats = await errsoleMySQL.getLogStats({ gte_timestamp: '2026-01-20T00:00:30.000Z', lte_timestamp: '2026-01-20T01:00:00.000Z', interval: '1m', groupBy: 'hostname' });
+
+      const [, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(values[1]).toEqual(new Date('2026-01-20T00:00:00.000Z'));
+      expect(stats.items).toEqual([{ bucket: new Date(29481120 * 60000), hostname: null, count: 4 }]);
     });
 
-    it('should handle query errors during user update', async () => {
-      poolMock.query.mockImplementation((query, values, cb) => cb(new Error('Query error')));
+    it('should count the logs table for intervals that are not whole minutes', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
 
-      await expect(errsoleMySQL.updateUserByEmail('test@example.com', { name: 'updated' })).rejects.toThrow('Query error');
+      await errsoleMySQL.getLogStats({ gte_timestamp: '2026-01-20T00:00:00.000Z', lte_timestamp: '2026-01-20T01:00:00.000Z', interval: '30s', groupBy: 'level' });
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('SELECT FLOOR(UNIX_TIMESTAMP(timestamp) / ?) AS bucket, level, COUNT(*) AS count');
+      expect(query).toContain('FROM errsole_logs_v3 WHERE timestamp >= ? AND timestamp <= ?');
+      expect(values).toEqual([30, new Date('2026-01-20T00:00:00.000Z'), new Date('2026-01-20T01:00:00.000Z')]);
     });
-  });
 
-  describe('#updatePassword', () => {
-    afterEach(() => {
-      jest.clearAllMocks();
+    it.each([
+      [{ interval: '1w' }, 'Invalid interval.'],
+      [{ interval: 1500 }, 'Invalid interval.'],
+      [{ groupBy: ['message'] }, 'Invalid groupBy. Expected any of: level, source, hostname.'],
+      [{ gte_timestamp: '2026-01-21T00:00:00.000Z', lte_timestamp: '2026-01-20T00:00:00.000Z' }, 'Invalid time range.'],
+      [{ gte_timestamp: '2026-01-01T00:00:00.000Z', lte_timestamp: '2026-12-31T00:00:00.000Z', interval: '1m' }, 'Too many buckets.']
+    ])('should reject invalid options %p', async (options, message) => {
+      await expect(errsoleMySQL.getLogStats(options)).rejects.toThrow(message);
     });
+  });
 
-    it('should update user password', async () => {
-      const user = { id: 1, name: 'test', email: 'test@example.com', hashed_password: 'hashedPassword', role: 'admin' };
+  describe('#getLogGroups', () => {
+    it('should group logs by fingerprint and list the hostnames of each group', async () => {
       poolMock.query.mockImplementation((query, values, cb) => {
-        if (query.includes('SELECT')) {
-          cb(null, [user]);
-        } else {
-          cb(null, { affectedRows: 1 });
+        if (query.includes('SELECT DISTINCT fingerprint, hostname')) {
+          return cb(null, [{ fingerprint: 'a', hostname: 'api-2' }, { fingerprint: 'a', hostname: 'api-1' }, { fingerprint: 'b', hostname: 'api-1' }]);
         }
+        if (query.includes('FROM errsole_issues')) return cb(null, [{ fingerprint: 'b', status: 'resolved' }]);
+        cb(null, [
+          { fingerprint: 'a', count: '12', firstSeen: new Date('2026-10-18T08:00:00.000Z'), lastSeen: new Date('2026-10-19T01:00:00.000Z'), sampleLogId: '120' },
+          { fingerprint: 'b', count: '3', firstSeen: new Date('2026-10-18T09:00:00.000Z'), lastSeen: new Date('2026-10-18T10:00:00.000Z'), sampleLogId: '57' }
+        ]);
       });
-      bcrypt.compare.mockResolvedValue(true);
-      bcrypt.hash.mockResolvedValue('newHashedPassword');
 
-      const result = await errsoleMySQL.updatePassword('test@example.com', 'password', 'newPassword');
+      const groups = await errsoleMySQL.getLogGroups({
+        gte_timestamp: '2026-10-18T00:00:00.000Z',
+        lte_timestamp: '2026-10-19T00:00:00.000Z',
+        levels: ['error'],
+        limit: 10
+      });
 
-      expect(poolMock.query).toHaveBeenCalledWith('SELECT * FROM errsole_users WHERE email = ?', ['test@example.com'], expect.any(Function));
-      expect(bcrypt.compare).toHaveBeenCalledWith('password', 'hashedPassword');
-      expect(bcrypt.hash).toHaveBeenCalledWith('newPassword', 10);
-      expect(poolMock.query).toHaveBeenCalledWith('UPDATE errsole_users SET hashed_password = ? WHERE email = ?', ['newHashedPassword', 'test@example.com'], expect.any(Function));
-      expect(result).toEqual({ item: { id: 1, name: 'test', email: 'test@example.com', role: 'admin' } });
+      const [groupsQuery, groupsValues] = poolMock.query.mock.calls.find(([query]) => query.includes('GROUP BY fingerprint'));
+      expect(groupsQuery).toContain('WHERE fingerprint IS NOT NULL AND timestamp >= ? AND timestamp <= ? AND level IN (?)');
+      expect(groupsQuery).toContain('ORDER BY count DESC, lastSeen DESC LIMIT ?');
+      expect(groupsValues).toEqual([new Date('2026-10-18T00:00:00.000Z'), new Date('2026-10-19T00:00:00.000Z'), ['error'], 10]);
+      const [, hostnamesValues] = poolMock.query.mock.calls.find(([query]) => query.includes('SELECT DISTINCT fingerprint, hostname'));
+      expect(hostnamesValues).toEqual([new Date('2026-10-18T00:00:00.000Z'), new Date('2026-10-19T00:00:00.000Z'), ['error'], ['a', 'b']]);
+      expect(groups).toEqual({
+        items: [
+          { fingerprint: 'a', count: 12, firstSeen: new Date('2026-10-18T08:00:00.000Z'), lastSeen: new Date('2026-10-19T01:00:00.000Z'), hostnames: ['api-1', 'api-2'], sampleLogId: 120, status: 'open' },
+          { fingerprint: 'b', count: 3, firstSeen: new Date('2026-10-18T09:00:00.000Z'), lastSeen: new Date('2026-10-18T10:00:00.000Z'), hostnames: ['api-1'], sampleLogId: 57, status: 'resolved' }
+        ]
+      });
     });
 
-    it('should throw an error if email, current password, or new password is missing', async () => {
-      await expect(errsoleMySQL.updatePassword('', 'password', 'newPassword')).rejects.toThrow('Email, current password, and new password are required.');
-      await expect(errsoleMySQL.updatePassword('test@example.com', '', 'newPassword')).rejects.toThrow('Email, current password, and new password are required.');
-      await expect(errsoleMySQL.updatePassword('test@example.com', 'password', '')).rejects.toThrow('Email, current password, and new password are required.');
+    it('should default to the last 24 hours and skip the hostnames query if there are no groups', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+      await expect(errsoleMySQL.getLogGroups()).resolves.toEqual({ items: [] });
+
+      const [, values] = poolMock.query.mock.calls.find(([query]) => query.includes('GROUP BY fingerprint'));
+      expect(values).toEqual([new Date(Date.now() - 24 * 60 * 60 * 1000), new Date(Date.now()), 100]);
+      expect(poolMock.query).not.toHaveBeenCalledWith(expect.stringContaining('SELECT DISTINCT'), expect.anything(), expect.any(Function));
     });
 
-    it('should throw an error if user is not found', async () => {
-      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+    it('should reject an invalid time range', async () => {
+      await expect(errsoleMySQL.getLogGroups({ gte_timestamp: '2026-10-19T00:00:00.000Z', lte_timestamp: '2026-10-18T00:00:00.000Z' }))
+        .rejects.toThrow('Invalid time range. Expected gte_timestamp to be before lte_timestamp.');
+    });
+  });
 
-      await expect(errsoleMySQL.updatePassword('test@example.com', 'password', 'newPassword')).rejects.toThrow('User not found.');
+  describe('#getIssue', () => {
+    it('should return the issue of a fingerprint', async () => {
+      const issue = { fingerprint: 'a'.repeat(40), status: 'resolved' };
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, [issue]));
+
+      await expect(errsoleMySQL.getIssue('a'.repeat(40))).resolves.toEqual({ item: issue });
+      expect(poolMock.query).toHaveBeenCalledWith(expect.stringContaining('FROM errsole_issues WHERE fingerprint = ?'), ['a'.repeat(40)], expect.any(Function));
     });
 
-    it('should throw an error if current password is incorrect', async () => {
-      const user = { id: 1, name: 'test', email: 'test@example.com', hashed_password: 'hashedPassword', role: 'admin' };
-      poolMock.query.mockImplementation((query, values, cb) => cb(null, [user]));
-      bcrypt.compare.mockResolvedValue(false);
+    it('should reject if the fingerprint has no issue', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
 
-      await expect(errsoleMySQL.updatePassword('test@example.com', 'wrongPassword', 'newPassword')).rejects.toThrow('Current password is incorrect.');
+      await expect(errsoleMySQL.getIssue('a'.repeat(40))).rejects.toThrow('Issue not found.');
     });
+  });
 
-    it('should handle query errors during user password update', async () => {
-      const user = { id: 1, name: 'test', email: 'test@example.com', hashed_password: 'hashedPassword', role: 'admin' };
-      poolMock.query.mockImplementation((query, values, cb) => {
-        if (query.includes('SELECT')) {
-          cb(null, [user]);
-        } else {
-          cb(new Error('Query error'));
-        }
-      });
-      bcrypt.compare.mockResolvedValue(true);
-      bcrypt.hash.mockResolvedValue('newHashedPassword');
+  describe('#getIssues', () => {
+    it('should filter issues by status and assignee', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
 
-      await expect(errsoleMySQL.updatePassword('test@example.com', 'password', 'newPassword')).rejects.toThrow('Query error');
+      await expect(errsoleMySQL.getIssues({ status: 'open', assignee_id: 7, limit: 20 })).resolves.toEqual({ items: [] });
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).toContain('WHERE status IN (?) AND assignee_id = ? ORDER BY updated_at DESC, fingerprint LIMIT ?');
+      expect(values).toEqual([['open'], 7, 20]);
     });
 
-    it('should throw an error if no updates are applied (affectedRows = 0)', async () => {
-      const user = { id: 1, name: 'test', email: 'test@example.com', hashed_password: 'hashedPassword', role: 'admin' };
-      poolMock.query.mockImplementation((query, values, cb) => {
-        if (query.includes('SELECT')) {
-          cb(null, [user]);
-        } else {
-          cb(null, { affectedRows: 0 });
-        }
-      });
-      bcrypt.compare.mockResolvedValue(true);
-      bcrypt.hash.mockResolvedValue('newHashedPassword');
+    it('should return the latest issues without filters', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
 
-      await expect(errsoleMySQL.updatePassword('test@example.com', 'password', 'newPassword')).rejects.toThrow('Password update failed.');
+      await errsoleMySQL.getIssues();
+
+      const [query, values] = poolMock.query.mock.calls[poolMock.query.mock.calls.length - 1];
+      expect(query).not.toContain('WHERE');
+      expect(values).toEqual([100]);
     });
   });
 
-  describe('#deleteUser', () => {
-    it('should delete user by id', async () => {
-      poolMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
+  describe('#updateIssue', () => {
+    const fingerprint = 'a'.repeat(40);
 
-      await errsoleMySQL.deleteUser(1);
+    beforeEach(() => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, query.startsWith('SELECT') ? [{ fingerprint }] : { affectedRows: 1 }));
+    });
 
-      expect(poolMock.query).toHaveBeenCalledWith('DELETE FROM errsole_users WHERE id = ?', [1], expect.any(Function));
+    it('should record the resolution time when resolving an issue', async () => {
+      await expect(errsoleMySQL.updateIssue(fingerprint, { status: 'resolved', assignee_id: 3 })).resolves.toEqual({ item: { fingerprint } });
+
+      expect(poolMock.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO errsole_issues (fingerprint, status, resolved_at, muted_until, assignee_id) VALUES (?)'),
+        [[fingerprint, 'resolved', new Date(), null, 3]],
+        expect.any(Function)
+      );
+      expect(poolMock.query).toHaveBeenCalledWith(
+        expect.stringContaining('ON DUPLICATE KEY UPDATE status = VALUES(status), resolved_at = VALUES(resolved_at), muted_until = VALUES(muted_until), assignee_id = VALUES(assignee_id)'),
+        expect.anything(),
+        expect.any(Function)
+      );
     });
 
-    it('should throw error if user not found', async () => {
-      poolMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 0 }));
+    it('should mute an issue until the given date', async () => {
+      await errsoleMySQL.updateIssue(fingerprint, { status: 'muted', muted_until: '2026-11-01T00:00:00.000Z' });
 
-      await expect(errsoleMySQL.deleteUser(1)).rejects.toThrow(new Error('User not found.'));
+      expect(poolMock.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO errsole_issues'), [[fingerprint, 'muted', null, new Date('2026-11-01T00:00:00.000Z')]], expect.any(Function));
+    });
+
+    it('should only update the given fields', async () => {
+      await errsoleMySQL.updateIssue(fingerprint, { notes: 'Caused by the cache', assignee_id: null });
+
+      expect(poolMock.query).toHaveBeenCalledWith(
+        expect.stringContaining('(fingerprint, assignee_id, notes) VALUES (?)'),
+        [[fingerprint, null, 'Caused by the cache']],
+        expect.any(Function)
+      );
+    });
+
+    it('should reject invalid updates', async () => {
+      await expect(errsoleMySQL.updateIssue('abc', { status: 'open' })).rejects.toThrow('Invalid fingerprint.');
+      await expect(errsoleMySQL.updateIssue(fingerprint, {})).rejects.toThrow('No updates provided.');
+      await expect(errsoleMySQL.updateIssue(fingerprint, { title: 'x' })).rejects.toThrow('Invalid update. Expected any of: status, muted_until, assignee_id, notes.');
+      await expect(errsoleMySQL.updateIssue(fingerprint, { status: 'closed' })).rejects.toThrow('Invalid status. Expected one of: open, resolved, ignored, muted.');
+      await expect(errsoleMySQL.updateIssue(fingerprint, { status: 'muted' })).rejects.toThrow('Invalid muted_until. Expected a date together with the muted status.');
+      await expect(errsoleMySQL.updateIssue(fingerprint, { muted_until: '2026-11-01' })).rejects.toThrow('Invalid muted_until. Expected a date together with the muted status.');
+      await expect(errsoleMySQL.updateIssue(fingerprint, { assignee_id: 'bob' })).rejects.toThrow('Invalid assignee_id. Expected a user id or null.');
+      await expect(errsoleMySQL.updateIssue(fingerprint, { notes: 42 })).rejects.toThrow('Invalid notes. Expected a string or null.');
+      expect(poolMock.query).not.toHaveBeenCalledWith(expect.stringContaining('errsole_issues'), expect.anything(), expect.any(Function));
     });
   });
 
@@ -865,6 +2960,7 @@ describe('ErrsoleMySQL', () => {
         database: 'test_db'
       });
       errsoleMySQL.pool = poolMock;
+      errsoleMySQL.isConnectionInProgress = false;
     });
 
     afterEach(() => {
@@ -923,8 +3019,11 @@ describe('ErrsoleMySQL', () => {
     let setTimeoutSpy;
 
     beforeEach(() => {
-      getConfigSpy = jest.spyOn(errsoleMySQL, 'getConfig').mockResolvedValue({ item: { key: 'logsTTL', value: '2592000000' } });
-      poolQuerySpy = jest.spyOn(poolMock, 'query');
+      getConfigSpy = jest.spyOn(errsoleMySQL, 'getConfig').mockImplementation(async key => {
+        if (key === 'logsTTL') return { item: { key: 'logsTTL', value: '2592000000' } };
+        return { item: undefined };
+      });
+      poolQuerySpy = jest.spyOn(poolMock, 'query').mockImplementation((query, values, cb) => cb(null, { affectedRows: 0 }));
       setTimeoutSpy = jest.spyOn(global, 'setTimeout').mockImplementation((callback) => callback());
       errsoleMySQL.deleteExpiredLogsRunning = false; // Reset the flag before each test
     });
@@ -993,6 +3092,72 @@ describe('ErrsoleMySQL', () => {
       expect(setTimeoutSpy).toHaveBeenCalled();
     });
 
+    it('should drop expired partitions instead of deleting rows if the logs table is partitioned', async () => {
+      errsoleMySQL.isLogsTablePartitioned = true;
+      const withSchemaLockSpy = jest.spyOn(errsoleMySQL, 'withSchemaLock').mockImplementation(callback => callback('query'));
+      const addLogsPartitionsSpy = jest.spyOn(errsoleMySQL, 'addLogsPartitions').mockResolvedValue(0);
+      const dropExpiredLogsPartitionsSpy = jest.spyOn(errsoleMySQL, 'dropExpiredLogsPartitions').mockResolvedValue([]);
+
+      await errsoleMySQL.deleteExpiredLogs();
+
+      expect(withSchemaLockSpy).toHaveBeenCalled();
+      expect(addLogsPartitionsSpy).toHaveBeenCalledWith('query');
+      expect(dropExpiredLogsPartitionsSpy).toHaveBeenCalledWith('query', new Date(Date.now() - 2592000000));
+      expect(poolQuerySpy).not.toHaveBeenCalledWith(expect.stringContaining('DELETE FROM errsole_logs_v3'), expect.anything(), expect.any(Function));
+      expect(errsoleMySQL.deleteExpiredLogsRunning).toBe(false);
+    });
+
+    it('should apply each retention rule to the logs not matched by an earlier rule', async () => {
+      jest.spyOn(errsoleMySQL, 'getLogsRetentionPolicy').mockResolvedValue([
+        { level: ['error', 'alert'], ttl: 7776000000 },
+        { level: 'debug', ttl: 172800000 },
+        { source: 'console', hostname: 'api-1', ttl: 86400000 }
+      ]);
+      poolQuerySpy.mockImplementation((query, values, cb) => cb(null, { affectedRows: 0 }));
+
+      await errsoleMySQL.deleteExpiredLogs();
+
+      const deletes = poolQuerySpy.mock.calls.filter(([query]) => query.startsWith('DELETE FROM errsole_logs_v3'));
+      expect(deletes.map(([query, values]) => [query, values.slice(1)])).toEqual([
+        ['DELETE FROM errsole_logs_v3 WHERE timestamp < ? AND level IN (?) LIMIT 1000', [['error', 'alert']]],
+        ['DELETE FROM errsole_logs_v3 WHERE timestamp < ? AND level IN (?) AND NOT IFNULL(level IN (?), FALSE) LIMIT 1000', [['debug'], ['error', 'alert']]],
+        ['DELETE FROM errsole_logs_v3 WHERE timestamp < ? AND source IN (?) AND hostname IN (?) AND NOT IFNULL(level IN (?), FALSE) AND NOT IFNULL(level IN (?), FALSE) LIMIT 1000', [['console'], ['api-1'], ['error', 'alert'], ['debug']]],
+        ['DELETE FROM errsole_logs_v3 WHERE timestamp < ? AND NOT IFNULL(level IN (?), FALSE) AND NOT IFNULL(level IN (?), FALSE) AND NOT IFNULL(source IN (?) AND hostname IN (?), FALSE) LIMIT 1000', [['error', 'alert'], ['debug'], ['console'], ['api-1']]]
+      ]);
+      expect(deletes[0][1][0]).toBe(new Date(Date.now() - 7776000000).toISOString().slice(0, 19).replace('T', ' '));
+      expect(deletes[1][1][0]).toBe(new Date(Date.now() - 172800000).toISOString().slice(0, 19).replace('T', ' '));
+    });
+
+    it('should drop partitions by the longest TTL and delete logs with a shorter TTL row by row', async () => {
+      errsoleMySQL.isLogsTablePartitioned = true;
+      jest.spyOn(errsoleMySQL, 'getLogsRetentionPolicy').mockResolvedValue([
+        { level: 'error', ttl: 7776000000 },
+        { level: 'debug', ttl: 172800000 }
+      ]);
+      jest.spyOn(errsoleMySQL, 'withSchemaLock').mockImplementation(callback => callback('query'));
+      jest.spyOn(errsoleMySQL, 'addLogsPartitions').mockResolvedValue(0);
+      const dropExpiredLogsPartitionsSpy = jest.spyOn(errsoleMySQL, 'dropExpiredLogsPartitions').mockResolvedValue([]);
+      poolQuerySpy.mockImplementation((query, values, cb) => cb(null, { affectedRows: 0 }));
+
+      await errsoleMySQL.deleteExpiredLogs();
+
+      const deletes = poolQuerySpy.mock.calls.filter(([query]) => query.startsWith('DELETE FROM errsole_logs_v3'));
+      expect(dropExpiredLogsPartitionsSpy).toHaveBeenCalledWith('query', new Date(Date.now() - 7776000000));
+      expect(deletes).toHaveLength(2);
+      expect(deletes[0][0]).toBe('DELETE FROM errsole_logs_v3 WHERE timestamp_seconds < ? AND level IN (?) AND NOT IFNULL(level IN (?), FALSE) LIMIT 1000');
+      expect(deletes[0][1][0]).toBe(Math.floor((Date.now() - 172800000) / 1000));
+      expect(deletes[1][0]).toBe('DELETE FROM errsole_logs_v3 WHERE timestamp_seconds < ? AND NOT IFNULL(level IN (?), FALSE) AND NOT IFNULL(level IN (?), FALSE) LIMIT 1000');
+      expect(deletes[1][1][0]).toBe(Math.floor((Date.now() - 2592000000) / 1000));
+    });
+
+    it('should prune the rollups older than the longest TTL', async () => {
+      jest.spyOn(errsoleMySQL, 'getLogsRetentionPolicy').mockResolvedValue([{ level: 'error', ttl: 7776000000 }]);
+
+      await errsoleMySQL.deleteExpiredLogs();
+
+      expect(poolQuerySpy).toHaveBeenCalledWith('DELETE FROM errsole_log_rollups WHERE minute_start < ? LIMIT 1000', [new Date(Date.now() - 7776000000)], expect.any(Function));
+    });
+
     it('should reset deleteExpiredLogsRunning flag after execution', async () => {
       poolQuerySpy
         .mockImplementationOnce((query, values, cb) => cb(null, { affectedRows: 0 }));
@@ -1003,6 +3168,270 @@ describe('ErrsoleMySQL', () => {
     });
   });
 
+  describe('#enforceLogsSizeLimit', () => {
+    let limits;
+    let tableStats;
+    let pruned;
+
+    beforeEach(() => {
+      limits = {};
+      tableStats = [{ tableSize: 1000, tableRows: 100 }];
+      jest.spyOn(errsoleMySQL, 'getConfig').mockImplementation(async key => ({ item: limits[key] ? { key, value: limits[key] } : undefined }));
+      jest.spyOn(global, 'setTimeout').mockImplementation((callback) => callback());
+      poolMock.query.mockImplementation((query, values, cb) => {
+        if (typeof values === 'function') return values(null, []);
+        if (query.includes('information_schema.TABLES')) return cb(null, tableStats);
+        if (query.startsWith('SELECT id')) return cb(null, [{ id: 42 }]);
+        if (query.startsWith('DELETE')) return cb(null, { affectedRows: 0 });
+        cb(null, []);
+      });
+      pruned = jest.fn();
+      errsoleMySQL.on('logsPruned', pruned);
+    });
+
+    it('should do nothing if no limit is configured', async () => {
+      await errsoleMySQL.enforceLogsSizeLimit();
+
+      expect(poolMock.query).not.toHaveBeenCalledWith('ANALYZE TABLE errsole_logs_v3', expect.any(Function));
+      expect(pruned).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing if the table is within its limits', async () => {
+      limits = { logsMaxBytes: '2000', logsMaxRows: '100' };
+
+      await errsoleMySQL.enforceLogsSizeLimit();
+
+      expect(poolMock.query).toHaveBeenCalledWith('ANALYZE TABLE errsole_logs_v3', expect.any(Function));
+      expect(poolMock.query).not.toHaveBeenCalledWith(expect.stringContaining('DELETE'), expect.anything(), expect.any(Function));
+      expect(pruned).not.toHaveBeenCalled();
+    });
+
+    it('should delete the oldest rows over the byte limit', async () => {
+      limits = { logsMaxBytes: '750' };
+      poolMock.query.mockImplementation((query, values, cb) => {
+        if (typeof values === 'function') return values(null, []);
+        if (query.includes('information_schema.TABLES')) return cb(null, tableStats);
+        if (query.startsWith('SELECT id')) return cb(null, [{ id: 42 }]);
+        if (query.startsWith('DELETE')) return cb(null, { affectedRows: poolMock.query.mock.calls.filter(([query]) => query.startsWith('DELETE')).length === 1 ? 25 : 0 });
+      });
+
+      await errsoleMySQL.enforceLogsSizeLimit();
+
+      expect(poolMock.query).toHaveBeenCalledWith('SELECT id FROM errsole_logs_v3 ORDER BY id LIMIT 1 OFFSET ?', [24], expect.any(Function));
+      expect(poolMock.query).toHaveBeenCalledWith('DELETE FROM errsole_logs_v3 WHERE id <= ? LIMIT 10000', [42], expect.any(Function));
+      expect(pruned).toHaveBeenCalledWith({ tableSize: 1000, tableRows: 100, maxBytes: 750, maxRows: null, droppedPartitions: [], deletedRows: 25 });
+    });
+
+    it('should delete in large batches with a short pause until the overshoot is removed', async () => {
+      limits = { logsMaxRows: '100000' };
+      tableStats = [{ tableSize: 100 * 1000 * 1000, tableRows: 130000 }];
+      let remainingRows = 30000;
+      poolMock.query.mockImplementation((query, values, cb) => {
+        if (typeof values === 'function') return values(null, []);
+        if (query.includes('information_schema.TABLES')) return cb(null, tableStats);
+        if (query.startsWith('SELECT id')) return cb(null, [{ id: 30000 }]);
+        const affectedRows = Math.min(remainingRows, 10000);
+        remainingRows -= affectedRows;
+        cb(null, { affectedRows });
+      });
+
+      await errsoleMySQL.enforceLogsSizeLimit();
+
+      expect(poolMock.query.mock.calls.filter(([query]) => query === 'DELETE FROM errsole_logs_v3 WHERE id <= ? LIMIT 10000')).toHaveLength(4);
+      expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 100);
+      expect(setTimeout).not.toHaveBeenCalledWith(expect.any(Function), 10000);
+      expect(pruned).toHaveBeenCalledWith(expect.objectContaining({ deletedRows: 30000 }));
+    });
+
+    it('should not delete again once the live logs are within the byte limit', async () => {
+      limits = { logsMaxBytes: '750' };
+      let stats = { tableSize: 1000, dataFree: 0, tableRows: 100 };
+      let deleted = 0;
+      poolMock.query.mockImplementation((query, values, cb) => {
+        if (typeof values === 'function') return values(null, []);
+        if (query.includes('information_schema.TABLES')) return cb(null, [stats]);
+        if (query.startsWith('SELECT id')) return cb(null, [{ id: 42 }]);
+        if (query.startsWith('DELETE')) {
+          const affectedRows = deleted === 0 ? 25 : 0;
+          deleted += affectedRows;
+          return cb(null, { affectedRows });
+        }
+        cb(null, []);
+      });
+
+      await errsoleMySQL.enforceLogsSizeLimit();
+      // InnoDB keeps the table size and reports the deleted rows as free space
+      stats = { tableSize: 1000, dataFree: 250, tableRows: 75 };
+      await errsoleMySQL.enforceLogsSizeLimit();
+
+      expect(poolMock.query.mock.calls.filter(([query]) => query.startsWith('DELETE'))).toHaveLength(2);
+      expect(poolMock.query.mock.calls.filter(([query]) => query.startsWith('SELECT id'))).toHaveLength(1);
+      expect(deleted).toBe(25);
+      expect(pruned).toHaveBeenCalledTimes(1);
+    });
+
+    it('should delete whichever limit requires more rows', async () => {
+      limits = { logsMaxBytes: '900', logsMaxRows: '60' };
+
+      await errsoleMySQL.enforceLogsSizeLimit();
+
+      expect(poolMock.query).toHaveBeenCalledWith('SELECT id FROM errsole_logs_v3 ORDER BY id LIMIT 1 OFFSET ?', [39], expect.any(Function));
+      expect(pruned).toHaveBeenCalledWith(expect.objectContaining({ maxBytes: 900, maxRows: 60 }));
+    });
+
+    it('should drop the oldest partitions first if the logs table is partitioned', async () => {
+      limits = { logsMaxRows: '60' };
+      errsoleMySQL.isLogsTablePartitioned = true;
+      jest.spyOn(errsoleMySQL, 'withSchemaLock').mockImplementation(callback => callback('query'));
+      const dropOldestLogsPartitionsSpy = jest.spyOn(errsoleMySQL, 'dropOldestLogsPartitions').mockResolvedValue({ droppedPartitions: ['p20261001'], droppedRows: 30 });
+
+      await errsoleMySQL.enforceLogsSizeLimit();
+
+      expect(dropOldestLogsPartitionsSpy).toHaveBeenCalledWith('query', 40);
+      expect(poolMock.query).toHaveBeenCalledWith('SELECT id FROM errsole_logs_v3 ORDER BY id LIMIT 1 OFFSET ?', [9], expect.any(Function));
+      expect(pruned).toHaveBeenCalledWith(expect.objectContaining({ droppedPartitions: ['p20261001'], deletedRows: 30 }));
+    });
+
+    it('should log errors', async () => {
+      limits = { logsMaxRows: '60' };
+      poolMock.query.mockImplementation((query, cb) => cb(new Error('Analyze error')));
+
+      await errsoleMySQL.enforceLogsSizeLimit();
+
+      expect(console.error).toHaveBeenCalledWith(new Error('Analyze error'));
+      expect(errsoleMySQL.enforceLogsSizeLimitRunning).toBe(false);
+    });
+  });
+
+  describe('#dropOldestLogsPartitions', () => {
+    it('should drop past partitions while they fit within the row budget', async () => {
+      jest.setSystemTime(new Date('2026-10-19T12:00:00.000Z'));
+      const query = jest.fn(async (sql) => {
+        if (sql.includes('information_schema.PARTITIONS')) {
+          return [
+            { name: 'p20261017', lessThan: '1792281600', tableRows: 10 },
+            { name: 'p20261018', lessThan: '1792368000', tableRows: 20 },
+            { name: 'p20261019', lessThan: '1792454400', tableRows: 5 },
+            { name: 'pfuture', lessThan: 'MAXVALUE', tableRows: 0 }
+          ];
+        }
+        return {};
+      });
+
+      await expect(errsoleMySQL.dropOldestLogsPartitions(query, 100)).resolves.toEqual({ droppedPartitions: ['p20261017', 'p20261018'], droppedRows: 30 });
+      expect(query).toHaveBeenCalledWith('ALTER TABLE `errsole_logs_v3` DROP PARTITION p20261017, p20261018');
+
+      query.mockClear();
+      await expect(errsoleMySQL.dropOldestLogsPartitions(query, 15)).resolves.toEqual({ droppedPartitions: ['p20261017'], droppedRows: 10 });
+    });
+  });
+
+  describe('#deleteLogsBatch', () => {
+    it('should delete logs directly if no archive directory is configured', async () => {
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 3 }));
+
+      await expect(errsoleMySQL.deleteLogsBatch('timestamp < ?', ['2026-01-01 00:00:00'])).resolves.toBe(3);
+      expect(poolMock.query).toHaveBeenCalledWith('DELETE FROM errsole_logs_v3 WHERE timestamp < ? LIMIT 1000', ['2026-01-01 00:00:00'], expect.any(Function));
+    });
+
+    describe('with an archive directory', () => {
+      let appendMock;
+
+      beforeEach(() => {
+        appendMock = jest.fn().mockResolvedValue('/archive/file.ndjson.gz');
+        errsoleMySQL.archive = { append: appendMock };
+      });
+
+      it('should archive the logs before deleting exactly those logs', async () => {
+        const logEntries = [{ id: 1, message: 'first', meta: '{}' }, { id: 2, message: 'second', meta: '{}' }];
+        poolMock.query.mockImplementation((query, values, cb) => {
+          if (query.startsWith('SELECT')) return cb(null, logEntries);
+          expect(appendMock).toHaveBeenCalledWith(logEntries);
+          cb(null, { affectedRows: 2 });
+        });
+
+        await expect(errsoleMySQL.deleteLogsBatch('timestamp < ?', ['2026-01-01 00:00:00'])).resolves.toBe(2);
+        expect(poolMock.query).toHaveBeenCalledWith('SELECT * FROM errsole_logs_v3 WHERE timestamp < ? ORDER BY id LIMIT 1000', ['2026-01-01 00:00:00'], expect.any(Function));
+        expect(poolMock.query).toHaveBeenCalledWith('DELETE FROM errsole_logs_v3 WHERE id IN (?)', [[1, 2]], expect.any(Function));
+      });
+
+      it('should not delete anything if archiving fails', async () => {
+        appendMock.mockRejectedValue(new Error('ENOSPC'));
+        poolMock.query.mockImplementation((query, values, cb) => cb(null, [{ id: 1 }]));
+
+        await expect(errsoleMySQL.deleteLogsBatch('timestamp < ?', ['2026-01-01 00:00:00'])).rejects.toThrow('ENOSPC');
+        expect(poolMock.query).not.toHaveBeenCalledWith(expect.stringContaining('DELETE'), expect.anything(), expect.any(Function));
+      });
+
+      it('should resolve with 0 if no logs match', async () => {
+        poolMock.query.mockImplementation((query, values, cb) => cb(null, []));
+
+        await expect(errsoleMySQL.deleteLogsBatch('id <= ?', [10])).resolves.toBe(0);
+        expect(appendMock).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('#archiveLogsPartitions', () => {
+    it('should archive the logs of each partition in id batches', async () => {
+      const appendMock = jest.fn().mockResolvedValue('/archive/file.ndjson.gz');
+      errsoleMySQL.archive = { append: appendMock };
+      const query = jest.fn(async (sql, values) => (values[0] === 0 ? [{ id: 1 }, { id: 2 }] : []));
+
+      await errsoleMySQL.archiveLogsPartitions(query, ['p20261001']);
+
+      expect(query).toHaveBeenCalledWith('SELECT * FROM errsole_logs_v3 PARTITION (p20261001) WHERE id > ? ORDER BY id LIMIT 1000', [0]);
+      expect(query).toHaveBeenCalledWith('SELECT * FROM errsole_logs_v3 PARTITION (p20261001) WHERE id > ? ORDER BY id LIMIT 1000', [2]);
+      expect(appendMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should do nothing if no archive directory is configured', async () => {
+      const query = jest.fn();
+
+      await errsoleMySQL.archiveLogsPartitions(query, ['p20261001']);
+
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('#restoreArchive', () => {
+    let directory;
+
+    beforeEach(() => {
+      jest.useRealTimers();
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'errsole-archive-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should re-insert archived logs with their original ids and skip existing ones', async () => {
+      const archive = new LogArchive({ directory, name: 'errsole' });
+      await archive.append([
+        { id: 1, timestamp: '2026-10-01T09:00:00.000Z', hostname: 'api-1', pid: 10, source: 'console', level: 'error', message: 'first', meta: '{}', errsole_id: null },
+        { id: 2, timestamp: '2026-10-01T10:00:00.000Z', hostname: 'api-1', pid: 10, source: 'console', level: 'info', message: 'second', meta: '{}', errsole_id: null }
+      ]);
+      poolMock.query.mockImplementation((query, values, cb) => cb(null, { affectedRows: 1 }));
+
+      const result = await errsoleMySQL.restoreArchive(directory);
+
+      expect(result).toEqual({ files: 1, inserted: 1, skipped: 1 });
+      expect(poolMock.query).toHaveBeenCalledWith(
+        'INSERT INTO errsole_logs_v3 (id, timestamp, hostname, pid, source, level, message, meta, errsole_id, fingerprint) VALUES ? ON DUPLICATE KEY UPDATE id = id',
+        [[
+          [1, new Date('2026-10-01T09:00:00.000Z'), 'api-1', 10, 'console', 'error', 'first', '{}', null, getFingerprint('first')],
+          [2, new Date('2026-10-01T10:00:00.000Z'), 'api-1', 10, 'console', 'info', 'second', '{}', null, getFingerprint('second')]
+        ]],
+        expect.any(Function)
+      );
+    });
+
+    it('should reject if the path does not exist', async () => {
+      await expect(errsoleMySQL.restoreArchive(path.join(directory, 'missing'))).rejects.toThrow('ENOENT');
+    });
+  });
+
   describe('#insertNotificationItem', () => {
     beforeEach(() => {
       connectionMock = {
@@ -1422,7 +3851,7 @@ describe('ErrsoleMySQL', () => {
       expect(errsoleMySQL.deleteExpiredNotificationItemsRunning).toBe(false);
 
       expect(getConfigSpy).toHaveBeenCalledTimes(1);
-      expect(getConfigSpy).toHaveBeenCalledWith('logsTTL');
+      expect(getConfigSpy).toHaveBeenCalledWith('notificationsTTL');
 
       expect(poolQuerySpy).toHaveBeenCalledTimes(1);
     });
@@ -1446,6 +3875,26 @@ describe('ErrsoleMySQL', () => {
       expect(poolQuerySpy).toHaveBeenCalledTimes(1);
     });
 
+    it('should use default TTL if the configured TTL is invalid', async () => {
+      getConfigSpy.mockResolvedValue({ item: { value: '-1' } });
+
+      await errsoleMySQL.deleteExpiredNotificationItems();
+
+      const expectedExpirationTime = new Date(Date.now() - (30 * 24 * 60 * 60 * 1000))
+        .toISOString().slice(0, 19).replace('T', ' ');
+      expect(poolQuerySpy).toHaveBeenCalledWith(expect.any(String), [expectedExpirationTime], expect.any(Function));
+    });
+
+    it('should not be affected by logsTTL', async () => {
+      getConfigSpy.mockImplementation(async key => key === 'logsTTL' ? { item: { value: '86400000' } } : { item: null });
+
+      await errsoleMySQL.deleteExpiredNotificationItems();
+
+      const expectedExpirationTime = new Date(Date.now() - (30 * 24 * 60 * 60 * 1000))
+        .toISOString().slice(0, 19).replace('T', ' ');
+      expect(poolQuerySpy).toHaveBeenCalledWith(expect.any(String), [expectedExpirationTime], expect.any(Function));
+    });
+
     it('should use configured TTL if config is present and valid', async () => {
       const customTTL = 15 * 24 * 60 * 60 * 1000;
       getConfigSpy.mockResolvedValue({ item: { value: customTTL.toString() } });
@@ -1555,15 +4004,13 @@ describe('ErrsoleMySQL', () => {
       jest.clearAllMocks();
     });
 
-    it('should delete all logs from the logs table', async () => {
-      poolQuerySpy.mockImplementation((query, cb) => {
-        expect(query).toBe('TRUNCATE TABLE errsole_logs_v3');
-        cb(null, { affectedRows: 100 });
-      });
+    it('should delete all logs from the logs table and their rollups', async () => {
+      poolQuerySpy.mockImplementation((query, cb) => cb(null, {}));
 
       await expect(errsoleMySQL.deleteAllLogs()).resolves.toEqual({});
 
-      expect(poolQuerySpy).toHaveBeenCalledWith('TRUNCATE TABLE errsole_logs_v3', expect.any(Function));
+      const truncateQueries = poolQuerySpy.mock.calls.map(([query]) => query).filter(query => query.startsWith('TRUNCATE'));
+      expect(truncateQueries).toEqual(['TRUNCATE TABLE errsole_logs_v3', 'TRUNCATE TABLE errsole_log_rollups']);
     });
 
     it('should handle query errors gracefully', async () => {
@@ -1573,6 +4020,7 @@ describe('ErrsoleMySQL', () => {
       await expect(errsoleMySQL.deleteAllLogs()).rejects.toThrow('Query error');
 
       expect(poolQuerySpy).toHaveBeenCalledWith('TRUNCATE TABLE errsole_logs_v3', expect.any(Function));
+      expect(poolQuerySpy).not.toHaveBeenCalledWith('TRUNCATE TABLE errsole_log_rollups', expect.any(Function));
     });
   });
 
@@ -1580,8 +4028,6 @@ describe('ErrsoleMySQL', () => {
     if (errsoleMySQL.flushIntervalId) {
       clearInterval(errsoleMySQL.flushIntervalId);
     }
-    if (cronJob) {
-      cronJob.stop();
-    }
+    clearTimeout(errsoleMySQL.hourlyJobsTimeoutId);
   });
 });
@@ -0,0 +1,153 @@
+const migrations = require('../lib/migrations');
+/* globals expect, jest, beforeEach, it, describe */
+
+describe('migrations', () => {
+  const tables = {
+    logs: 'errsole_logs_v3',
+    users: 'errsole_users',
+    config: 'errsole_config',
+    notifications: 'errsole_notifications',
+    rollups: 'errsole_log_rollups',
+    issues: 'errsole_issues',
+    deadLetter: 'errsole_logs_deadletter'
+  };
+
+  it('should have unique, ascending versions', () => {
+    const versions = migrations.map(migration => migration.version);
+
+    expect(versions).toEqual([...new Set(versions)].sort((a, b) => a - b));
+  });
+
+  describe('create-tables', () => {
+    it('should create the logs, users, config and notifications tables', async () => {
+      const query = jest.fn().mockResolvedValue({});
+
+      await migrations.find(migration => migration.name === 'create-tables').up({ query, tablePrefix: 'errsole', tables });
+
+      expect(query).toHaveBeenCalledTimes(4);
+      ['logs', 'users', 'config', 'notifications'].map(name => tables[name]).forEach(table => {
+        expect(query).toHaveBeenCalledWith(expect.stringContaining(`CREATE TABLE IF NOT EXISTS \`${table}\``));
+      });
+    });
+  });
+
+  describe('copy-legacy-logs', () => {
+    const copyLegacyLogs = migrations.find(migration => migration.name === 'copy-legacy-logs');
+    let legacyTables;
+    let query;
+
+    beforeEach(() => {
+      legacyTables = {};
+      query = jest.fn(async (sql, values) => {
+        if (sql.includes('information_schema.COLUMNS')) {
+          if (values[0] === tables.logs) {
+            return ['id', 'hostname', 'pid', 'source', 'timestamp', 'level', 'message', 'meta', 'errsole_id'].map(name => ({ name }));
+          }
+          return (legacyTables[values[0]] ? legacyTables[values[0]].columns : []).map(name => ({ name }));
+        }
+        if (sql.startsWith('SELECT MIN(id)')) {
+          const table = Object.keys(legacyTables).find(table => sql.includes(`\`${table}\``));
+          return [legacyTables[table].idRange];
+        }
+        return {};
+      });
+    });
+
+    it('should do nothing if there are no legacy tables', async () => {
+      await copyLegacyLogs.up({ query, tablePrefix: 'errsole', tables });
+
+      expect(query).toHaveBeenCalledTimes(2);
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('information_schema.COLUMNS'), ['errsole_logs']);
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('information_schema.COLUMNS'), ['errsole_logs_v2']);
+    });
+
+    it('should copy the common columns of a legacy table in id batches', async () => {
+      legacyTables.errsole_logs_v2 = {
+        columns: ['id', 'hostname', 'source', 'timestamp', 'level', 'message', 'meta', 'legacy_column'],
+        idRange: { minId: 1, maxId: 15000 }
+      };
+
+      await copyLegacyLogs.up({ query, tablePrefix: 'errsole', tables });
+
+      const copyQuery = 'INSERT INTO `errsole_logs_v3` (`hostname`, `source`, `timestamp`, `level`, `message`, `meta`) SELECT `hostname`, `source`, `timestamp`, `level`, `message`, `meta` FROM `errsole_logs_v2` WHERE id >= ? AND id < ? ORDER BY id';
+      expect(query).toHaveBeenCalledWith(copyQuery, [1, 10001]);
+      expect(query).toHaveBeenCalledWith(copyQuery, [10001, 20001]);
+      expect(query).not.toHaveBeenCalledWith(copyQuery, [20001, 30001]);
+    });
+
+    it('should not copy anything from an empty legacy table', async () => {
+      legacyTables.errsole_logs = {
+        columns: ['id', 'hostname', 'message'],
+        idRange: { minId: null, maxId: null }
+      };
+
+      await copyLegacyLogs.up({ query, tablePrefix: 'errsole', tables });
+
+      expect(query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO'), expect.anything());
+    });
+
+    it('should copy a legacy table without an id column in one statement', async () => {
+      legacyTables.errsole_logs = { columns: ['hostname', 'message'] };
+
+      await copyLegacyLogs.up({ query, tablePrefix: 'errsole', tables });
+
+      expect(query).toHaveBeenCalledWith('INSERT INTO `errsole_logs_v3` (`hostname`, `message`) SELECT `hostname`, `message` FROM `errsole_logs`');
+    });
+  });
+
+  describe('create-log-rollups', () => {
+    const createLogRollups = migrations.find(migration => migration.name === 'create-log-rollups');
+
+    it('should create the rollups table and backfill it from the logs in id batches', async () => {
+      const query = jest.fn(async (sql) => (sql.startsWith('SELECT MIN(id)') ? [{ minId: 1, maxId: 150000 }] : {}));
+
+      await createLogRollups.up({ query, tablePrefix: 'errsole', tables });
+
+      const backfillCalls = query.mock.calls.filter(([sql]) => sql.startsWith('INSERT INTO `errsole_log_rollups`'));
+      expect(query.mock.calls[0][0]).toContain('CREATE TABLE IF NOT EXISTS `errsole_log_rollups`');
+      expect(backfillCalls.map(([sql, values]) => values)).toEqual([[1, 100001], [100001, 200001]]);
+      expect(backfillCalls[0][0]).toContain('FROM `errsole_logs_v3` WHERE id >= ? AND id < ?');
+      expect(backfillCalls[0][0]).toContain('ON DUPLICATE KEY UPDATE `count` = `count` + batch.row_count');
+    });
+
+    it('should not backfill an empty logs table', async () => {
+      const query = jest.fn(async (sql) => (sql.startsWith('SELECT MIN(id)') ? [{ minId: null, maxId: null }] : {}));
+
+      await createLogRollups.up({ query, tablePrefix: 'errsole', tables });
+
+      expect(query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('add-log-fingerprints', () => {
+    it('should add an indexed fingerprint column to the logs table', async () => {
+      const query = jest.fn().mockResolvedValue({});
+
+      await migrations.find(migration => migration.name === 'add-log-fingerprints').up({ query, tablePrefix: 'errsole', tables });
+
+      expect(query).toHaveBeenCalledWith('ALTER TABLE `errsole_logs_v3` ADD COLUMN `fingerprint` CHAR(40) NULL, ADD INDEX (`fingerprint`, `timestamp`)');
+    });
+  });
+
+  describe('create-issues', () => {
+    it('should create the issues table with an assignee referencing the users table', async () => {
+      const query = jest.fn().mockResolvedValue({});
+
+      await migrations.find(migration => migration.name === 'create-issues').up({ query, tablePrefix: 'errsole', tables });
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS `errsole_issues`'));
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('FOREIGN KEY (`assignee_id`) REFERENCES `errsole_users` (`id`) ON DELETE SET NULL'));
+    });
+  });
+
+  describe('create-logs-dead-letter', () => {
+    it('should create the dead-letter table', async () => {
+      const query = jest.fn().mockResolvedValue({});
+
+      await migrations.find(migration => migration.name === 'create-logs-dead-letter').up({ query, tablePrefix: 'errsole', tables });
+
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS `errsole_logs_deadletter`'));
+    });
+  });
+});
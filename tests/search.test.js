@@ -0,0 +1,145 @@
+const { parseSearchQuery, compileSearchQuery } = require('../lib/search');
+/* globals expect, it, describe */
+
+describe('search', () => {
+  describe('.parseSearchQuery', () => {
+    it('should parse terms, phrases, wildcards and fields', () => {
+      expect(parseSearchQuery('conn* "connection refused" source:"my app" host:api-* pid:42')).toEqual({
+        type: 'and',
+        children: [
+          { type: 'text', value: 'conn', phrase: false, prefix: true },
+          { type: 'text', value: 'connection refused', phrase: true, prefix: false },
+          { type: 'field', field: 'source', value: 'my app', prefix: false },
+          { type: 'field', field: 'hostname', value: 'api-', prefix: true },
+          { type: 'field', field: 'pid', value: 42, prefix: false }
+        ]
+      });
+    });
+
+    it('should bind NOT tighter than AND and AND tighter than OR', () => {
+      expect(parseSearchQuery('a -b AND c OR NOT d')).toEqual({
+        type: 'or',
+        children: [
+          {
+            type: 'and',
+            children: [
+              { type: 'text', value: 'a', phrase: false, prefix: false },
+              { type: 'not', child: { type: 'text', value: 'b', phrase: false, prefix: false } },
+              { type: 'text', value: 'c', phrase: false, prefix: false }
+            ]
+          },
+          { type: 'not', child: { type: 'text', value: 'd', phrase: false, prefix: false } }
+        ]
+      });
+    });
+
+    it('should group expressions with parentheses', () => {
+      expect(parseSearchQuery('-(a OR b)')).toEqual({
+        type: 'not',
+        child: {
+          type: 'or',
+          children: [
+            { type: 'text', value: 'a', phrase: false, prefix: false },
+            { type: 'text', value: 'b', phrase: false, prefix: false }
+          ]
+        }
+      });
+    });
+
+    it('should search words with an unknown field and lowercase operators as text', () => {
+      expect(parseSearchQuery('http://example.com or')).toEqual({
+        type: 'and',
+        children: [
+          { type: 'text', value: 'http://example.com', phrase: false, prefix: false },
+          { type: 'text', value: 'or', phrase: false, prefix: false }
+        ]
+      });
+    });
+
+    it('should unescape quotes in phrases', () => {
+      expect(parseSearchQuery('"say \\"hi\\""')).toEqual({ type: 'text', value: 'say "hi"', phrase: true, prefix: false });
+    });
+
+    it('should return null for an empty query', () => {
+      expect(parseSearchQuery('  ')).toBeNull();
+    });
+
+    it.each([
+      ['(error', 'Missing closing parenthesis for the one at position 0.', 0],
+      ['error )', 'Unexpected ")" at position 6.', 6],
+      ['()', 'Empty parentheses at position 0.', 0],
+      ['error OR', 'Expected a term after OR at position 6 but found the end of the query.', 6],
+      ['error AND OR x', 'Expected a term after AND at position 6 but found "OR" at position 10.', 6],
+      ['OR error', 'Unexpected "OR" at position 0.', 0],
+      ['NOT', 'Expected a term after NOT at position 0 but found the end of the query.', 0],
+      ['"connection refused', 'Missing closing quote for the phrase at position 0.', 0],
+      ['"connection"*', 'Wildcards are not supported in phrases at position 12.', 12],
+      ['a*b', 'Wildcards are only supported at the end of a term, in "a*b" at position 0.', 0],
+      ['api-*', 'Invalid wildcard term "api-*" at position 0. Expected letters, digits or underscores before the *.', 0],
+      ['level:', 'Missing value for the level filter at position 0.', 0],
+      ['pid:12a', 'Invalid pid "12a" at position 0. Expected a number.', 0]
+    ])('should reject %j', (query, message, position) => {
+      let error;
+      try {
+        parseSearchQuery(query);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).toBe(`Invalid search query. ${message}`);
+      expect(error.position).toBe(position);
+    });
+
+    it('should reject queries that are too long or too deeply nested', () => {
+      expect(() => parseSearchQuery('a'.repeat(1025))).toThrow('Invalid search query. Expected at most 1024 characters.');
+      expect(() => parseSearchQuery('('.repeat(17) + 'a' + ')'.repeat(17))).toThrow('Too many nested parentheses at position 16. Expected at most 16.');
+    });
+  });
+
+  describe('.compileSearchQuery', () => {
+    it('should combine the terms of an AND into a single MATCH', () => {
+      expect(compileSearchQuery(parseSearchQuery('error conn* -timeout level:error'))).toEqual({
+        condition: '(MATCH(message) AGAINST (? IN BOOLEAN MODE) AND level = ?)',
+        values: ['+"error" +conn* -"timeout"', 'error']
+      });
+    });
+
+    it('should combine the terms of an OR into a single MATCH', () => {
+      expect(compileSearchQuery(parseSearchQuery('ECONNRESET OR "connection refused"'))).toEqual({
+        condition: 'MATCH(message) AGAINST (? IN BOOLEAN MODE)',
+        values: ['"ECONNRESET" "connection refused"']
+      });
+    });
+
+    it('should negate terms without a positive term in a separate condition', () => {
+      expect(compileSearchQuery(parseSearchQuery('-timeout level:error'))).toEqual({
+        condition: '(NOT IFNULL(MATCH(message) AGAINST (? IN BOOLEAN MODE), FALSE) AND level = ?)',
+        values: ['+"timeout"', 'error']
+      });
+    });
+
+    it('should combine mixed OR operands with OR', () => {
+      expect(compileSearchQuery(parseSearchQuery('level:error OR host:api-1'))).toEqual({
+        condition: '(level = ? OR hostname = ?)',
+        values: ['error', 'api-1']
+      });
+    });
+
+    it('should escape LIKE wildcards in field prefixes', () => {
+      expect(compileSearchQuery(parseSearchQuery('source:my_app*'))).toEqual({
+        condition: 'source LIKE ?',
+        values: ['my\\_app%']
+      });
+    });
+
+    it('should match text with LIKE without a FULLTEXT index', () => {
+      expect(compileSearchQuery(parseSearchQuery('"100%" OR conn* -x'), { fullText: false })).toEqual({
+        condition: '(message LIKE ? OR (message LIKE ? AND NOT IFNULL(message LIKE ?, FALSE)))',
+        values: ['%100\\%%', '%conn%', '%x%']
+      });
+    });
+
+    it('should not let quotes in a phrase end it early', () => {
+      expect(compileSearchQuery(parseSearchQuery('"say \\"hi\\""')).values).toEqual(['+"say  hi "']);
+    });
+  });
+});
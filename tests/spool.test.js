@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogSpool = require('../lib/spool');
+/* globals expect, jest, beforeEach, it, afterEach, describe */
+
+describe('LogSpool', () => {
+  let directory;
+  let spool;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'errsole-spool-'));
+    spool = new LogSpool({ directory, name: 'errsole' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('#append', () => {
+    it('should append log entries as newline-delimited JSON', async () => {
+      await spool.append([{ message: 'first' }, { message: 'second' }]);
+
+      expect(fs.readFileSync(spool.filePath, 'utf8')).toBe('{"message":"first"}\n{"message":"second"}\n');
+    });
+
+    it('should not create a file for an empty array', async () => {
+      await spool.append([]);
+
+      expect(fs.existsSync(spool.filePath)).toBe(false);
+    });
+
+    it('should combine appends made while a write is pending into a single write', async () => {
+      jest.spyOn(fs.promises, 'appendFile');
+
+      await Promise.all([
+        spool.append([{ message: 'first' }]),
+        spool.append([{ message: 'second' }]),
+        spool.append([{ message: 'third' }])
+      ]);
+
+      expect(fs.promises.appendFile).toHaveBeenCalledTimes(1);
+      expect(fs.readFileSync(spool.filePath, 'utf8')).toBe('{"message":"first"}\n{"message":"second"}\n{"message":"third"}\n');
+    });
+
+    it('should reject if the file cannot be written', async () => {
+      jest.spyOn(fs.promises, 'appendFile').mockRejectedValueOnce(new Error('Disk full'));
+
+      await expect(spool.append([{ message: 'first' }])).rejects.toThrow('Disk full');
+      await spool.append([{ message: 'second' }]);
+
+      expect(fs.readFileSync(spool.filePath, 'utf8')).toBe('{"message":"second"}\n');
+    });
+
+    it('should store the failed insert attempts of the entries', async () => {
+      const logEntry = { message: 'first' };
+      const attempts = new WeakMap([[logEntry, 2]]);
+
+      await spool.append([logEntry, { message: 'second' }], attempts);
+
+      const readAttempts = new WeakMap();
+      const batch = await spool.read(10, readAttempts);
+      expect(batch.entries).toEqual([{ message: 'first' }, { message: 'second' }]);
+      expect(readAttempts.get(batch.entries[0])).toBe(2);
+      expect(readAttempts.has(batch.entries[1])).toBe(false);
+    });
+  });
+
+  describe('#read', () => {
+    it('should resolve with null if the spool is empty', async () => {
+      await expect(spool.read(10)).resolves.toBeNull();
+    });
+
+    it('should read at most the requested number of entries', async () => {
+      await spool.append([{ message: 'first' }, { message: 'second' }, { message: 'third' }]);
+
+      const batch = await spool.read(2);
+
+      expect(batch.entries).toEqual([{ message: 'first' }, { message: 'second' }]);
+      expect(batch.filePath).toBe(spool.filePath);
+      expect(batch.endOffset).toBe('{"message":"first"}\n{"message":"second"}\n'.length);
+    });
+
+    it('should continue after the committed offset', async () => {
+      await spool.append([{ message: 'first' }, { message: 'second' }]);
+
+      await spool.commit(await spool.read(1));
+      const batch = await spool.read(10);
+
+      expect(batch.entries).toEqual([{ message: 'second' }]);
+    });
+
+    it('should skip lines that are not valid JSON', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      fs.writeFileSync(spool.filePath, '{"message":"first"}\nnot json\n{"message":"second"}\n');
+
+      const batch = await spool.read(10);
+
+      expect(batch.entries).toEqual([{ message: 'first' }, { message: 'second' }]);
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    it('should not read a partially written line of the current process', async () => {
+      fs.writeFileSync(spool.filePath, '{"message":');
+
+      await expect(spool.read(10)).resolves.toBeNull();
+      expect(fs.existsSync(spool.filePath)).toBe(true);
+    });
+
+    it('should read files left behind by processes that are no longer running before its own file', async () => {
+      const orphanFilePath = path.join(directory, 'errsole-999999999.spool');
+      fs.writeFileSync(orphanFilePath, '{"message":"orphan"}\n');
+      await spool.append([{ message: 'own' }]);
+      jest.spyOn(process, 'kill').mockImplementation(() => {
+        throw Object.assign(new Error('No such process'), { code: 'ESRCH' });
+      });
+
+      const batch = await spool.read(10);
+
+      expect(batch.filePath).toBe(orphanFilePath);
+      expect(batch.entries).toEqual([{ message: 'orphan' }]);
+    });
+
+    it('should ignore files of processes that are still running', async () => {
+      fs.writeFileSync(path.join(directory, 'errsole-999999999.spool'), '{"message":"other"}\n');
+      jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+      await expect(spool.read(10)).resolves.toBeNull();
+    });
+
+    it('should ignore files with a different name', async () => {
+      fs.writeFileSync(path.join(directory, 'errsole_other-999999999.spool'), '{"message":"other"}\n');
+
+      await expect(spool.read(10)).resolves.toBeNull();
+    });
+  });
+
+  describe('#commit', () => {
+    it('should truncate its own file once it is fully drained', async () => {
+      await spool.append([{ message: 'first' }]);
+
+      await spool.commit(await spool.read(10));
+
+      expect(fs.statSync(spool.filePath).size).toBe(0);
+      expect(fs.existsSync(spool.filePath + '.offset')).toBe(false);
+    });
+
+    it('should keep entries appended after the batch was read', async () => {
+      await spool.append([{ message: 'first' }]);
+      const batch = await spool.read(10);
+      spool.append([{ message: 'second' }]);
+
+      await spool.commit(batch);
+
+      await expect(spool.read(10)).resolves.toEqual(expect.objectContaining({ entries: [{ message: 'second' }] }));
+    });
+
+    it('should remove a drained file of another process', async () => {
+      const orphanFilePath = path.join(directory, 'errsole-999999999.spool');
+      fs.writeFileSync(orphanFilePath, '{"message":"orphan"}\n');
+      jest.spyOn(process, 'kill').mockImplementation(() => {
+        throw Object.assign(new Error('No such process'), { code: 'ESRCH' });
+      });
+
+      await spool.commit(await spool.read(10));
+
+      expect(fs.existsSync(orphanFilePath)).toBe(false);
+    });
+  });
+});
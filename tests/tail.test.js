@@ -0,0 +1,238 @@
+const LogTail = require('../lib/tail');
+/* globals expect, jest, beforeEach, it, afterEach, describe */
+
+describe('LogTail', () => {
+  let maxId;
+  let logs;
+  let getMaxId;
+  let fetch;
+  let tails;
+
+  const createTail = options => {
+    const tail = new LogTail({ getMaxId, fetch, pollInterval: 1000, ...options });
+    tails.push(tail);
+    return tail;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    maxId = 10;
+    logs = [];
+    tails = [];
+    getMaxId = jest.fn(async () => maxId);
+    fetch = jest.fn(async (afterId, upToId, limit) => logs.filter(log => log.id > afterId && log.id <= upToId).slice(0, limit));
+  });
+
+  afterEach(() => {
+    tails.forEach(tail => tail.unsubscribe());
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('polling', () => {
+    it('should start after the highest id and then read the new logs up to the highest id', async () => {
+      const onLog = jest.fn();
+      createTail({ onLog });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(fetch).not.toHaveBeenCalled();
+
+      logs.push({ id: 11 }, { id: 12 });
+      maxId = 12;
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(fetch).toHaveBeenCalledWith(10, 12, 100);
+      expect(onLog.mock.calls).toEqual([[{ id: 11 }], [{ id: 12 }]]);
+    });
+
+    it('should not read logs again when the highest id has not changed', async () => {
+      createTail({ onLog: jest.fn() });
+      await jest.advanceTimersByTimeAsync(3000);
+
+      expect(getMaxId).toHaveBeenCalledTimes(4);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should start after lastId and read full pages right away', async () => {
+      logs = [{ id: 4 }, { id: 5 }, { id: 6 }, { id: 7 }];
+      const onLog = jest.fn();
+      createTail({ onLog, lastId: 3, batchSize: 2 });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(fetch.mock.calls).toEqual([[3, 10, 2], [5, 10, 2], [7, 10, 2]]);
+      expect(onLog.mock.calls.map(([log]) => log.id)).toEqual([4, 5, 6, 7]);
+    });
+
+    it('should report a failed poll and retry after the poll interval', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      getMaxId.mockRejectedValueOnce(new Error('Connection lost'));
+      createTail({ onLog: jest.fn(), lastId: 10 });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(console.error).toHaveBeenCalledWith(new Error('Connection lost'));
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(getMaxId).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep delivering if onLog throws', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      logs = [{ id: 11 }, { id: 12 }];
+      maxId = 12;
+      const onLog = jest.fn(() => { throw new Error('Listener error'); });
+      createTail({ onLog, lastId: 10 });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(onLog).toHaveBeenCalledTimes(2);
+      expect(console.error).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('#pollNow', () => {
+    it('should poll right away instead of waiting for the poll interval', async () => {
+      const onLog = jest.fn();
+      const tail = createTail({ onLog, lastId: 10 });
+      await jest.advanceTimersByTimeAsync(0);
+
+      logs.push({ id: 11 });
+      maxId = 11;
+      tail.pollNow();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(onLog.mock.calls).toEqual([[{ id: 11 }]]);
+      expect(jest.getTimerCount()).toBe(1);
+    });
+
+    it('should poll again after a running poll', async () => {
+      let finishGetMaxId;
+      const onLog = jest.fn();
+      const tail = createTail({ onLog, lastId: 10 });
+      getMaxId.mockImplementationOnce(() => new Promise(resolve => { finishGetMaxId = resolve; }));
+      await jest.advanceTimersByTimeAsync(1000);
+
+      logs.push({ id: 11 });
+      maxId = 11;
+      tail.pollNow();
+      finishGetMaxId(10);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(onLog.mock.calls).toEqual([[{ id: 11 }]]);
+    });
+  });
+
+  describe('#push', () => {
+    it('should deliver pushed logs right away and skip them when polling', async () => {
+      const onLog = jest.fn();
+      const tail = createTail({ onLog, lastId: 10 });
+      await jest.advanceTimersByTimeAsync(0);
+
+      tail.push([{ id: 12 }]);
+      expect(onLog.mock.calls).toEqual([[{ id: 12 }]]);
+
+      logs.push({ id: 11 }, { id: 12 });
+      maxId = 12;
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(onLog.mock.calls).toEqual([[{ id: 12 }], [{ id: 11 }]]);
+    });
+
+    it('should skip a late push of a log that was already polled', async () => {
+      const onLog = jest.fn();
+      logs = [{ id: 11 }];
+      maxId = 11;
+      const tail = createTail({ onLog, lastId: 10 });
+      await jest.advanceTimersByTimeAsync(0);
+
+      tail.push([{ id: 11 }]);
+
+      expect(onLog).toHaveBeenCalledTimes(1);
+    });
+
+    it('should deliver a pushed log the poller passed before it was committed', async () => {
+      const onLog = jest.fn();
+      maxId = 12;
+      logs = [{ id: 12 }];
+      const tail = createTail({ onLog, lastId: 10 });
+      await jest.advanceTimersByTimeAsync(0);
+
+      tail.push([{ id: 11 }]);
+
+      expect(onLog.mock.calls.map(([log]) => log.id)).toEqual([12, 11]);
+    });
+
+    it('should forget the delivered ids once the poller is a full poll past them', async () => {
+      const tail = createTail({ onLog: jest.fn(), lastId: 10 });
+      await jest.advanceTimersByTimeAsync(0);
+      tail.push([{ id: 11 }]);
+      logs.push({ id: 11 });
+      maxId = 11;
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(tail.deliveredIds.has(11)).toBe(true);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(tail.deliveredIds.size).toBe(0);
+    });
+  });
+
+  describe('async iterator', () => {
+    it('should yield buffered and new logs', async () => {
+      const tail = createTail({ lastId: 10 });
+      const iterator = tail[Symbol.asyncIterator]();
+      tail.push([{ id: 11 }]);
+
+      await expect(iterator.next()).resolves.toEqual({ value: { id: 11 }, done: false });
+
+      const next = iterator.next();
+      tail.push([{ id: 12 }]);
+      await expect(next).resolves.toEqual({ value: { id: 12 }, done: false });
+    });
+
+    it('should unsubscribe when the loop ends early', async () => {
+      const onClose = jest.fn();
+      const tail = createTail({ lastId: 10, onClose });
+      tail.push([{ id: 11 }, { id: 12 }]);
+
+      for await (const log of tail) {
+        expect(log).toEqual({ id: 11 });
+        break;
+      }
+
+      expect(tail.isClosed).toBe(true);
+      expect(onClose).toHaveBeenCalledWith(tail);
+    });
+
+    it('should pause polling and ignore pushes while the buffer is full', async () => {
+      logs = [{ id: 11 }, { id: 12 }, { id: 13 }];
+      maxId = 13;
+      const tail = createTail({ lastId: 10, batchSize: 2, highWaterMark: 2 });
+      await jest.advanceTimersByTimeAsync(5000);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      tail.push([{ id: 14 }]);
+      expect(tail.buffer).toEqual([{ id: 11 }, { id: 12 }]);
+
+      const iterator = tail[Symbol.asyncIterator]();
+      await iterator.next();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(fetch).toHaveBeenLastCalledWith(12, 13, 2);
+      expect(tail.buffer).toEqual([{ id: 12 }, { id: 13 }]);
+    });
+  });
+
+  describe('#unsubscribe', () => {
+    it('should stop polling, end pending reads and call onClose once', async () => {
+      const onClose = jest.fn();
+      const tail = createTail({ lastId: 10, onClose });
+      await jest.advanceTimersByTimeAsync(0);
+      const next = tail[Symbol.asyncIterator]().next();
+
+      tail.unsubscribe();
+      tail.unsubscribe();
+      await jest.advanceTimersByTimeAsync(5000);
+
+      await expect(next).resolves.toEqual({ value: undefined, done: true });
+      expect(getMaxId).toHaveBeenCalledTimes(1);
+      expect(onClose).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -1,6 +1,51 @@
 declare module 'errsole-mysql' {
+  import { EventEmitter } from 'events';
+  import { Readable } from 'stream';
   import { PoolOptions } from 'mysql2';
 
+  interface ErrsoleMySQLOptions extends PoolOptions {
+    tablePrefix?: string;
+    spoolDirectory?: string;
+    archiveDirectory?: string;
+    maxPendingLogs?: number;
+    maxPendingLogsBytes?: number;
+    pendingLogsOverflowPolicy?: 'drop-oldest' | 'drop-newest' | 'drop-by-level';
+    batchSize?: number;
+    flushInterval?: number;
+    adaptiveFlush?: boolean;
+    maxBatchSize?: number;
+    minFlushInterval?: number;
+    closeOnExit?: boolean;
+    flushRetryAttempts?: number;
+    deadLetter?: boolean;
+    partitionLogs?: boolean;
+    metaJSON?: boolean;
+    metaIndexes?: string[];
+    searchWindow?: number;
+  }
+
+  interface LogsDroppedEvent {
+    count: number;
+    totalCount: number;
+    policy: 'drop-oldest' | 'drop-newest' | 'drop-by-level';
+    levels: { [level: string]: number };
+  }
+
+  interface LogsPrunedEvent {
+    tableSize: number;
+    tableRows: number;
+    maxBytes: number | null;
+    maxRows: number | null;
+    droppedPartitions: string[];
+    deletedRows: number;
+  }
+
+  interface FlushErrorEvent {
+    error: Error;
+    logEntries: Log[];
+    action: 'requeued' | 'retrying' | 'quarantined' | 'dropped';
+  }
+
   interface Log {
     id?: number;
     hostname: string;
@@ -14,18 +59,85 @@ declare module 'errsole-mysql' {
 
   }
 
+  interface MetaFilter {
+    path: string;
+    op?: '=' | '!=' | '<' | '<=' | '>' | '>=' | 'exists';
+    value?: string | number | boolean;
+  }
+
   interface LogFilter {
     hostname?: string;
     pid?: number;
     level_json?: { source: string; level: string }[];
     sources?: string[];
     levels?: string[];
+    hostnames?: string[];
+    pids?: number[];
+    message_like?: string;
+    message_regex?: string;
     lt_id?: number;
     gt_id?: number;
     lte_timestamp?: Date;
     gte_timestamp?: Date;
     limit?: number;
     errsole_id?: number;
+    meta?: MetaFilter | MetaFilter[];
+    cursor?: string;
+    withCount?: boolean;
+  }
+
+  interface LogStatsOptions {
+    gte_timestamp?: Date | string;
+    lte_timestamp?: Date | string;
+    interval?: string | number;
+    groupBy?: 'level' | 'source' | 'hostname' | ('level' | 'source' | 'hostname')[];
+    hostnames?: string[];
+    sources?: string[];
+    levels?: string[];
+  }
+
+  interface LogStatsBucket {
+    bucket: Date;
+    count: number;
+    level?: string;
+    source?: string;
+    hostname?: string;
+  }
+
+  interface LogGroupsFilter {
+    gte_timestamp?: Date | string;
+    lte_timestamp?: Date | string;
+    hostnames?: string[];
+    sources?: string[];
+    levels?: string[];
+    limit?: number;
+  }
+
+  interface LogGroup {
+    fingerprint: string;
+    count: number;
+    firstSeen: Date;
+    lastSeen: Date;
+    hostnames: string[];
+    sampleLogId: number;
+    status: 'open' | 'resolved' | 'ignored' | 'muted';
+  }
+
+  interface Issue {
+    fingerprint: string;
+    status: 'open' | 'resolved' | 'ignored' | 'muted';
+    muted_until: Date | null;
+    resolved_at: Date | null;
+    assignee_id: number | null;
+    notes: string | null;
+    created_at: Date;
+    updated_at: Date;
+  }
+
+  interface RegressionEvent {
+    fingerprint: string;
+    resolvedAt: Date;
+    logEntry: Log;
   }
 
   interface Config {
@@ -34,6 +146,17 @@ declare module 'errsole-mysql' {
     value: string;
   }
 
+  interface RetentionRule {
+    level?: string | string[];
+    source?: string | string[];
+    hostname?: string | string[];
+    ttl: number;
+  }
+
+  interface LogTail extends AsyncIterable<Log> {
+    unsubscribe(): void;
+  }
+
   interface User {
     id: number;
     name: string;
@@ -50,17 +173,32 @@ declare module 'errsole-mysql' {
     updated_at?: Date;
   }
 
-  class ErrsoleMySQL {
-    constructor(options: PoolOptions);
+  class ErrsoleMySQL extends EventEmitter {
+    constructor(options: ErrsoleMySQLOptions);
+
+    ready(): Promise<void>;
+    close(): Promise<{}>;
+    flushAndClose(timeoutMs?: number): Promise<{}>;
 
     getConfig(key: string): Promise<{ item: Config }>;
     setConfig(key: string, value: string): Promise<{ item: Config }>;
     deleteConfig(key: string): Promise<{}>;
+    setLogsRetentionPolicy(rules: RetentionRule[]): Promise<{ item: Config }>;
+    getLogsRetentionPolicy(): Promise<RetentionRule[]>;
     getHostnames(): Promise<{ items: string[] }>;
     postLogs(logEntries: Log[]): Promise<{}>;
-    getLogs(filters?: LogFilter): Promise<{ items: Log[] }>;
-    searchLogs(searchTerms: string[], filters?: LogFilter): Promise<{ items: Log[], filters: LogFilter[] }>;
+    getLogs(filters?: LogFilter): Promise<{ items: Log[]; nextCursor: string | null; prevCursor: string | null; count?: number; countIsEstimate?: boolean }>;
+    searchLogs(searchTerms: string[] | string, filters?: LogFilter): Promise<{ items: Log[], filters: LogFilter, nextCursor: string | null, prevCursor: string | null, count?: number, countIsEstimate?: boolean }>;
+    exportLogs(filters?: LogFilter & { searchTerms?: string[] | string }, options?: { format?: 'ndjson' | 'csv' | 'json'; includeMeta?: boolean }): Promise<Readable>;
+    tailLogs(filters?: LogFilter & { searchTerms?: string[] | string }, onLog?: (log: Log) => void, options?: { pollInterval?: number }): LogTail;
+    importLogs(readable: NodeJS.ReadableStream, options?: { format?: 'ndjson' | 'csv' | 'json' }): Promise<{ inserted: number; skipped: number; invalid: number; errors: { line: number; message: string }[] }>;
+    getLogStats(options?: LogStatsOptions): Promise<{ items: LogStatsBucket[]; interval: number }>;
+    getLogGroups(filters?: LogGroupsFilter): Promise<{ items: LogGroup[] }>;
+    getIssue(fingerprint: string): Promise<{ item: Issue }>;
+    getIssues(filters?: { status?: Issue['status'] | Issue['status'][]; assignee_id?: number; limit?: number }): Promise<{ items: Issue[] }>;
+    updateIssue(fingerprint: string, updates: { status?: Issue['status']; muted_until?: Date | string; assignee_id?: number | null; notes?: string | null }): Promise<{ item: Issue }>;
     deleteAllLogs(): Promise<void>;
+    restoreArchive(archivePath: string): Promise<{ files: number; inserted: number; skipped: number }>;
     getMeta(id: number): Promise<{ item: { id: number; meta: string } }>;
 
     createUser(user: { name: string; email: string; password: string; role: string }): Promise<{ item: User }>;